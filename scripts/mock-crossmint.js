@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in Crossmint API (Amazon Demo Proxy)
+ *
+ * Implements order creation, order lookup and cancellation so the full
+ * purchase → payment → order → tracking flow runs without placing real
+ * Amazon orders:
+ *
+ *   MOCK_CROSSMINT_PORT=8404 node scripts/mock-crossmint.js
+ *   CROSSMINT_ENV=mock node server.js
+ *
+ * Each POST /orders takes the next scripted outcome, or MOCK_CROSSMINT_MODE
+ * when none are queued:
+ *   success          (default) the order is created and moves through
+ *                    payment → in progress → shipped → delivered, one step
+ *                    every MOCK_CROSSMINT_STEP_SECONDS (default 10) of lookups
+ *   out-of-stock     creation fails with 400 and an out of stock message
+ *   error            creation fails with MOCK_CROSSMINT_ERROR_STATUS (default 503)
+ *   delivery-failed  the order is created, then its delivery fails
+ *   lost-response    the order is created, but the response fails with
+ *                    MOCK_CROSSMINT_ERROR_STATUS
+ *
+ * A POST /orders repeated with the same X-Idempotency-Key returns the order
+ * already created for it instead of creating another.
+ *
+ * Outcomes can be scripted per order while the mock runs:
+ *   POST /__mock/outcomes  { "outcomes": ["out-of-stock", "success"] }
+ *   GET  /__mock/orders    every order created so far
+ *   POST /__mock/reset     clear orders and the outcome queue
+ */
+
+const express = require('express')
+const crypto = require('crypto')
+const { API_VERSION_PATH } = require('../src/crossmint/environment')
+
+const PORT = parseInt(process.env.MOCK_CROSSMINT_PORT, 10) || 8404
+const MODE = process.env.MOCK_CROSSMINT_MODE || 'success'
+const STEP_MS = (parseInt(process.env.MOCK_CROSSMINT_STEP_SECONDS, 10) || 10) * 1000
+const ERROR_STATUS = parseInt(process.env.MOCK_CROSSMINT_ERROR_STATUS, 10) || 503
+const OUTCOMES = ['success', 'out-of-stock', 'error', 'delivery-failed', 'lost-response']
+
+if (!OUTCOMES.includes(MODE)) {
+  console.error(`❌ MOCK_CROSSMINT_MODE must be one of: ${OUTCOMES.join(', ')}`)
+  process.exit(1)
+}
+
+const orders = new Map()
+const ordersByIdempotencyKey = new Map()
+let outcomeQueue = []
+
+const app = express()
+app.use(express.json())
+
+app.use((req, res, next) => {
+  console.log(`[Mock Crossmint] ${req.method} ${req.path}`)
+  next()
+})
+
+// Test controls (not part of the Crossmint API)
+app.post('/__mock/outcomes', (req, res) => {
+  const outcomes = req.body?.outcomes
+  if (!Array.isArray(outcomes) || outcomes.some(outcome => !OUTCOMES.includes(outcome))) {
+    return res.status(400).json({ error: `outcomes must be an array of: ${OUTCOMES.join(', ')}` })
+  }
+  outcomeQueue.push(...outcomes)
+  res.json({ queued: outcomeQueue })
+})
+
+app.get('/__mock/orders', (req, res) => {
+  res.json({ orders: [...orders.values()].map(record => snapshot(record)) })
+})
+
+app.post('/__mock/reset', (req, res) => {
+  orders.clear()
+  ordersByIdempotencyKey.clear()
+  outcomeQueue = []
+  res.json({ ok: true })
+})
+
+const api = express.Router()
+
+api.use((req, res, next) => {
+  if (!req.get('X-API-KEY')) {
+    return res.status(401).json({ error: true, message: 'Missing X-API-KEY header' })
+  }
+  next()
+})
+
+// Crossmint-shaped order for the lifecycle step the order has reached
+function snapshot(record) {
+  const cancelled = record.cancelledAt !== null
+  const step = cancelled ? record.stepAtCancel : Math.min(3, Math.floor((Date.now() - record.createdAt) / STEP_MS))
+  const failed = record.outcome === 'delivery-failed' && step >= 2
+
+  let phase
+  let paymentStatus
+  let deliveryStatus
+  if (cancelled) {
+    phase = 'cancelled'
+    paymentStatus = 'completed'
+    deliveryStatus = 'cancelled'
+  } else if (failed) {
+    phase = 'delivery'
+    paymentStatus = 'completed'
+    deliveryStatus = 'failed'
+  } else {
+    phase = ['payment', 'delivery', 'delivery', 'completed'][step]
+    paymentStatus = step === 0 ? 'awaiting-payment' : 'completed'
+    deliveryStatus = ['awaiting-payment', 'in-progress', 'shipped', 'completed'][step]
+  }
+
+  const tracking = !cancelled && !failed && step >= 2
+    ? { carrier: 'UPS', trackingNumber: record.trackingNumber, trackingUrl: `https://www.ups.com/track?tracknum=${record.trackingNumber}` }
+    : null
+
+  return {
+    orderId: record.orderId,
+    phase,
+    locale: 'en-US',
+    recipient: record.recipient,
+    payment: { status: paymentStatus, method: record.payment?.method, currency: record.payment?.currency },
+    lineItems: record.lineItems.map(item => ({
+      ...item,
+      delivery: { status: deliveryStatus, ...(tracking ? { tracking } : {}) }
+    })),
+    createdAt: new Date(record.createdAt).toISOString(),
+    outcome: record.outcome
+  }
+}
+
+api.post('/orders', (req, res) => {
+  const { recipient, payment, lineItems } = req.body || {}
+  if (!recipient?.email || !recipient?.physicalAddress || !Array.isArray(lineItems) || lineItems.length === 0) {
+    return res.status(400).json({ error: true, message: 'recipient (email, physicalAddress) and lineItems are required' })
+  }
+
+  const idempotencyKey = req.get('X-Idempotency-Key')
+  if (idempotencyKey && ordersByIdempotencyKey.has(idempotencyKey)) {
+    console.log(`[Mock Crossmint] Replaying order for idempotency key ${idempotencyKey}`)
+    return res.json(snapshot(orders.get(ordersByIdempotencyKey.get(idempotencyKey))))
+  }
+
+  const outcome = outcomeQueue.shift() || MODE
+  console.log(`[Mock Crossmint] Order outcome: ${outcome}`)
+
+  if (outcome === 'error') {
+    return res.status(ERROR_STATUS).json({ error: true, message: 'Mock Crossmint service unavailable' })
+  }
+  if (outcome === 'out-of-stock') {
+    return res.status(400).json({
+      error: true,
+      message: `Product ${lineItems[0].productLocator} is out of stock`,
+      code: 'out-of-stock'
+    })
+  }
+
+  const orderId = `mock-order-${crypto.randomBytes(8).toString('hex')}`
+  const record = {
+    orderId,
+    outcome,
+    recipient,
+    payment,
+    lineItems: lineItems.map(item => ({ productLocator: item.productLocator, quantity: item.quantity || 1 })),
+    createdAt: Date.now(),
+    cancelledAt: null,
+    stepAtCancel: null,
+    trackingNumber: `1Z${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+  }
+  orders.set(orderId, record)
+  if (idempotencyKey) {
+    ordersByIdempotencyKey.set(idempotencyKey, orderId)
+  }
+
+  if (outcome === 'lost-response') {
+    return res.status(ERROR_STATUS).json({ error: true, message: 'Mock Crossmint lost the response' })
+  }
+  res.status(201).json(snapshot(record))
+})
+
+api.get('/orders/:orderId', (req, res) => {
+  const record = orders.get(req.params.orderId)
+  if (!record) {
+    return res.status(404).json({ error: true, message: `Order ${req.params.orderId} not found` })
+  }
+  res.json(snapshot(record))
+})
+
+api.post('/orders/:orderId/cancel', (req, res) => {
+  const record = orders.get(req.params.orderId)
+  if (!record) {
+    return res.status(404).json({ error: true, message: `Order ${req.params.orderId} not found` })
+  }
+
+  const current = snapshot(record)
+  if (current.lineItems.some(item => ['shipped', 'completed'].includes(item.delivery.status))) {
+    return res.status(409).json({ error: true, message: `Order ${record.orderId} has already shipped` })
+  }
+
+  if (record.cancelledAt === null) {
+    record.stepAtCancel = Math.min(3, Math.floor((Date.now() - record.createdAt) / STEP_MS))
+    record.cancelledAt = Date.now()
+  }
+  res.json(snapshot(record))
+})
+
+app.use(API_VERSION_PATH, api)
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock Crossmint API running on http://localhost:${PORT}${API_VERSION_PATH} (mode: ${MODE}, step: ${STEP_MS / 1000}s)`)
+})
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in x402 facilitator (Amazon Demo Proxy)
+ *
+ * Implements /verify, /settle and /supported so the full purchase → payment
+ * → order flow can be exercised without a real facilitator or real funds.
+ *
+ *   MOCK_FACILITATOR_PORT=8403 node scripts/mock-facilitator.js
+ *   FACILITATOR_URL=http://localhost:8403 node server.js
+ *
+ * Each payment takes the next scripted outcome, or MOCK_FACILITATOR_MODE when
+ * none are queued:
+ *   valid         (default) verify and settle succeed
+ *   invalid       verify returns isValid: false
+ *   settle-fail   verify succeeds, settle returns success: false
+ *   settle-error  verify succeeds, settle answers HTTP 500 (outcome unknown)
+ *   error         both endpoints answer HTTP 500
+ *
+ * Outcomes can be scripted per payment while the mock runs; one outcome
+ * covers a payment's /verify call and, when verify succeeds, its /settle call:
+ *   POST /__mock/outcomes  { "outcomes": ["settle-error", "valid"] }
+ *   POST /__mock/reset     clear the outcome queue
+ */
+
+const express = require('express')
+const crypto = require('crypto')
+const { getPaymentRails } = require('../src/payments/exact')
+
+const PORT = parseInt(process.env.MOCK_FACILITATOR_PORT, 10) || 8403
+const MODE = process.env.MOCK_FACILITATOR_MODE || 'valid'
+const OUTCOMES = ['valid', 'invalid', 'settle-fail', 'settle-error', 'error']
+
+let outcomeQueue = []
+
+const app = express()
+app.use(express.json())
+
+function payerOf(paymentPayload) {
+  return paymentPayload?.payload?.from || paymentPayload?.payer || 'MockPayer1111111111111111111111111111111111'
+}
+
+app.use((req, res, next) => {
+  console.log(`[Mock Facilitator] ${req.method} ${req.path} (mode: ${outcomeQueue[0] || MODE})`)
+  next()
+})
+
+app.post('/__mock/outcomes', (req, res) => {
+  const outcomes = req.body?.outcomes
+  if (!Array.isArray(outcomes) || outcomes.some(outcome => !OUTCOMES.includes(outcome))) {
+    return res.status(400).json({ error: `outcomes must be an array of: ${OUTCOMES.join(', ')}` })
+  }
+  outcomeQueue.push(...outcomes)
+  res.json({ queued: outcomeQueue })
+})
+
+app.post('/__mock/reset', (req, res) => {
+  outcomeQueue = []
+  res.json({ reset: true })
+})
+
+app.get('/supported', (req, res) => {
+  res.json({
+    kinds: [...new Set(getPaymentRails().map(rail => rail.chain))]
+      .map(network => ({ x402Version: 1, scheme: 'exact', network }))
+  })
+})
+
+app.post('/verify', (req, res) => {
+  const { paymentPayload } = req.body || {}
+  const outcome = outcomeQueue[0] || MODE
+
+  // A payment that ends at verify consumes its outcome here, otherwise /settle does
+  if (outcome === 'error' || outcome === 'invalid' || !paymentPayload) {
+    outcomeQueue.shift()
+  }
+
+  if (outcome === 'error') {
+    return res.status(500).json({ error: 'Mock facilitator error' })
+  }
+
+  if (!paymentPayload || outcome === 'invalid') {
+    return res.json({
+      isValid: false,
+      invalidReason: paymentPayload ? 'mock_invalid_payment' : 'missing_payment_payload'
+    })
+  }
+
+  res.json({ isValid: true, payer: payerOf(paymentPayload) })
+})
+
+app.post('/settle', (req, res) => {
+  const { paymentPayload, paymentRequirements } = req.body || {}
+  const outcome = outcomeQueue.shift() || MODE
+
+  if (outcome === 'error' || outcome === 'settle-error') {
+    return res.status(500).json({ error: 'Mock facilitator error' })
+  }
+
+  if (!paymentPayload || outcome === 'settle-fail') {
+    return res.json({ success: false, errorReason: 'mock_settlement_failed' })
+  }
+
+  res.json({
+    success: true,
+    transaction: `mock_tx_${crypto.randomBytes(16).toString('hex')}`,
+    network: paymentRequirements?.chain || paymentRequirements?.network || 'solana',
+    payer: payerOf(paymentPayload)
+  })
+})
+
+app.listen(PORT, () => {
+  console.log(`🧾 Mock x402 facilitator running on http://localhost:${PORT} (mode: ${MODE})`)
+})
@@ -4,86 +4,357 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
-const { createExactPaymentResponse, getExactHeaders, assertExactSchemeOnly } = require('./src/payments/exact');
+const {
+  getExactPaymentConfig,
+  getX402Format,
+  buildExactAccepts,
+  createExactPaymentResponse,
+  getExactHeaders,
+  assertExactSchemeOnly
+} = require('./src/payments/exact');
+const {
+  createFacilitatorClient,
+  decodePaymentPayload,
+  encodePaymentHeader,
+  selectPaymentRequirements,
+  findPaymentMismatches
+} = require('./src/payments/facilitator');
+const { createWebhookAuthMiddleware, pruneWebhookNonces } = require('./src/webhooks/signature');
+const { createKeyRing, KeyRingError, DEFAULT_KEY_ID } = require('./src/signing/keyring');
+const { requireAdminToken } = require('./src/admin/auth');
+const { createSearchProvider } = require('./src/search');
+const { TtlLruCache, searchCacheKey } = require('./src/search/cache');
+const { createOrderTracker, mapCrossmintOrderStatus } = require('./src/orders/tracking');
+const { createRefundExecutor } = require('./src/payments/refunds');
+const { createCatalogStore, CatalogValidationError } = require('./src/catalog');
+const { evaluatePurchasePolicies } = require('./src/catalog/policy');
+const { createBuyerBudgets } = require('./src/buyers/budgets');
+const { loadPricingConfig, destinationState, priceOrder } = require('./src/pricing');
+const { createQuoteSigner, findQuoteMismatch } = require('./src/pricing/quotes');
+const { getShippingConfig, resolveShipping } = require('./src/shipping/address');
+const { toMinorUnits, formatMinorUnits, fromMinorUnits } = require('./src/pricing/money');
+const { createStore } = require('./src/storage');
+const { getRetentionConfig, getChallengeExpiry, isChallengeExpired, pruneFinishedRecords } = require('./src/storage/retention');
+const { getCrossmintConfig } = require('./src/crossmint/environment');
+const { createUpstream, getUpstreamPolicy } = require('./src/upstream');
+const { logger } = require('./src/logging');
+const { registry: metrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./src/metrics');
+const { createReadinessChecker } = require('./src/health/readiness');
+
+// Component loggers (LOG_LEVEL, LOG_FORMAT); request handlers add requestId/paymentId
+const startupLog = logger.child({ component: 'startup' });
+const searchLog = logger.child({ component: 'search' });
+const crossmintLog = logger.child({ component: 'crossmint' });
+
+// Logger for a payment or order record. Both carry the requestId of the
+// /purchase call that created them, so settlement, webhook, Crossmint and
+// tracking lines trace back to that purchase.
+function logForRecord(record, component = 'payment') {
+  return logger.child({
+    component,
+    ...(record?.requestId ? { requestId: record.requestId } : {}),
+    ...(record?.paymentId ? { paymentId: record.paymentId } : {}),
+    ...(record?.orderId ? { orderId: record.orderId } : {})
+  });
+}
+
+// Payment lifecycle (see transitionPayment)
+const PAYMENT_STATUSES = [
+  'pending', 'expired', 'verifying', 'verified', 'settlement_unknown', 'settled', 'order_unknown', 'completed', 'failed',
+  'refund_pending', 'refunded'
+];
+
+// Prometheus metrics served by GET /metrics (upstream call metrics live in src/upstream)
+const httpRequestsTotal = metrics.counter({
+  name: 'amazon_proxy_http_requests_total',
+  help: 'HTTP requests by method, route template and status code',
+  labelNames: ['method', 'route', 'status']
+});
+const httpRequestDuration = metrics.histogram({
+  name: 'amazon_proxy_http_request_duration_seconds',
+  help: 'HTTP request latency by method and route template',
+  labelNames: ['method', 'route']
+});
+const paymentChallengesTotal = metrics.counter({
+  name: 'amazon_proxy_payment_challenges_total',
+  help: '402 Payment Required challenges issued by /purchase, by challenge format',
+  labelNames: ['format']
+});
+const asinValidationsTotal = metrics.counter({
+  name: 'amazon_proxy_asin_validations_total',
+  help: 'ASIN validation outcomes of /purchase and /quote items, by reason',
+  labelNames: ['reason']
+});
+const orderCreationsTotal = metrics.counter({
+  name: 'amazon_proxy_order_creations_total',
+  help: 'Crossmint order creations for settled payments, by result (success; failure, which is refunded; unknown, held for reconciliation)',
+  labelNames: ['result']
+});
+const settledVolumeTotal = metrics.counter({
+  name: 'amazon_proxy_settled_volume_total',
+  help: 'Amount settled by the facilitator, in asset units (USDC)',
+  labelNames: ['asset', 'chain']
+});
+const refundedVolumeTotal = metrics.counter({
+  name: 'amazon_proxy_refunded_volume_total',
+  help: 'Amount refunded to payers, in asset units (USDC)',
+  labelNames: ['asset', 'chain']
+});
+metrics.gauge({
+  name: 'amazon_proxy_payments',
+  help: 'Stored payments by status',
+  labelNames: ['status'],
+  collect: gauge => {
+    const counts = Object.fromEntries(PAYMENT_STATUSES.map(status => [status, 0]));
+    pendingPayments.forEach(payment => {
+      counts[payment.status] = (counts[payment.status] || 0) + 1;
+    });
+    for (const [status, count] of Object.entries(counts)) {
+      gauge.set({ status }, count);
+    }
+  }
+});
 
 // Environment validation
 function validateEnvironment() {
-  const required = ['SERP_API_KEY', 'PRODUCT_SIGNING_SECRET'];
+  const required = [
+    ...searchProvider.requiredEnv,
+    ...(crossmintConfig.requiresApiKey ? ['CROSSMINT_API_KEY'] : [])
+  ];
   const missing = required.filter(key => !process.env[key]);
 
   if (missing.length > 0) {
-    console.error('❌ Missing required environment variables:', missing.join(', '));
-    console.error('Please check your .env file and ensure all required variables are set.');
+    startupLog.error('Missing required environment variables; check your .env file', { missing });
     process.exit(1);
   }
 
-  // Configuration summary (mask secrets)
-  console.log('📋 Configuration Summary:');
-  console.log(`   • SERP_API_KEY: ${process.env.SERP_API_KEY ? '***' + process.env.SERP_API_KEY.slice(-6) : 'NOT SET'}`);
-  console.log(`   • PRODUCT_SIGNING_SECRET: ${process.env.PRODUCT_SIGNING_SECRET ? '***' + process.env.PRODUCT_SIGNING_SECRET.slice(-6) : 'NOT SET'}`);
-  console.log(`   • CROSSMINT_API_KEY: ${'***' + CROSSMINT_API_KEY.slice(-6)}`);
-  console.log(`   • CROSSMINT_BASE_URL: ${CROSSMINT_BASE_URL}`);
-  console.log('');
+  // Configuration summary (which secrets are set, never their values)
+  startupLog.info('Configuration summary', {
+    searchProvider: searchProvider.name,
+    serpApiKeySet: !!process.env.SERP_API_KEY,
+    productSigningSecretSet: !!process.env.PRODUCT_SIGNING_SECRET,
+    productSigningKeysPath: keyRing.filePath,
+    crossmintApiKeySet: !!process.env.CROSSMINT_API_KEY,
+    crossmintEnv: crossmintConfig.environment,
+    crossmintBaseUrl: CROSSMINT_BASE_URL,
+    webhookSecretSet: !!process.env.WEBHOOK_SECRET
+  });
+  if (!process.env.WEBHOOK_SECRET) {
+    startupLog.warn('WEBHOOK_SECRET is not set; payment webhooks will be rejected');
+  }
 }
 
 const app = express();
-const PORT = 8787;
-
-// Crossmint API configuration
-const CROSSMINT_API_KEY = process.env.CROSSMINT_API_KEY;
-const CROSSMINT_BASE_URL = 'https://www.crossmint.com/api/2022-06-09';
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+
+// Crossmint API configuration (CROSSMINT_ENV=production|staging|mock)
+let crossmintConfig;
+try {
+  crossmintConfig = getCrossmintConfig();
+} catch (error) {
+  startupLog.error(error.message);
+  process.exit(1);
+}
+// The mock accepts any key, so a placeholder is sent when none is configured
+const CROSSMINT_API_KEY = process.env.CROSSMINT_API_KEY || (crossmintConfig.requiresApiKey ? undefined : 'mock');
+const CROSSMINT_BASE_URL = crossmintConfig.baseUrl;
+
+// Timeout, retry and circuit breaker policy for Crossmint calls (CROSSMINT_TIMEOUT_MS, CROSSMINT_RETRIES, ...)
+const crossmintUpstream = createUpstream({
+  name: 'crossmint',
+  policy: getUpstreamPolicy('CROSSMINT', { timeoutMs: 15000, retries: 3 })
+});
 
-// Product search via SerpAPI (like worldstore-agent)
+// Product search provider (SEARCH_PROVIDER=serpapi|fixture)
 const SERP_API_KEY = process.env.SERP_API_KEY;
+const searchProvider = createSearchProvider();
+
+// Product signing key ring (seeded from PRODUCT_SIGNING_SECRET as key "default")
+const keyRing = createKeyRing();
 
 // Validate environment on startup
 validateEnvironment();
 
+if (!keyRing.getActiveKey()) {
+  startupLog.error('No product signing key configured. Set PRODUCT_SIGNING_SECRET or provide PRODUCT_SIGNING_KEYS_PATH.');
+  process.exit(1);
+}
+startupLog.info('Product signing key ring loaded', { keys: keyRing.keys.size, activeKeyId: keyRing.activeKeyId });
+
+// Reload signing keys without a restart
+process.on('SIGHUP', () => {
+  try {
+    keyRing.reload();
+    startupLog.info('Signing keys reloaded', { activeKeyId: keyRing.activeKeyId });
+  } catch (error) {
+    startupLog.error('Failed to reload signing keys', { err: error });
+  }
+});
+
 // Assert exact scheme configuration
 assertExactSchemeOnly();
 
-// Load product catalog
+// x402 facilitator used to verify and settle payments before ordering
+const facilitator = createFacilitatorClient({ facilitatorUrl: getExactPaymentConfig().facilitatorUrl });
+
+// Sends settled funds back to the payer when an order fails or is cancelled
+let refundExecutor;
+try {
+  refundExecutor = createRefundExecutor();
+} catch (error) {
+  startupLog.error(error.message);
+  process.exit(1);
+}
+
+// Approved product catalog (PRODUCT_CATALOG_PATH, default config/product-catalog.json)
+const catalogStore = createCatalogStore({
+  filePath: process.env.PRODUCT_CATALOG_PATH
+    ? path.resolve(process.env.PRODUCT_CATALOG_PATH)
+    : path.join(__dirname, 'config', 'product-catalog.json')
+});
+
+// Load product catalog (startup fails with a validation report if the file is invalid)
 loadProductCatalog();
 
 // Enable CORS and JSON parsing
-app.use(cors());
-app.use(express.json());
+app.use(cors({ exposedHeaders: ['X-PAYMENT-RESPONSE', 'X-Payment-Id', 'X-Request-Id'] }));
+// Keep the raw body so signed webhooks can be verified byte-for-byte
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Correlate every log line of a request: a well-formed X-Request-Id is kept,
+// otherwise one is generated. /purchase stores it on the payment so webhook,
+// settlement and Crossmint logs for that payment carry the same requestId.
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.requestId = incoming && /^[A-Za-z0-9._:-]{1,100}$/.test(incoming)
+    ? incoming
+    : `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  req.log = logger.child({ requestId: req.requestId });
+  res.set('X-Request-Id', req.requestId);
+
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    const durationMs = Date.now() - startedAt;
+    // Route templates (/orders/:orderId) keep the label set bounded
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+    httpRequestDuration.observe({ method: req.method, route }, durationMs / 1000);
+
+    req.log.info('Request completed', {
+      component: 'http',
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs
+    });
+  });
+  next();
+});
 
-// Store payment states (in-memory for demo)
-const pendingPayments = new Map();
+// Persistent storage (file-backed by default, STORAGE_DRIVER=memory for tests)
+const store = createStore();
+startupLog.info('Storage ready', { driver: store.driver, filePath: store.filePath || null });
+
+// Store payment states, keyed by paymentId
+const pendingPayments = store.collection('payments');
+
+// Store created orders, keyed by Crossmint orderId
+const orders = store.collection('orders');
 
 // Store idempotency keys with TTL (1 hour)
-const idempotencyCache = new Map();
+const idempotencyCache = store.collection('idempotency');
+
+// Store nonces of accepted payment webhooks until their replay window passes
+const webhookNonces = store.collection('webhookNonces');
+
+// Store nonces of product blobs already used for a purchase until the blob expires
+const usedProductNonces = store.collection('productNonces');
+
+// Store settled spend per buyer, keyed by buyer id
+const buyerSpend = store.collection('buyerSpend');
+
+// Unpaid challenge lifetime (PAYMENT_CHALLENGE_TTL_SECONDS) and how long finished
+// payments and orders are kept (RECORD_RETENTION_DAYS)
+const retentionConfig = getRetentionConfig();
+
+// Per-buyer spending limits (BUYERS_PATH, default data/buyers.json; unlimited without a file)
+let buyerBudgets;
+try {
+  buyerBudgets = createBuyerBudgets({ spend: buyerSpend, payments: pendingPayments });
+} catch (error) {
+  startupLog.error(error.message);
+  process.exit(1);
+}
+startupLog.info('Buyer budgets loaded', { buyers: buyerBudgets.buyers.length, requireBuyer: buyerBudgets.requireBuyer });
+
+// Markup, fees, shipping and tax rules (PRICING_CONFIG_PATH, default config/pricing.json)
+let pricingConfig;
+try {
+  pricingConfig = loadPricingConfig();
+} catch (error) {
+  startupLog.error(error.message);
+  process.exit(1);
+}
+startupLog.info('Pricing rules loaded', {
+  filePath: pricingConfig.filePath,
+  markupPercent: pricingConfig.markupPercent,
+  serviceFee: formatMinorUnits(pricingConfig.serviceFeeMinor),
+  stateTaxRates: Object.keys(pricingConfig.tax.ratesByState).length
+});
+
+// Signed quote tokens from POST /quote (QUOTE_TTL_SECONDS, default 300)
+const quoteSigner = createQuoteSigner({ keyRing });
+
+// Supported shipping countries (SHIPPING_COUNTRIES) and the demo address sandbox (SHIPPING_SANDBOX_MODE)
+const shippingConfig = getShippingConfig();
+startupLog.info('Shipping countries', { countries: shippingConfig.countries, sandbox: shippingConfig.sandbox });
+if (shippingConfig.sandbox) {
+  startupLog.warn('SHIPPING_SANDBOX_MODE is on: purchases without shipping go to the demo address');
+}
+
+// Apply a payment status change and record it in the payment's history
+function transitionPayment(paymentId, status, updates = {}) {
+  const payment = pendingPayments.get(paymentId);
+  if (!payment) {
+    throw new Error(`Payment ${paymentId} not found`);
+  }
+
+  const at = new Date().toISOString();
+  const updated = {
+    ...payment,
+    ...updates,
+    status,
+    updatedAt: at,
+    history: [...(payment.history || []), { status, at }]
+  };
 
-// Product catalog management
-var productCatalog = null;
+  pendingPayments.set(paymentId, updated);
+  return updated;
+}
 
+// Product catalog management (validated, written atomically, hot-reloaded on file changes)
 function loadProductCatalog() {
   try {
-    const catalogPath = path.join(__dirname, 'config', 'product-catalog.json');
-    const catalogData = fs.readFileSync(catalogPath, 'utf8');
-    productCatalog = JSON.parse(catalogData);
-    console.log(`📦 Product catalog loaded: ${productCatalog.products.length} products`);
-    return productCatalog;
+    const productCatalog = catalogStore.reload('startup');
+    startupLog.info('Product catalog loaded', { products: productCatalog.products.length });
   } catch (error) {
-    console.error('❌ Failed to load product catalog:', error.message);
-    // Fallback catalog
-    productCatalog = {
-      defaultASIN: "B08C7KG5LP",
-      products: [
-        { asin: "B08C7KG5LP", name: "Apple AirPods (3rd Generation)", sku: "B08C7KG5LP", price: 169.99 },
-        { asin: "B01MTB55WH", name: "Apple AirPods (3rd Gen - Alt Listing)", sku: "B01MTB55WH", price: 169.99 }
-      ]
-    };
-    console.log('📦 Using fallback product catalog');
-    return productCatalog;
+    startupLog.error('Failed to load product catalog', {
+      filePath: catalogStore.status().filePath,
+      err: error,
+      errors: error.errors || []
+    });
+    process.exit(1);
   }
+
+  catalogStore.watch();
 }
 
 function validateAsin(asin, productFromSerp = null) {
-  if (!productCatalog) {
-    loadProductCatalog();
-  }
+  const productCatalog = catalogStore.get();
 
   if (!asin) {
     return {
@@ -168,7 +439,7 @@ function validateAsin(asin, productFromSerp = null) {
 }
 
 function logAsinFlow(requestId, stage, data) {
-  console.log(`[ASIN-Flow] ${requestId} ${stage}:`, data);
+  logger.debug('ASIN flow', { component: 'asin-flow', requestId, stage, ...data });
 }
 
 // Crypto utilities for stateless product signing
@@ -187,24 +458,54 @@ function base64urlDecode(str) {
   return Buffer.from(str, 'base64');
 }
 
+// Lifetime of a signed product blob (default 15 minutes)
+const PRODUCT_BLOB_TTL_SECONDS = parseInt(process.env.PRODUCT_BLOB_TTL_SECONDS, 10) || 900;
+
+// Sign a product with the active key, embedding its key ID alongside
+// issued-at/expiry claims and a single-use nonce
 function signProduct(product) {
-  const productBlob = base64urlEncode(Buffer.from(JSON.stringify(product)));
-  const signature = crypto.createHmac('sha256', process.env.PRODUCT_SIGNING_SECRET)
+  const signingKey = keyRing.getActiveKey();
+  const iat = Math.floor(Date.now() / 1000);
+  const claims = {
+    kid: signingKey.kid,
+    iat,
+    exp: iat + PRODUCT_BLOB_TTL_SECONDS,
+    nonce: crypto.randomBytes(12).toString('hex')
+  };
+
+  const productBlob = base64urlEncode(Buffer.from(JSON.stringify({ ...product, ...claims })));
+  const signature = crypto.createHmac('sha256', signingKey.secret)
     .update(productBlob)
     .digest('hex');
 
-  return { productBlob, signature };
+  return { productBlob, signature, expiresAt: new Date(claims.exp * 1000).toISOString() };
 }
 
+// Verify a blob against the (non-retired) key named by its kid claim.
+// Blobs without a kid predate the key ring and were signed with the default key.
+// Malformed signatures or blobs return false instead of throwing.
 function verifyProductSignature(productBlob, signature) {
-  const expectedSignature = crypto.createHmac('sha256', process.env.PRODUCT_SIGNING_SECRET)
+  if (typeof productBlob !== 'string' || typeof signature !== 'string' || !/^[0-9a-f]{64}$/i.test(signature)) {
+    return false;
+  }
+
+  let kid;
+  try {
+    kid = decodeProduct(productBlob).kid || DEFAULT_KEY_ID;
+  } catch {
+    return false;
+  }
+
+  const verificationKey = keyRing.getVerificationKey(kid);
+  if (!verificationKey) {
+    return false;
+  }
+
+  const expectedSignature = crypto.createHmac('sha256', verificationKey.secret)
     .update(productBlob)
-    .digest('hex');
+    .digest();
 
-  return crypto.timingSafeEqual(
-    Buffer.from(signature, 'hex'),
-    Buffer.from(expectedSignature, 'hex')
-  );
+  return crypto.timingSafeEqual(Buffer.from(signature, 'hex'), expectedSignature);
 }
 
 function decodeProduct(productBlob) {
@@ -216,6 +517,17 @@ function decodeProduct(productBlob) {
   }
 }
 
+// Split a decoded blob into the product and its signing claims.
+// Blobs signed before claims were introduced have no exp and count as expired.
+function splitProductClaims(decoded) {
+  const { kid, iat, exp, nonce, ...product } = decoded;
+  return { product, claims: { kid, iat, exp, nonce } };
+}
+
+function isProductBlobExpired(claims, now = Date.now()) {
+  return !Number.isFinite(claims.exp) || claims.exp * 1000 <= now;
+}
+
 // Amazon locator helper function
 function toAmazonLocator(p) {
   if (p.asin) return `amazon:${p.asin}`;
@@ -244,52 +556,106 @@ function storeIdempotencyResult(key, result) {
   });
 }
 
-// Clean up expired idempotency entries every 30 minutes
+// Expire unpaid challenges whose buyer never paid
+function expireChallenge(paymentId) {
+  const expired = transitionPayment(paymentId, 'expired');
+  logForRecord(expired, 'payment').info('Payment challenge expired unpaid');
+  return expired;
+}
+
+// Clean up expired idempotency entries, nonces, unpaid challenges and finished
+// payments and orders every 30 minutes
 setInterval(() => {
   const now = Date.now();
+  for (const payment of pendingPayments.find(record => isChallengeExpired(record, retentionConfig, now))) {
+    expireChallenge(payment.paymentId);
+  }
+  const pruned = pruneFinishedRecords({ payments: pendingPayments, orders, config: retentionConfig, now });
+  if (pruned.payments > 0 || pruned.orders > 0) {
+    logger.info('Pruned finished records', { component: 'storage', ...pruned });
+  }
+
   for (const [key, value] of idempotencyCache.entries()) {
     if (now - value.timestamp >= 3600000) {
       idempotencyCache.delete(key);
     }
   }
+  pruneWebhookNonces(webhookNonces, now);
+  for (const [nonce, record] of usedProductNonces.entries()) {
+    if (record.expiresAt <= now) {
+      usedProductNonces.delete(nonce);
+    }
+  }
 }, 1800000);
 
-// Helper function to call Crossmint API with structured logging
+// Helper function to call Crossmint API with structured logging.
+// GETs and calls carrying an idempotencyKey are retried on timeouts and 429/5xx;
+// other calls are attempted once. `log` carries the caller's requestId/paymentId.
 async function callCrossmintAPI(endpoint, options = {}) {
+  const { idempotencyKey, log = crossmintLog, ...fetchOptions } = options;
+  const method = fetchOptions.method || 'GET';
   const url = `${CROSSMINT_BASE_URL}${endpoint}`;
+  const startedAt = Date.now();
 
-  // Log the outgoing request (sanitized)
-  console.log(`[Crossmint API] → ${options.method || 'GET'} ${endpoint}`);
-  if (options.body) {
-    console.log(`[Crossmint API] Request body:`, JSON.parse(options.body));
+  // Bodies are logged at debug level only, with recipient details redacted
+  log.info('Crossmint request', { method, endpoint });
+  if (fetchOptions.body) {
+    log.debug('Crossmint request body', { method, endpoint, body: JSON.parse(fetchOptions.body) });
   }
 
-  const response = await fetch(url, {
-    ...options,
+  const response = await crossmintUpstream.fetch(url, {
+    ...fetchOptions,
     headers: {
       'X-API-KEY': CROSSMINT_API_KEY,
       'Content-Type': 'application/json',
-      ...options.headers
+      ...(idempotencyKey ? { 'X-Idempotency-Key': idempotencyKey } : {}),
+      ...fetchOptions.headers
     }
-  });
+  }, { retry: method === 'GET' || !!idempotencyKey });
 
-  // Log the raw response status
-  console.log(`[Crossmint API] ← ${response.status} ${response.statusText}`);
+  const responseFields = { method, endpoint, status: response.status, durationMs: Date.now() - startedAt };
 
   if (!response.ok) {
     const errorBody = await response.text();
-    console.log(`[Crossmint API] Error body:`, errorBody);
-    throw new Error(`Crossmint API error: ${response.status} ${response.statusText} - ${errorBody}`);
+    log.warn('Crossmint request failed', { ...responseFields, body: errorBody });
+    const error = new Error(`Crossmint API error: ${response.status} ${response.statusText} - ${errorBody}`);
+    error.status = response.status;
+    throw error;
   }
 
   const responseData = await response.json();
-
-  // Log the raw response JSON (sanitized - mask sensitive data if needed)
-  console.log(`[Crossmint API] Response:`, responseData);
+  log.info('Crossmint response', responseFields);
+  log.debug('Crossmint response body', { ...responseFields, body: responseData });
 
   return responseData;
 }
 
+// Readiness probe: looks up an order id that cannot exist, so nothing is created.
+// Any answer but 401/403 (API key refused) or a 5xx means Crossmint is usable.
+async function probeCrossmint({ signal }) {
+  let response;
+  try {
+    response = await fetch(`${CROSSMINT_BASE_URL}/orders/readiness-probe`, {
+      headers: { 'X-API-KEY': CROSSMINT_API_KEY },
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw error;
+    }
+    throw new Error(`Crossmint request failed: ${error.cause?.message || error.message}`);
+  }
+  await response.body?.cancel();
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(`Crossmint refused the API key (HTTP ${response.status})`);
+  }
+  if (response.status >= 500) {
+    throw new Error(`Crossmint returned HTTP ${response.status}`);
+  }
+  return { environment: crossmintConfig.environment, circuit: crossmintUpstream.state().circuit };
+}
+
 // Runtime schema validation for Crossmint order response
 function validateCrossmintOrderResponse(data) {
   if (!data || typeof data !== 'object') {
@@ -308,13 +674,54 @@ function validateCrossmintOrderResponse(data) {
   };
 }
 
-// PRODUCTION MODE: No demo data - requires real SerpAPI key
+// Per-ASIN cache of the latest product data seen in search results
+const productCache = new TtlLruCache({
+  name: 'products',
+  maxEntries: parseInt(process.env.PRODUCT_CACHE_MAX_ENTRIES, 10) || 1000,
+  ttlMs: (parseInt(process.env.PRODUCT_CACHE_TTL_SECONDS, 10) || 3600) * 1000
+});
 
-// Cache for products to avoid repeated API calls
-const productCache = new Map();
+// Query-level cache of search results, keyed by normalized query and limit
+const searchCache = new TtlLruCache({
+  name: 'searches',
+  maxEntries: parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES, 10) || 200,
+  ttlMs: (parseInt(process.env.SEARCH_CACHE_TTL_SECONDS, 10) || 300) * 1000
+});
 
 // Health endpoint
-app.get('/health', (req, res) => {
+// Dependencies probed by GET /health/ready (READINESS_TIMEOUT_MS, READINESS_CACHE_SECONDS,
+// READINESS_OPTIONAL); results are cached, so /diagnostics and /metrics reuse them
+const readiness = createReadinessChecker({
+  dependencies: [
+    { name: 'crossmint', target: { url: CROSSMINT_BASE_URL }, probe: probeCrossmint },
+    {
+      name: 'search',
+      target: { provider: searchProvider.name },
+      probe: options => (searchProvider.probe ? searchProvider.probe(options) : Promise.resolve())
+    },
+    {
+      name: 'facilitator',
+      target: { url: getExactPaymentConfig().facilitatorUrl },
+      probe: options => facilitator.probe(options)
+    }
+  ]
+});
+
+metrics.gauge({
+  name: 'amazon_proxy_dependency_up',
+  help: 'Last readiness probe result per dependency (1 up, 0 down)',
+  labelNames: ['dependency'],
+  collect: gauge => {
+    for (const [name, state] of Object.entries(readiness.snapshot().dependencies)) {
+      if (state.status !== 'unknown') {
+        gauge.set({ dependency: name }, state.status === 'up' ? 1 : 0);
+      }
+    }
+  }
+});
+
+// Liveness: the process is up and serving requests. Never checks dependencies.
+function sendLiveness(req, res) {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
@@ -322,6 +729,21 @@ app.get('/health', (req, res) => {
     service: 'Amazon Crossmint Proxy',
     version: '2.0.0'
   });
+}
+
+app.get('/health', sendLiveness);
+app.get('/health/live', sendLiveness);
+
+// Readiness: 503 while a required dependency (Crossmint, search, facilitator) is down
+app.get('/health/ready', async (req, res) => {
+  const report = await readiness.check();
+  res.status(report.ready ? 200 : 503).json(report);
+});
+
+// Prometheus metrics (text exposition format)
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
 });
 
 // Root endpoint
@@ -329,83 +751,77 @@ app.get('/', (req, res) => {
   res.json({
     name: 'Amazon Crossmint Proxy',
     version: '2.0.0',
-    mode: 'PRODUCTION - Real Amazon Integration',
+    mode: crossmintConfig.realOrders
+      ? 'PRODUCTION - Real Amazon Integration'
+      : `${crossmintConfig.label.toUpperCase()} - No real orders are placed`,
     endpoints: {
       'GET /': 'This endpoint',
-      'GET /products?search=query': 'Search real Amazon products via Crossmint',
+      'GET /products?search=query': 'Search Amazon products via the configured search provider',
+      'GET /products/:asin': 'Fetch one product live, signed, with current price and availability',
       'POST /purchase': 'Purchase real Amazon products (requires x402 payment)',
       'POST /payment-webhook': 'Payment settlement webhook - creates real orders',
-      'GET /payment/:paymentId': 'Check payment status'
+      'GET /payment/:paymentId': 'Check payment status',
+      'GET /orders/:orderId': 'Order status and lifecycle history',
+      'POST /orders/:orderId/cancel': 'Cancel an unshipped order and refund the payer (admin)',
+      'GET /budget': 'Remaining spending budget of the calling buyer (X-API-Key)',
+      'GET /metrics': 'Prometheus metrics (requests, payments, orders, upstream calls)',
+      'GET /health/live': 'Liveness: the process is up',
+      'GET /health/ready': 'Readiness: probes Crossmint, search and the facilitator (503 when a required one is down)'
     },
     integration: {
-      crossmint: 'Production API',
+      crossmint: `${crossmintConfig.label} API`,
       amazon: 'Real products and orders',
       payment: 'x402/Faremeter with USDC'
     },
-    note: 'This proxy now creates REAL Amazon orders when payments are confirmed!'
+    note: crossmintConfig.realOrders
+      ? 'This proxy now creates REAL Amazon orders when payments are confirmed!'
+      : `Orders go to the Crossmint ${crossmintConfig.environment} environment and are not fulfilled`
   });
 });
 
-// Helper function for SerpAPI search - PRODUCTION ONLY
-async function searchAmazonProducts(query, limit = 10) {
-  if (!SERP_API_KEY) {
-    throw new Error('SERP_API_KEY is required for production Amazon search. No demo data available.');
-  }
-
-  console.log(`[Amazon Proxy] Searching for "${query}" via SerpAPI`);
-
-  try {
-    const serpApiUrl = `https://serpapi.com/search?engine=amazon&k=${encodeURIComponent(query)}&amazon_domain=amazon.com&api_key=${SERP_API_KEY}`;
+// Search Amazon products through the configured provider (or the search cache),
+// then sign them. Blobs are signed per response since each one is single-use.
+async function searchAmazonProducts(query, limit = 10, log = searchLog) {
+  const cacheKey = searchCacheKey(query, limit);
+  const cachedEntry = searchCache.peekEntry(cacheKey);
+  let products = searchCache.get(cacheKey);
+  const fromCache = products !== undefined;
 
-    const response = await fetch(serpApiUrl);
-    const data = await response.json();
+  if (fromCache) {
+    log.info('Serving search from cache', { query, count: products.length });
+  } else {
+    log.info('Searching', { query, provider: searchProvider.name });
 
-    if (!data.organic_results) {
-      console.log('[Amazon Proxy] No organic results from SerpAPI for:', query);
-      return [];
+    try {
+      products = await searchProvider.search(query, limit);
+    } catch (error) {
+      log.error('Search failed', { query, provider: searchProvider.name, err: error });
+      throw new Error(`Amazon search failed: ${error.message}`);
     }
 
-    const products = data.organic_results.map(item => {
-      // Normalize to the required Product type
-      const product = {
-        asin: item.asin,
-        title: item.title,
-        url: item.link_clean || `https://amazon.com/dp/${item.asin}`,
-        image: item.thumbnail || '',
-        price: {
-          amount: item.extracted_price || 0,
-          currency: "USD"
-        },
-        offerId: item.offer_id || null,
-        meta: {
-          source: "serpapi",
-          fetchedAt: new Date().toISOString()
-        }
-      };
-
-      return product;
-    }).slice(0, limit);
-
-    console.log(`[Amazon Proxy] Found ${products.length} real Amazon products via SerpAPI`);
-
-    // Cache products for later purchase and return signed data
-    return products.map(product => {
+    log.info('Search results', { query, provider: searchProvider.name, count: products.length });
+    searchCache.set(cacheKey, products);
+    for (const product of products) {
       productCache.set(product.asin, product);
-      const { productBlob, signature } = signProduct(product);
+    }
+  }
+
+  return {
+    cached: fromCache,
+    cachedAt: fromCache ? new Date(cachedEntry.storedAt).toISOString() : null,
+    products: products.map(product => {
+      const { productBlob, signature, expiresAt } = signProduct(product);
       return {
         product,
         productBlob,
-        signature
+        signature,
+        expiresAt
       };
-    });
-
-  } catch (error) {
-    console.error('[Amazon Proxy] SerpAPI search failed:', error.message);
-    throw new Error(`Amazon search failed: ${error.message}`);
-  }
+    })
+  };
 }
 
-// Search Amazon products - PRODUCTION ONLY
+// Search Amazon products
 app.get('/products', async (req, res) => {
   try {
     const { search, limit = 10 } = req.query;
@@ -417,23 +833,89 @@ app.get('/products', async (req, res) => {
       });
     }
 
-    // Use SerpAPI for real search only - no fallbacks
-    const signedProducts = await searchAmazonProducts(search, parseInt(limit));
+    const { products: signedProducts, cached, cachedAt } = await searchAmazonProducts(
+      search,
+      parseInt(limit),
+      req.log.child({ component: 'search' })
+    );
 
     res.json({
       products: signedProducts,
       count: signedProducts.length,
-      searchMethod: 'SerpAPI Production',
+      searchMethod: searchProvider.name,
+      cached,
+      cachedAt,
       query: search,
       note: 'Real Amazon products with HMAC signatures for stateless flow'
     });
   } catch (error) {
-    console.error('[Amazon Proxy] Search error:', error);
+    req.log.error('Search request failed', { component: 'search', err: error });
     res.status(500).json({
       error: 'Product search failed',
       message: error.message,
-      note: 'Ensure SERP_API_KEY is configured for production Amazon search'
+      note: `Check the configuration of the "${searchProvider.name}" search provider`
+    });
+  }
+});
+
+// Fetch a single product live from the search provider (bypassing the search cache)
+// and refresh the per-ASIN cache with it
+async function lookupAmazonProduct(asin, log = searchLog) {
+  log.info('Looking up ASIN', { asin, provider: searchProvider.name });
+
+  let product;
+  try {
+    product = await searchProvider.lookup(asin);
+  } catch (error) {
+    log.error('Lookup failed', { asin, provider: searchProvider.name, err: error });
+    throw new Error(`Amazon product lookup failed: ${error.message}`);
+  }
+
+  if (product) {
+    productCache.set(product.asin, product);
+  }
+  return product;
+}
+
+// Product detail - freshly fetched and signed, with current price and availability
+app.get('/products/:asin', async (req, res) => {
+  const { asin } = req.params;
+
+  if (!/^[A-Z0-9]{10}$/.test(asin)) {
+    return res.status(400).json(createErrorResponse(
+      'validation',
+      'INVALID_ASIN',
+      `"${asin}" is not a valid ASIN`,
+      { asin }
+    ));
+  }
+
+  try {
+    const product = await lookupAmazonProduct(asin, req.log.child({ component: 'search' }));
+    if (!product) {
+      return res.status(404).json(createErrorResponse(
+        'search.lookup',
+        'PRODUCT_NOT_FOUND',
+        `No product found for ASIN ${asin}`,
+        { asin, provider: searchProvider.name }
+      ));
+    }
+
+    const { productBlob, signature, expiresAt } = signProduct(product);
+    res.json({
+      product,
+      productBlob,
+      signature,
+      expiresAt,
+      searchMethod: searchProvider.name
     });
+  } catch (error) {
+    res.status(502).json(createErrorResponse(
+      'search.lookup',
+      'PRODUCT_LOOKUP_FAILED',
+      error.message,
+      { asin, provider: searchProvider.name }
+    ));
   }
 });
 
@@ -451,161 +933,933 @@ function createErrorResponse(stage, code, message, details = {}) {
   };
 }
 
-// Purchase endpoint - stateless flow with HMAC verification
-app.post('/purchase', async (req, res) => {
-  const {
-    productBlob,
-    signature,
-    quantity = 1,
-    shipping,
-    idempotencyKey,
-    priceExpectation
-  } = req.body;
+// Maximum number of distinct products accepted in a single cart purchase
+const MAX_CART_ITEMS = 20;
+
+// Normalize the request body into a list of { productBlob, signature, quantity } items.
+// Accepts either a cart (`items: [...]`) or the original single-product fields.
+function normalizePurchaseItems(body) {
+  if (Array.isArray(body.items)) {
+    return body.items.map(item => ({
+      productBlob: item?.productBlob,
+      signature: item?.signature,
+      quantity: Number(item?.quantity ?? 1),
+      priceExpectation: item?.priceExpectation
+    }));
+  }
 
-  const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  return [{
+    productBlob: body.productBlob,
+    signature: body.signature,
+    quantity: Number(body.quantity ?? 1),
+    priceExpectation: body.priceExpectation
+  }];
+}
 
-  // Log incoming request body (sanitized)
-  console.log(`[Amazon Proxy] Purchase request received (${requestId}):`, {
-    hasProductBlob: !!productBlob,
-    hasSignature: !!signature,
-    quantity,
-    hasShipping: !!shipping,
-    idempotencyKey,
-    hasPriceExpectation: !!priceExpectation
-  });
+// Check cart size and required fields before any item is verified.
+// Returns null or { status, error } ready to send.
+function checkRequestedItems(requestedItems, requestId, isCart) {
+  if (isCart && (requestedItems.length === 0 || requestedItems.length > MAX_CART_ITEMS)) {
+    return {
+      status: 400,
+      error: createErrorResponse(
+        'validation',
+        'INVALID_CART',
+        `items must contain between 1 and ${MAX_CART_ITEMS} products`,
+        { requestId, itemCount: requestedItems.length }
+      )
+    };
+  }
 
-  // Validate required fields
-  if (!productBlob || !signature) {
-    return res.status(400).json(createErrorResponse(
-      'validation',
-      'MISSING_REQUIRED_FIELDS',
-      'productBlob and signature are required',
-      { requestId, missing: !productBlob ? ['productBlob'] : ['signature'] }
-    ));
+  const missingFieldsIndex = requestedItems.findIndex(item => !item.productBlob || !item.signature);
+  if (missingFieldsIndex !== -1) {
+    const item = requestedItems[missingFieldsIndex];
+    return {
+      status: 400,
+      error: createErrorResponse(
+        'validation',
+        'MISSING_REQUIRED_FIELDS',
+        'productBlob and signature are required',
+        {
+          requestId,
+          ...(isCart ? { itemIndex: missingFieldsIndex } : {}),
+          missing: !item.productBlob ? ['productBlob'] : ['signature']
+        }
+      )
+    };
   }
 
-  // Check idempotency
-  if (idempotencyKey) {
-    const existingResult = checkIdempotency(idempotencyKey);
-    if (existingResult) {
-      console.log(`[Amazon Proxy] Returning cached result for idempotency key: ${idempotencyKey}`);
-      return res.json(existingResult);
-    }
+  return null;
+}
+
+// Validate the shipping block (or fall back to the demo address in sandbox mode).
+// Returns { ok: true, shipping } or { ok: false, status, error } ready to send.
+function checkShipping(shipping, requestId) {
+  const result = resolveShipping(shipping, shippingConfig);
+  if (!result.ok) {
+    return {
+      ok: false,
+      status: 400,
+      error: createErrorResponse(
+        'validation',
+        result.code,
+        result.message,
+        { requestId, errors: result.errors }
+      )
+    };
   }
+  if (result.sandbox) {
+    logger.info('No shipping given, using the sandbox demo address', { component: 'shipping', requestId });
+  }
+  return result;
+}
 
-  try {
-    // Step 1: Verify HMAC signature
-    if (!verifyProductSignature(productBlob, signature)) {
-      return res.status(400).json(createErrorResponse(
+// Verify, decode and validate a single cart item.
+// Returns { ok: true, item } or { ok: false, status, error } ready to send.
+function validatePurchaseItem(item, index, requestId, isCart) {
+  const itemDetails = isCart ? { itemIndex: index } : {};
+
+  if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+    return {
+      ok: false,
+      status: 400,
+      error: createErrorResponse(
+        'validation',
+        'INVALID_QUANTITY',
+        'quantity must be a positive integer',
+        { requestId, ...itemDetails, quantity: item.quantity }
+      )
+    };
+  }
+
+  // Verify HMAC signature
+  if (!verifyProductSignature(item.productBlob, item.signature)) {
+    return {
+      ok: false,
+      status: 400,
+      error: createErrorResponse(
         'auth',
         'INVALID_SIGNATURE',
         'Product signature verification failed',
-        { requestId }
-      ));
-    }
+        { requestId, ...itemDetails }
+      )
+    };
+  }
 
-    // Step 2: Decode and validate product data
-    let product;
-    try {
-      product = decodeProduct(productBlob);
-    } catch (error) {
-      return res.status(400).json(createErrorResponse(
+  // Decode and validate product data
+  let product;
+  let claims;
+  try {
+    ({ product, claims } = splitProductClaims(decodeProduct(item.productBlob)));
+  } catch (error) {
+    return {
+      ok: false,
+      status: 400,
+      error: createErrorResponse(
         'validation',
         'INVALID_PRODUCT_BLOB',
         'Failed to decode product data: ' + error.message,
-        { requestId }
-      ));
-    }
+        { requestId, ...itemDetails }
+      )
+    };
+  }
 
-    logAsinFlow(requestId, 'incoming', {
-      asin: product.asin,
-      title: product.title,
-      source: 'decoded_product'
-    });
+  // Reject stale blobs so purchases never use an outdated price
+  if (isProductBlobExpired(claims)) {
+    return {
+      ok: false,
+      status: 400,
+      error: createErrorResponse(
+        'validation',
+        'PRODUCT_BLOB_EXPIRED',
+        'Product data has expired. Search again with GET /products to get a fresh productBlob and signature.',
+        {
+          requestId,
+          ...itemDetails,
+          asin: product.asin,
+          expiredAt: Number.isFinite(claims.exp) ? new Date(claims.exp * 1000).toISOString() : null,
+          action: 'search_again'
+        }
+      )
+    };
+  }
 
-    // Step 3: ASIN validation against product catalog (pass product data from SERP)
-    const asinValidation = validateAsin(product.asin, product);
-    logAsinFlow(requestId, 'validation', asinValidation);
+  // Each signed blob may start only one purchase
+  if (!claims.nonce || usedProductNonces.has(claims.nonce)) {
+    return {
+      ok: false,
+      status: 409,
+      error: createErrorResponse(
+        'validation',
+        'PRODUCT_BLOB_ALREADY_USED',
+        'This productBlob has already been used for a purchase. Search again to get a fresh productBlob.',
+        { requestId, ...itemDetails, asin: product.asin, action: 'search_again' }
+      )
+    };
+  }
 
-    if (!asinValidation.valid) {
-      return res.status(400).json(createErrorResponse(
+  logAsinFlow(requestId, 'incoming', {
+    asin: product.asin,
+    title: product.title,
+    source: 'decoded_product',
+    ...itemDetails
+  });
+
+  // ASIN validation against product catalog (pass product data from SERP)
+  const asinValidation = validateAsin(product.asin, product);
+  logAsinFlow(requestId, 'validation', asinValidation);
+  asinValidationsTotal.inc({ reason: asinValidation.reason });
+
+  if (!asinValidation.valid) {
+    return {
+      ok: false,
+      status: 400,
+      error: createErrorResponse(
         'catalog.validate',
         'ASIN_NOT_IN_CATALOG',
         `ASIN ${product.asin} is not in the approved product catalog`,
         {
           requestId,
+          ...itemDetails,
           providedAsin: product.asin,
           suggestions: asinValidation.suggestions,
-          availableAsins: productCatalog.products.map(p => p.asin)
+          availableAsins: catalogStore.get().products.map(p => p.asin)
         }
-      ));
-    }
-
-    // Use validated ASIN (might be different if defaulted)
-    const validatedAsin = asinValidation.asin;
-    const catalogProduct = asinValidation.product;
+      )
+    };
+  }
 
-    logAsinFlow(requestId, 'validated', {
-      originalAsin: product.asin,
-      validatedAsin: validatedAsin,
-      catalogProduct: catalogProduct.name,
-      reason: asinValidation.reason
-    });
+  logAsinFlow(requestId, 'validated', {
+    originalAsin: product.asin,
+    validatedAsin: asinValidation.asin,
+    catalogProduct: asinValidation.product.name,
+    reason: asinValidation.reason
+  });
 
-    console.log(`[Amazon Proxy] Processing purchase for ASIN: ${validatedAsin}, Title: ${catalogProduct.name} (${asinValidation.reason})`);
+  // A missing or non-positive price (SerpAPI reports 0 when it has none) is unknown;
+  // the requireKnownPrice policy decides whether such an item can be bought
+  const unitPrice = Number(product.price?.amount) > 0 ? Number(product.price.amount) : 0;
 
-    // Step 4: Optional price validation (if priceExpectation provided)
-    if (priceExpectation && product.price.amount > priceExpectation.amount) {
-      return res.status(400).json(createErrorResponse(
+  // Optional price validation (if priceExpectation provided)
+  if (item.priceExpectation && unitPrice > item.priceExpectation.amount) {
+    return {
+      ok: false,
+      status: 400,
+      error: createErrorResponse(
         'sku.validate',
         'PRICE_EXCEEDED',
-        `Current price $${product.price.amount} exceeds expected price $${priceExpectation.amount}`,
+        `Current price $${unitPrice} exceeds expected price $${item.priceExpectation.amount}`,
         {
           requestId,
-          currentPrice: product.price.amount,
-          expectedPrice: priceExpectation.amount
+          ...itemDetails,
+          currentPrice: unitPrice,
+          expectedPrice: item.priceExpectation.amount
         }
-      ));
+      )
+    };
+  }
+
+  return {
+    ok: true,
+    item: {
+      asin: asinValidation.asin,
+      originalAsin: product.asin,
+      title: product.title,
+      quantity: item.quantity,
+      unitPrice,
+      unitPriceMinor: toMinorUnits(unitPrice),
+      product: asinValidation.product,
+      validationReason: asinValidation.reason,
+      categories: [
+        ...(product.categories || []),
+        ...(asinValidation.product.category ? [asinValidation.product.category] : [])
+      ],
+      productBlob: item.productBlob,
+      signature: item.signature,
+      blobNonce: claims.nonce,
+      blobExpiresAt: claims.exp,
+      priceExpectation: item.priceExpectation
     }
+  };
+}
 
-    // Step 4: Optional re-lookup for price validation (safer but requires additional API call)
-    // For now, we'll skip this since it requires another SerpAPI call per purchase
+// Validate every requested item and reject the same blob appearing twice.
+// Returns { ok: true, items } or { ok: false, status, error } ready to send.
+function validatePurchaseItems(requestedItems, requestId, isCart) {
+  const items = [];
+  for (const [index, requestedItem] of requestedItems.entries()) {
+    const result = validatePurchaseItem(requestedItem, index, requestId, isCart);
+    if (!result.ok) {
+      return result;
+    }
+    if (items.some(existing => existing.blobNonce === result.item.blobNonce)) {
+      return {
+        ok: false,
+        status: 400,
+        error: createErrorResponse(
+          'validation',
+          'DUPLICATE_CART_ITEM',
+          'The same productBlob appears more than once; use quantity instead',
+          { requestId, itemIndex: index }
+        )
+      };
+    }
+    items.push(result.item);
+  }
+  return { ok: true, items };
+}
 
-    const totalPrice = (product.price.amount * quantity).toFixed(2);
-    const paymentId = `payment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+// Live price re-check before issuing a 402 (opt-in: costs one provider lookup per item)
+const PRICE_RECHECK_ENABLED = process.env.PRICE_RECHECK_ENABLED === 'true';
+const PRICE_DRIFT_TOLERANCE_PERCENT = parseFloat(process.env.PRICE_DRIFT_TOLERANCE_PERCENT || '2');
 
-    console.log(`[Amazon Proxy] Processing purchase: ${paymentId}, Amount: $${totalPrice} for ${product.title}`);
+// Compare a validated item's signed price with the live price.
+// Returns { ok: true } or { ok: false, status, error } ready to send.
+async function recheckItemPrice(item, index, requestId, isCart) {
+  const itemDetails = isCart ? { itemIndex: index } : {};
 
-    // Store payment details for later order creation after payment confirmation
-    pendingPayments.set(paymentId, {
-      asin: validatedAsin,
-      originalAsin: product.asin,
-      quantity,
-      product: catalogProduct,
-      totalPrice: parseFloat(totalPrice),
-      status: 'pending',
-      createdAt: new Date(),
-      shipping: shipping || null,
-      productBlob,
-      signature,
-      priceExpectation,
-      idempotencyKey
+  let liveProduct;
+  try {
+    liveProduct = await lookupAmazonProduct(item.originalAsin, searchLog.child({ requestId }));
+  } catch (error) {
+    return {
+      ok: false,
+      status: 502,
+      error: createErrorResponse(
+        'sku.recheck',
+        'PRICE_RECHECK_FAILED',
+        'Could not re-check the current price: ' + error.message,
+        { requestId, ...itemDetails, asin: item.originalAsin }
+      )
+    };
+  }
+
+  if (!liveProduct || liveProduct.availability?.inStock === false) {
+    return {
+      ok: false,
+      status: 409,
+      error: createErrorResponse(
+        'sku.recheck',
+        'PRODUCT_UNAVAILABLE',
+        `ASIN ${item.originalAsin} is no longer available`,
+        {
+          requestId,
+          ...itemDetails,
+          asin: item.originalAsin,
+          availability: liveProduct?.availability || null
+        }
+      )
+    };
+  }
+
+  const currentPrice = liveProduct.price.amount;
+  const driftPercent = item.unitPrice > 0
+    ? Math.abs(currentPrice - item.unitPrice) / item.unitPrice * 100
+    : (currentPrice > 0 ? Infinity : 0);
+
+  logAsinFlow(requestId, 'price_recheck', {
+    asin: item.originalAsin,
+    signedPrice: item.unitPrice,
+    currentPrice,
+    driftPercent
+  });
+
+  if (driftPercent > PRICE_DRIFT_TOLERANCE_PERCENT) {
+    return {
+      ok: false,
+      status: 409,
+      error: createErrorResponse(
+        'sku.recheck',
+        'PRICE_DRIFTED',
+        `Price of ${item.originalAsin} changed from $${item.unitPrice} to $${currentPrice}, beyond the ${PRICE_DRIFT_TOLERANCE_PERCENT}% tolerance`,
+        {
+          requestId,
+          ...itemDetails,
+          asin: item.originalAsin,
+          signedPrice: item.unitPrice,
+          currentPrice,
+          driftPercent: Number.isFinite(driftPercent) ? Number(driftPercent.toFixed(2)) : null,
+          tolerancePercent: PRICE_DRIFT_TOLERANCE_PERCENT,
+          action: 'search_again'
+        }
+      )
+    };
+  }
+
+  return { ok: true };
+}
+
+// Price validated items in minor units: subtotal, markup, service fee, shipping, tax
+function priceItems(items, shipping) {
+  return priceOrder(items.map(item => ({
+    asin: item.originalAsin,
+    title: item.title,
+    quantity: item.quantity,
+    unitPriceMinor: item.unitPriceMinor
+  })), shipping?.address, pricingConfig);
+}
+
+// Catalog purchase policies (price ceilings, quantity limits, deny lists)
+// evaluated against validated items and the priced order total
+function checkPurchasePolicies(items, pricing) {
+  return evaluatePurchasePolicies(catalogStore.get().policies, items.map(item => ({
+    asin: item.asin,
+    title: item.title,
+    name: item.product.name,
+    categories: item.categories,
+    unitPriceMinor: item.unitPriceMinor,
+    quantity: item.quantity
+  })), { orderTotalMinor: pricing.totalMinor });
+}
+
+// Check a quote token from POST /quote against the purchase it is presented with.
+// Returns { ok: true, quoteId, pricing } or { ok: false, status, error } ready to send.
+function resolvePurchaseQuote(quoteToken, items, shipping, requestId) {
+  const verification = quoteSigner.verify(quoteToken);
+  if (!verification.ok) {
+    return {
+      ok: false,
+      status: 400,
+      error: createErrorResponse(
+        'quote.verify',
+        verification.code,
+        verification.message,
+        { requestId, ...verification.details }
+      )
+    };
+  }
+
+  const { claims } = verification;
+  const mismatch = findQuoteMismatch(claims, items, destinationState(shipping?.address));
+  if (mismatch) {
+    return {
+      ok: false,
+      status: 409,
+      error: createErrorResponse(
+        'quote.verify',
+        'QUOTE_MISMATCH',
+        `Purchase does not match quote ${claims.quoteId}: ${mismatch}`,
+        { requestId, quoteId: claims.quoteId, action: 'quote_again' }
+      )
+    };
+  }
+
+  return { ok: true, quoteId: claims.quoteId, pricing: claims.pricing };
+}
+
+// Fingerprint of the purchased items, used to match an X-PAYMENT retry of the same
+// request body to the payment created by the original 402 challenge
+function getPurchaseFingerprint(requestedItems) {
+  const canonical = requestedItems.map(item => [item.productBlob, item.signature, item.quantity]);
+  return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+}
+
+// Find the payment an X-PAYMENT retry refers to: an explicit paymentId, the challenge
+// reference echoed in the payload, the idempotency key, or the request fingerprint
+function findPaymentForRetry(req, paymentPayload, fingerprint) {
+  const explicitId = req.body.paymentId || req.get('X-Payment-Id');
+  if (explicitId) {
+    return pendingPayments.get(explicitId) || null;
+  }
+
+  const reference = paymentPayload.payload?.reference || paymentPayload.reference;
+  if (reference && pendingPayments.has(reference)) {
+    return pendingPayments.get(reference);
+  }
+
+  if (req.body.idempotencyKey) {
+    const cached = checkIdempotency(req.body.idempotencyKey);
+    if (cached && cached.paymentId && pendingPayments.has(cached.paymentId)) {
+      return pendingPayments.get(cached.paymentId);
+    }
+  }
+
+  const candidates = pendingPayments
+    .find(payment => payment.fingerprint === fingerprint)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  return candidates.find(payment => payment.status === 'pending') || candidates[0] || null;
+}
+
+// Shape of a created order as returned to clients
+function formatOrderResult(payment) {
+  return {
+    paymentId: payment.paymentId,
+    orderId: payment.orderId,
+    product: getPaymentItems(payment)[0].title || payment.product?.title || payment.product?.name || null,
+    items: getPaymentItems(payment).map(item => ({ asin: item.asin, quantity: item.quantity })),
+    total: payment.totalPrice,
+    pricing: payment.pricing || null
+  };
+}
+
+// Set the X-PAYMENT-RESPONSE header describing the settlement of a payment
+function setPaymentResponseHeader(res, payment) {
+  res.set('X-PAYMENT-RESPONSE', encodePaymentHeader({
+    success: true,
+    transaction: payment.settlement?.transaction || null,
+    network: payment.settlement?.network || null,
+    payer: payment.settlement?.payer || payment.payer || null
+  }));
+}
+
+// Standard x402 retry: the client repeats the original /purchase request with an
+// X-PAYMENT header. Settle the matching payment and return the order synchronously.
+async function handlePaidPurchase(req, res, requestId, requestedItems) {
+  let paymentPayload;
+  try {
+    paymentPayload = decodePaymentPayload(req.get('X-PAYMENT'));
+  } catch (error) {
+    return res.status(400).json(createErrorResponse(
+      'payment.verify',
+      'INVALID_PAYMENT_PAYLOAD',
+      error.message,
+      { requestId }
+    ));
+  }
+
+  const fingerprint = getPurchaseFingerprint(requestedItems);
+  const payment = findPaymentForRetry(req, paymentPayload, fingerprint);
+  if (!payment) {
+    return res.status(404).json(createErrorResponse(
+      'payment.match',
+      'PAYMENT_NOT_FOUND',
+      'No payment challenge matches this X-PAYMENT retry; request a new 402 challenge first',
+      { requestId }
+    ));
+  }
+
+  const { paymentId } = payment;
+
+  // A payment found by id, reference or idempotency key must still be for the same purchase
+  if (payment.fingerprint !== fingerprint) {
+    req.log.warn('X-PAYMENT retry does not repeat the original purchase', { component: 'payment', paymentId });
+    return res.status(409).json(createErrorResponse(
+      'payment.match',
+      'PURCHASE_MISMATCH',
+      `This X-PAYMENT retry does not repeat the items and quantities of payment ${paymentId}; retry the original request or request a new 402 challenge`,
+      { requestId, paymentId }
+    ));
+  }
+
+  req.log.info('X-PAYMENT retry matched payment', {
+    component: 'payment',
+    paymentId,
+    purchaseRequestId: payment.requestId,
+    status: payment.status
+  });
+
+  // A repeated retry after the order exists returns the same result
+  if (payment.status === 'completed') {
+    setPaymentResponseHeader(res, payment);
+    return res.json({ status: 'success', order: formatOrderResult(payment) });
+  }
+
+  if (payment.status === 'settlement_unknown') {
+    return res.status(409).json(createErrorResponse(
+      'payment.match',
+      'SETTLEMENT_UNKNOWN',
+      `Payment ${paymentId} may already have settled and is held for reconciliation; do not pay again`,
+      { requestId, paymentId, status: payment.status }
+    ));
+  }
+
+  if (payment.status !== 'pending' && payment.status !== 'order_unknown') {
+    return res.status(409).json(createErrorResponse(
+      'payment.match',
+      'PAYMENT_NOT_PENDING',
+      `Payment ${paymentId} cannot be settled (status: ${payment.status})`,
+      { requestId, paymentId, status: payment.status }
+    ));
+  }
+
+  // Already settled: only the order is retried, under the same idempotency key
+  const settlementResult = payment.status === 'order_unknown'
+    ? { ok: true }
+    : await verifyAndSettlePayment(paymentId, paymentPayload);
+  if (!settlementResult.ok) {
+    const error = createErrorResponse(
+      'payment.verify',
+      settlementResult.code,
+      settlementResult.message,
+      { requestId, paymentId, ...settlementResult.details }
+    );
+    // Only a payment back in `pending` can be paid again
+    if (pendingPayments.get(paymentId).status !== 'pending') {
+      return res.status(settlementResult.status).json(error);
+    }
+    // Re-issue the original challenge so the client can pay again
+    return res.status(settlementResult.status).json({
+      ...error,
+      x402Version: 1,
+      paymentId,
+      accepts: getChallengeAccepts(payment)
     });
+  }
+
+  try {
+    const completedPayment = await createOrderForPayment(paymentId);
+    setPaymentResponseHeader(res, completedPayment);
+    return res.json({ status: 'success', order: formatOrderResult(completedPayment) });
+  } catch (orderError) {
+    return res.status(502).json(orderCreationErrorResponse(paymentId, orderError, { requestId }));
+  }
+}
+
+// Quote endpoint - prices signed product(s) for a shipping destination without
+// creating a payment or consuming the blobs. The quoteToken it returns can be
+// passed to /purchase with the same items to lock in the quoted price.
+app.post('/quote', async (req, res) => {
+  const { requestId } = req;
+  const log = req.log.child({ component: 'quote' });
+  const isCart = Array.isArray(req.body.items);
+  const requestedItems = normalizePurchaseItems(req.body);
+
+  const requestError = checkRequestedItems(requestedItems, requestId, isCart);
+  if (requestError) {
+    return res.status(requestError.status).json(requestError.error);
+  }
+
+  const shippingResult = checkShipping(req.body.shipping, requestId);
+  if (!shippingResult.ok) {
+    return res.status(shippingResult.status).json(shippingResult.error);
+  }
+  const { shipping } = shippingResult;
+
+  // Identify the buyer so the quote can report their budget
+  const buyerIdentity = buyerBudgets.identify({
+    apiKey: req.get('X-API-Key'),
+    wallet: req.get('X-Buyer-Wallet')
+  });
+  if (!buyerIdentity.ok) {
+    return res.status(401).json(createErrorResponse(
+      'auth',
+      buyerIdentity.code,
+      buyerIdentity.message,
+      { requestId }
+    ));
+  }
+  const { buyer } = buyerIdentity;
+
+  try {
+    const validation = validatePurchaseItems(requestedItems, requestId, isCart);
+    if (!validation.ok) {
+      return res.status(validation.status).json(validation.error);
+    }
+    const { items } = validation;
+
+    if (PRICE_RECHECK_ENABLED) {
+      for (const [index, item] of items.entries()) {
+        const recheck = await recheckItemPrice(item, index, requestId, isCart);
+        if (!recheck.ok) {
+          return res.status(recheck.status).json(recheck.error);
+        }
+      }
+    }
 
-    console.log(`[Amazon Proxy] 💳 Returning 402 Payment Required for ${paymentId}, Amount: $${totalPrice}`);
+    const pricing = priceItems(items, shipping);
+    const policy = checkPurchasePolicies(items, pricing);
+    const budget = buyer ? buyerBudgets.check(buyer, pricing.totalMinor) : null;
+    const allowed = policy.allowed && (!budget || budget.ok);
+
+    // Only a purchasable quote gets a token
+    const quote = allowed
+      ? quoteSigner.issue({
+          items: items.map(item => ({ nonce: item.blobNonce, quantity: item.quantity, expiresAt: item.blobExpiresAt })),
+          state: destinationState(shipping?.address),
+          pricing
+        })
+      : null;
+
+    log.info(quote ? 'Quote issued' : 'Quote blocked', {
+      quoteId: quote?.quoteId || null,
+      total: pricing.total,
+      itemCount: items.length
+    });
+
+    res.json({
+      requestId,
+      allowed,
+      quoteId: quote?.quoteId || null,
+      quoteToken: quote?.quoteToken || null,
+      expiresAt: quote?.expiresAt || null,
+      pricing,
+      policy,
+      budget: buyer
+        ? { buyerId: buyer.id, ok: budget.ok, ...(budget.violation ? { violation: budget.violation } : {}) }
+        : null
+    });
+  } catch (error) {
+    log.error('Quote failed', { err: error });
+    res.status(500).json(createErrorResponse(
+      'quote',
+      'INTERNAL_ERROR',
+      'Failed to price the order',
+      { requestId, originalError: error.message }
+    ));
+  }
+});
+
+// Purchase endpoint - stateless flow with HMAC verification.
+// Accepts a single signed product or a cart of signed products (`items`).
+app.post('/purchase', async (req, res) => {
+  const {
+    shipping: requestedShipping,
+    idempotencyKey,
+    quoteToken
+  } = req.body;
+
+  // Stored on the payment so later webhook and Crossmint logs share it
+  const { requestId } = req;
+  const log = req.log.child({ component: 'purchase' });
+  const isCart = Array.isArray(req.body.items);
+  const requestedItems = normalizePurchaseItems(req.body);
+
+  // Log the shape of the request, never its contents
+  log.info('Purchase request received', {
+    isCart,
+    itemCount: requestedItems.length,
+    items: requestedItems.map(item => ({
+      hasProductBlob: !!item.productBlob,
+      hasSignature: !!item.signature,
+      quantity: item.quantity,
+      hasPriceExpectation: !!item.priceExpectation
+    })),
+    hasShipping: !!requestedShipping,
+    hasQuote: !!quoteToken,
+    idempotencyKey
+  });
+
+  // Validate cart size and required fields before touching the idempotency cache
+  const requestError = checkRequestedItems(requestedItems, requestId, isCart);
+  if (requestError) {
+    return res.status(requestError.status).json(requestError.error);
+  }
+
+  // Paid retry of an earlier 402 challenge (standard x402 flow)
+  if (req.get('X-PAYMENT')) {
+    return handlePaidPurchase(req, res, requestId, requestedItems);
+  }
+
+  // Validate the shipping address before the buyer is asked to pay
+  const shippingResult = checkShipping(requestedShipping, requestId);
+  if (!shippingResult.ok) {
+    return res.status(shippingResult.status).json(shippingResult.error);
+  }
+  const { shipping } = shippingResult;
+
+  // Identify the buyer so their spending limits can be enforced
+  const buyerIdentity = buyerBudgets.identify({
+    apiKey: req.get('X-API-Key'),
+    wallet: req.get('X-Buyer-Wallet')
+  });
+  if (!buyerIdentity.ok) {
+    return res.status(401).json(createErrorResponse(
+      'auth',
+      buyerIdentity.code,
+      buyerIdentity.message,
+      { requestId }
+    ));
+  }
+  const { buyer } = buyerIdentity;
+
+  // Challenge format: x402 PaymentRequirements ("spec") or the original shape ("compat")
+  let x402Format;
+  try {
+    x402Format = getX402Format(req.get('X-402-Format'));
+  } catch (error) {
+    return res.status(400).json(createErrorResponse(
+      'validation',
+      'INVALID_X402_FORMAT',
+      error.message,
+      { requestId }
+    ));
+  }
+  if (x402Format === 'spec' && !getExactPaymentConfig().specReady) {
+    return res.status(400).json(createErrorResponse(
+      'validation',
+      'X402_FORMAT_UNAVAILABLE',
+      'x402 PaymentRequirements need an asset address for every payment rail; use the compat format',
+      { requestId }
+    ));
+  }
+
+  // Check idempotency; a key whose challenge expired unpaid may start a new one
+  if (idempotencyKey) {
+    const existingResult = checkIdempotency(idempotencyKey);
+    const existingPayment = existingResult?.paymentId ? pendingPayments.get(existingResult.paymentId) : null;
+    const expired = existingPayment &&
+      (existingPayment.status === 'expired' || isChallengeExpired(existingPayment, retentionConfig));
+    if (existingResult && !expired) {
+      log.info('Returning cached result for idempotency key', { idempotencyKey });
+      return res.json(existingResult);
+    }
+  }
+
+  try {
+    // Steps 1-4: verify signature, decode, validate ASIN and price for every item
+    const validation = validatePurchaseItems(requestedItems, requestId, isCart);
+    if (!validation.ok) {
+      return res.status(validation.status).json(validation.error);
+    }
+    const { items } = validation;
+
+    // Price the order, or take the price a quote from POST /quote locked in
+    let pricing;
+    let quoteId = null;
+    if (quoteToken !== undefined) {
+      const quote = resolvePurchaseQuote(quoteToken, items, shipping, requestId);
+      if (!quote.ok) {
+        return res.status(quote.status).json(quote.error);
+      }
+      ({ quoteId, pricing } = quote);
+      log.info('Using quote', { quoteId, total: pricing.total });
+    } else {
+      pricing = priceItems(items, shipping);
+    }
+
+    // Catalog purchase policies, checked against the (quoted) total.
+    // An unpriced item cannot be charged for, so requireKnownPrice gets its own code.
+    const policyResult = checkPurchasePolicies(items, pricing);
+    if (!policyResult.allowed) {
+      const { violation } = policyResult;
+      const priceUnknown = violation.rule === 'requireKnownPrice';
+      logAsinFlow(requestId, 'policy_blocked', violation);
+      return res.status(priceUnknown ? 422 : 403).json(createErrorResponse(
+        'catalog.validate',
+        priceUnknown ? 'PRICE_UNAVAILABLE' : 'PURCHASE_POLICY_VIOLATION',
+        violation.message,
+        {
+          requestId,
+          ...(isCart && violation.itemIndex !== undefined ? { itemIndex: violation.itemIndex } : {}),
+          policy: violation
+        }
+      ));
+    }
+
+    // With requireKnownPrice off, unpriced items alone leave nothing to charge
+    if (pricing.totalMinor <= 0) {
+      return res.status(422).json(createErrorResponse(
+        'catalog.validate',
+        'PRICE_UNAVAILABLE',
+        `The order total is $${pricing.total}; no item in it has a known price`,
+        { requestId, total: pricing.total }
+      ));
+    }
+
+    for (const item of items) {
+      log.info('Processing item', {
+        asin: item.asin,
+        title: item.product.name,
+        quantity: item.quantity,
+        validationReason: item.validationReason
+      });
+    }
+
+    // Step 5: Optional live re-lookup for price validation (PRICE_RECHECK_ENABLED=true).
+    // A quoted price was already re-checked when the quote was issued.
+    if (PRICE_RECHECK_ENABLED && !quoteId) {
+      for (const [index, item] of items.entries()) {
+        const recheck = await recheckItemPrice(item, index, requestId, isCart);
+        if (!recheck.ok) {
+          return res.status(recheck.status).json(recheck.error);
+        }
+      }
+    }
+
+    const totalPrice = pricing.total;
+    const totalQuantity = items.reduce((sum, item) => sum + item.quantity, 0);
+
+    // Step 6: Buyer spending limits (settled spend plus unpaid 402s already issued)
+    if (buyer) {
+      const budget = buyerBudgets.check(buyer, pricing.totalMinor);
+      if (!budget.ok) {
+        const { violation } = budget;
+        log.info('Buyer over budget', { buyerId: buyer.id, ...violation });
+        return res.status(403).json(createErrorResponse(
+          'budget.check',
+          'BUDGET_EXCEEDED',
+          `Order total $${totalPrice} exceeds the ${violation.limit} budget of buyer ${buyer.id} ($${violation.remaining} remaining)`,
+          { requestId, buyerId: buyer.id, ...violation }
+        ));
+      }
+    }
+
+    const paymentId = `payment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const primaryItem = items[0];
+
+    log.info('Processing purchase', { paymentId, amount: totalPrice, itemCount: items.length });
 
     // Create exact payment response using the exact scheme builder
     const paymentRequiredResponse = createExactPaymentResponse({
       amount: totalPrice,
       paymentId,
-      product: {
-        asin: product.asin,
-        title: product.title,
-        price: product.price.amount,
-        quantity
-      }
+      format: x402Format,
+      resource: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      pricing,
+      ...(isCart
+        ? {
+            items: items.map(item => ({
+              asin: item.originalAsin,
+              title: item.title,
+              price: item.unitPrice,
+              quantity: item.quantity
+            }))
+          }
+        : {
+            product: {
+              asin: primaryItem.originalAsin,
+              title: primaryItem.title,
+              price: primaryItem.unitPrice,
+              quantity: primaryItem.quantity
+            }
+          })
     });
 
+    // Store payment details for later order creation after payment confirmation.
+    // Top-level asin/product mirror the first item for single-product clients.
+    const createdAt = new Date().toISOString();
+    const challengeExpiresAt = new Date(Date.parse(createdAt) + retentionConfig.challengeTtlMs).toISOString();
+    pendingPayments.set(paymentId, {
+      paymentId,
+      requestId,
+      asin: primaryItem.asin,
+      originalAsin: primaryItem.originalAsin,
+      quantity: totalQuantity,
+      product: primaryItem.product,
+      items,
+      totalPrice: Number(totalPrice),
+      totalMinor: pricing.totalMinor,
+      pricing,
+      quoteId,
+      status: 'pending',
+      createdAt,
+      updatedAt: createdAt,
+      expiresAt: challengeExpiresAt,
+      history: [{ status: 'pending', at: createdAt }],
+      shipping,
+      productBlob: primaryItem.productBlob,
+      signature: primaryItem.signature,
+      priceExpectation: primaryItem.priceExpectation,
+      idempotencyKey,
+      buyer: buyer
+        ? { id: buyer.id, via: buyerIdentity.via, wallet: buyerIdentity.via === 'wallet' ? req.get('X-Buyer-Wallet') : null }
+        : null,
+      fingerprint: getPurchaseFingerprint(requestedItems),
+      // The rails the buyer was offered (matched against payments and used for refunds)
+      accepts: buildExactAccepts({ amount: totalPrice, reference: paymentId }).accepts,
+      // The x402 PaymentRequirements sent instead, when challenged in spec format
+      x402Format,
+      paymentRequirements: x402Format === 'spec' ? paymentRequiredResponse.accepts : null
+    });
+
+    // Consume the blobs now that they back a payment challenge
+    for (const item of items) {
+      usedProductNonces.set(item.blobNonce, { paymentId, expiresAt: item.blobExpiresAt * 1000 });
+    }
+
+    log.info('402 Payment Required issued', { paymentId, amount: totalPrice });
+    paymentChallengesTotal.inc({ format: x402Format });
+
     // Store in idempotency cache if key provided
     if (idempotencyKey) {
       storeIdempotencyResult(idempotencyKey, paymentRequiredResponse);
@@ -621,8 +1875,7 @@ app.post('/purchase', async (req, res) => {
     res.status(402).json(paymentRequiredResponse);
 
   } catch (error) {
-    console.error(`[Amazon Proxy] Purchase failed (${requestId}):`, error.message);
-    console.error(`[Amazon Proxy] Error details (${requestId}):`, error);
+    log.error('Purchase failed', { err: error });
 
     // Determine error stage and provide structured response
     let stage = 'unknown';
@@ -647,29 +1900,494 @@ app.post('/purchase', async (req, res) => {
       statusCode = 400;
     }
 
-    // Create error response with idempotency support
-    const errorResponse = createErrorResponse(stage, code, error.message, {
-      requestId,
-      originalError: error.message
+    // Create error response with idempotency support
+    const errorResponse = createErrorResponse(stage, code, error.message, {
+      requestId,
+      originalError: error.message
+    });
+
+    // Store error in idempotency cache if key provided
+    if (idempotencyKey) {
+      storeIdempotencyResult(idempotencyKey, errorResponse);
+    }
+
+    res.status(statusCode).json(errorResponse);
+  }
+});
+
+// Line items of a payment; records created before cart support carry a single top-level ASIN
+function getPaymentItems(payment) {
+  if (Array.isArray(payment.items) && payment.items.length > 0) {
+    return payment.items;
+  }
+  return [{ asin: payment.asin, quantity: payment.quantity || 1, product: payment.product }];
+}
+
+// The accepts entries (payment rails) the buyer was challenged with
+// (rebuilt for records that predate storing them)
+function getPaymentAccepts(payment) {
+  if (Array.isArray(payment.accepts) && payment.accepts.length > 0) {
+    return payment.accepts;
+  }
+  return buildExactAccepts({
+    amount: formatMinorUnits(getPaymentTotalMinor(payment)),
+    reference: payment.paymentId
+  }).accepts;
+}
+
+// A payment's charged total in minor units (converted for records that predate storing it)
+function getPaymentTotalMinor(payment) {
+  return Number.isInteger(payment.totalMinor) ? payment.totalMinor : toMinorUnits(payment.totalPrice);
+}
+
+// The accepts entry a payment is held to: the rail it settled on, else the rail
+// matching the buyer's payment payload, else the primary rail
+function getPaymentRequirements(payment, paymentPayload = null) {
+  const accepts = getPaymentAccepts(payment);
+  const settledRail = payment.settlement?.rail && accepts.find(entry => entry.rail === payment.settlement.rail);
+  return settledRail || selectPaymentRequirements(accepts, paymentPayload);
+}
+
+// The accepts entries as the buyer received them (x402 PaymentRequirements in spec format)
+function getChallengeAccepts(payment) {
+  return payment.x402Format === 'spec' ? payment.paymentRequirements : getPaymentAccepts(payment);
+}
+
+// The challenge entry for a rail as the buyer received it; this is what the payload
+// is checked against and what the facilitator is given
+function getChallengedRequirements(payment, requirements) {
+  if (payment.x402Format !== 'spec') {
+    return requirements;
+  }
+  return payment.paymentRequirements.find(entry => entry.extra?.rail === requirements.rail) ||
+    payment.paymentRequirements[0];
+}
+
+// Pull the x402 payment payload from a request: a JSON `payment_payload` object,
+// a base64 `x_payment` field, or the standard X-PAYMENT header
+function extractPaymentPayload(req) {
+  if (req.body && req.body.payment_payload && typeof req.body.payment_payload === 'object') {
+    return req.body.payment_payload;
+  }
+
+  const encoded = (req.body && req.body.x_payment) || req.get('X-PAYMENT');
+  if (!encoded) {
+    return null;
+  }
+  return decodePaymentPayload(encoded);
+}
+
+// Work out whose budget a payment counts against once the payer is known. A buyer who
+// declared a wallet must pay from it; an anonymous purchase paid from a buyer's wallet
+// is checked against, and charged to, that buyer.
+// Returns { ok: true, buyer } or { ok: false, code, message, details }.
+function resolvePaymentBuyer(payment, payer) {
+  if (payment.buyer) {
+    if (payment.buyer.via === 'wallet' && payer && payer !== payment.buyer.wallet) {
+      return {
+        ok: false,
+        code: 'BUYER_WALLET_MISMATCH',
+        message: `Payment was sent from ${payer}, not the declared buyer wallet ${payment.buyer.wallet}`,
+        details: { buyerId: payment.buyer.id, payer }
+      };
+    }
+    return { ok: true, buyer: payment.buyer };
+  }
+
+  const walletBuyer = payer ? buyerBudgets.findByWallet(payer) : null;
+  if (!walletBuyer) {
+    return { ok: true, buyer: null };
+  }
+
+  const budget = buyerBudgets.check(walletBuyer, getPaymentTotalMinor(payment), { excludePaymentId: payment.paymentId });
+  if (!budget.ok) {
+    return {
+      ok: false,
+      code: 'BUDGET_EXCEEDED',
+      message: `Payment exceeds the ${budget.violation.limit} budget of buyer ${walletBuyer.id}`,
+      details: { buyerId: walletBuyer.id, ...budget.violation }
+    };
+  }
+  return { ok: true, buyer: { id: walletBuyer.id, via: 'payer', wallet: payer } };
+}
+
+// Record a settlement the facilitator (or an operator reconciling it) confirmed:
+// move the payment to `settled`, commit the buyer's spend and count the volume.
+function recordSettlement(paymentId, { transaction, rail, network, asset, payer }) {
+  const settledPayment = transitionPayment(paymentId, 'settled', {
+    payer,
+    settlement: {
+      transaction,
+      rail: rail || null,
+      network,
+      payer,
+      settledAt: new Date().toISOString()
+    }
+  });
+
+  if (settledPayment.buyer) {
+    buyerBudgets.commit(settledPayment.buyer.id, paymentId, getPaymentTotalMinor(settledPayment));
+  }
+
+  settledVolumeTotal.inc({ asset, chain: network }, fromMinorUnits(getPaymentTotalMinor(settledPayment)));
+  return settledPayment;
+}
+
+// Verify a payment payload against the stored challenge and the facilitator, then settle it.
+// Returns { ok: true, payment, settlement } or { ok: false, status, code, message, details }.
+// The payment must be `pending`; it is held in `verifying` while the facilitator is called
+// so a concurrent webhook cannot settle it twice. It returns to `pending` when verification
+// fails or the facilitator answers that settlement failed. When the settle call itself errors
+// (timeout, dropped connection, 5xx) the funds may already have moved, so the payment is
+// parked in `settlement_unknown` until an operator reconciles it.
+async function verifyAndSettlePayment(paymentId, paymentPayload) {
+  const payment = pendingPayments.get(paymentId);
+  const requirements = getPaymentRequirements(payment, paymentPayload);
+  const challenged = getChallengedRequirements(payment, requirements);
+  const log = logForRecord(payment);
+
+  if (isChallengeExpired(payment, retentionConfig)) {
+    expireChallenge(paymentId);
+    return {
+      ok: false,
+      status: 410,
+      code: 'PAYMENT_EXPIRED',
+      message: 'This payment challenge expired before it was paid; request a new 402 challenge',
+      details: { paymentStatus: 'expired', expiresAt: new Date(getChallengeExpiry(payment, retentionConfig)).toISOString() }
+    };
+  }
+
+  const mismatches = findPaymentMismatches(paymentPayload, challenged);
+  if (mismatches.length > 0) {
+    log.warn('Payment does not match challenge', { mismatches });
+    return {
+      ok: false,
+      status: 402,
+      code: 'PAYMENT_MISMATCH',
+      message: 'Payment payload does not match the payment challenge',
+      details: { mismatches }
+    };
+  }
+
+  transitionPayment(paymentId, 'verifying');
+
+  const rejectPayment = (status, code, message, details = {}) => {
+    transitionPayment(paymentId, 'pending', {
+      lastPaymentError: { code, message, at: new Date().toISOString() }
+    });
+    return { ok: false, status, code, message, details };
+  };
+
+  let verification;
+  try {
+    verification = await facilitator.verify(paymentPayload, challenged);
+  } catch (error) {
+    log.error('Facilitator verify error', { err: error });
+    return rejectPayment(502, 'FACILITATOR_ERROR', error.message);
+  }
+
+  if (!verification.isValid) {
+    log.warn('Facilitator rejected payment', { invalidReason: verification.invalidReason });
+    return rejectPayment(402, 'PAYMENT_INVALID', 'Facilitator rejected the payment payload', {
+      invalidReason: verification.invalidReason
+    });
+  }
+
+  const buyerResult = resolvePaymentBuyer(payment, verification.payer);
+  if (!buyerResult.ok) {
+    log.warn('Payment refused for buyer budget', { code: buyerResult.code });
+    return rejectPayment(403, buyerResult.code, buyerResult.message, buyerResult.details);
+  }
+
+  transitionPayment(paymentId, 'verified', { payer: verification.payer, buyer: buyerResult.buyer });
+
+  let settlement;
+  try {
+    settlement = await facilitator.settle(paymentPayload, challenged);
+  } catch (error) {
+    const at = new Date().toISOString();
+    transitionPayment(paymentId, 'settlement_unknown', {
+      lastPaymentError: { code: 'SETTLEMENT_UNKNOWN', message: error.message, at },
+      settlementAttempt: {
+        rail: requirements.rail || null,
+        network: requirements.chain,
+        asset: requirements.asset,
+        payer: verification.payer,
+        attemptedAt: at
+      }
+    });
+    log.error('Facilitator settle error; settlement outcome unknown', { err: error });
+    return {
+      ok: false,
+      status: 502,
+      code: 'SETTLEMENT_UNKNOWN',
+      message: 'The facilitator did not confirm whether the payment settled; it is held for reconciliation and must not be paid again',
+      details: { paymentStatus: 'settlement_unknown', originalError: error.message }
+    };
+  }
+
+  if (!settlement.success) {
+    log.warn('Facilitator failed to settle payment', { errorReason: settlement.errorReason });
+    return rejectPayment(402, 'SETTLEMENT_FAILED', 'Facilitator could not settle the payment', {
+      errorReason: settlement.errorReason
+    });
+  }
+
+  const settledPayment = recordSettlement(paymentId, {
+    transaction: settlement.transaction,
+    rail: requirements.rail,
+    network: settlement.network || requirements.chain,
+    asset: requirements.asset,
+    payer: settlement.payer || verification.payer
+  });
+
+  log.info('Payment settled', {
+    rail: requirements.rail || requirements.chain,
+    transaction: settlement.transaction
+  });
+  return { ok: true, payment: settledPayment, settlement };
+}
+
+// Whether a failed order creation may still have placed the order. Nothing was placed when
+// the circuit was open or Crossmint refused the request (4xx); a timeout, dropped connection,
+// 5xx after retries or an unreadable 2xx leaves the outcome unknown.
+function isOrderOutcomeUnknown(error) {
+  if (error.code === 'CIRCUIT_OPEN') {
+    return false;
+  }
+  return !(error.status >= 400 && error.status < 500);
+}
+
+// Complete a settled payment with the order Crossmint created (or returned for its idempotency key)
+function recordCreatedOrder(paymentId, orderData) {
+  const payment = pendingPayments.get(paymentId);
+  const completedPayment = transitionPayment(paymentId, 'completed', {
+    crossmintOrder: orderData.orderId,
+    orderId: orderData.orderId,
+    completedAt: new Date().toISOString(),
+    trackingInfo: orderData.tracking
+  });
+
+  const initialStatus = mapCrossmintOrderStatus(orderData);
+  orders.set(orderData.orderId, {
+    orderId: orderData.orderId,
+    paymentId,
+    requestId: payment.requestId || null,
+    items: getPaymentItems(payment).map(item => ({ asin: item.asin, quantity: item.quantity })),
+    status: initialStatus.status,
+    crossmintPhase: initialStatus.crossmintPhase,
+    tracking: initialStatus.tracking,
+    createdAt: completedPayment.completedAt,
+    updatedAt: completedPayment.completedAt,
+    history: [{ status: initialStatus.status, at: completedPayment.completedAt, tracking: initialStatus.tracking }]
+  });
+  return completedPayment;
+}
+
+// Create the Crossmint order for a settled payment (or one held in `order_unknown`; the
+// create is keyed by payment, so repeating it returns an order Crossmint already placed).
+// Returns the completed payment record. On error it rethrows after either marking the
+// payment failed and refunding it, when no order can exist, or holding it in
+// `order_unknown` for reconciliation, when one might.
+async function createOrderForPayment(paymentId) {
+  const payment = pendingPayments.get(paymentId);
+  const log = logForRecord(payment, 'order');
+  let requestSent = false;
+
+  try {
+    // Create real Crossmint order using correct API format
+    log.info('Creating Crossmint order');
+
+    // Shipping was validated at purchase; older records without a usable
+    // address fail here (and are refunded) unless sandbox mode allows the demo address
+    const recipient = resolveShipping(payment.shipping, shippingConfig);
+    if (!recipient.ok) {
+      throw new Error(`Cannot ship payment ${paymentId}: ${recipient.message}`);
+    }
+    const recipientInfo = recipient.shipping;
+
+    // Crossmint physical products payload (no NFT-style fields)
+    const orderRequest = {
+      recipient: {
+        email: recipientInfo.email,
+        physicalAddress: {
+          name: recipientInfo.name,
+          line1: recipientInfo.address.line1,
+          line2: recipientInfo.address.line2 || '',
+          city: recipientInfo.address.city,
+          state: recipientInfo.address.state,
+          postalCode: recipientInfo.address.postalCode,
+          country: recipientInfo.address.country
+        }
+      },
+      payment: {
+        method: 'solana',
+        currency: 'usdc'
+      },
+      lineItems: getPaymentItems(payment).map(item => ({
+        productLocator: toAmazonLocator({ asin: item.asin }),
+        quantity: item.quantity
+      }))
+    };
+
+    // Keyed by payment so a retried create cannot place a second order
+    requestSent = true;
+    const orderData = await callCrossmintAPI('/orders', {
+      method: 'POST',
+      body: JSON.stringify(orderRequest),
+      idempotencyKey: `order-${paymentId}`,
+      log: logForRecord(payment, 'crossmint')
+    });
+
+    // Mark payment as completed with real order
+    const completedPayment = recordCreatedOrder(paymentId, orderData);
+
+    log.info('Crossmint order created', { orderId: orderData.orderId, status: orders.get(orderData.orderId).status });
+    orderCreationsTotal.inc({ result: 'success' });
+    return completedPayment;
+
+  } catch (orderError) {
+    if (requestSent && isOrderOutcomeUnknown(orderError)) {
+      // Refunding could pay back an order that ships; hold it until the order is found or ruled out
+      transitionPayment(paymentId, 'order_unknown', {
+        lastOrderError: {
+          message: orderError.message,
+          code: orderError.code || null,
+          status: orderError.status || null,
+          at: new Date().toISOString()
+        }
+      });
+      log.error('Crossmint order outcome unknown; payment held for reconciliation', { err: orderError });
+      orderCreationsTotal.inc({ result: 'unknown' });
+      throw orderError;
+    }
+
+    log.error('Failed to create order', { err: orderError });
+    orderCreationsTotal.inc({ result: 'failure' });
+
+    // Mark as failed and send the settled funds back to the payer
+    transitionPayment(paymentId, 'failed', {
+      error: orderError.message,
+      completedAt: new Date().toISOString()
     });
+    await refundPayment(paymentId, 'order_creation_failed');
+    throw orderError;
+  }
+}
 
-    // Store error in idempotency cache if key provided
-    if (idempotencyKey) {
-      storeIdempotencyResult(idempotencyKey, errorResponse);
+// 502 for a settled payment whose order creation failed, telling the client whether it is
+// being refunded or held in `order_unknown` (a retry of the same X-PAYMENT picks it back up)
+function orderCreationErrorResponse(paymentId, orderError, details = {}) {
+  const payment = pendingPayments.get(paymentId);
+  const orderUnknown = payment.status === 'order_unknown';
+  return createErrorResponse(
+    'crossmint.createOrder',
+    orderUnknown ? 'ORDER_UNKNOWN' : 'CROSSMINT_API_ERROR',
+    orderUnknown
+      ? 'Payment settled but Crossmint did not confirm the order; it is held for reconciliation and will not be refunded until the order is ruled out. Retry the same X-PAYMENT to check again'
+      : 'Payment settled but the order could not be created; the payment is being refunded',
+    {
+      ...details,
+      paymentId,
+      originalError: orderError.message,
+      paymentStatus: payment.status,
+      refund: payment.refund || null
     }
+  );
+}
 
-    res.status(statusCode).json(errorResponse);
+// Refund a settled payment to its payer through the configured refund executor.
+// Moves the payment to `refund_pending`, then `refunded` once the executor reports a
+// transaction. Never throws: failures stay on the payment as refund.lastError for a retry.
+async function refundPayment(paymentId, reason) {
+  let payment = pendingPayments.get(paymentId);
+  if (payment.status === 'refunded') {
+    return payment;
+  }
+  const log = logForRecord(payment, 'refund');
+
+  const requirements = getPaymentRequirements(payment);
+  const refund = {
+    ...(payment.refund || {}),
+    reason: payment.refund?.reason || reason,
+    to: payment.settlement?.payer || payment.payer || null,
+    amount: formatMinorUnits(getPaymentTotalMinor(payment)),
+    asset: requirements.asset,
+    chain: payment.settlement?.network || requirements.chain,
+    executor: refundExecutor.name,
+    requestedAt: payment.refund?.requestedAt || new Date().toISOString(),
+    attempts: (payment.refund?.attempts || 0) + 1
+  };
+
+  payment = payment.status === 'refund_pending'
+    ? { ...payment, refund }
+    : transitionPayment(paymentId, 'refund_pending', { refund });
+
+  if (!refund.to) {
+    refund.lastError = 'Payer address unknown; refund must be sent manually';
+    pendingPayments.set(paymentId, { ...payment, refund });
+    log.error('Cannot refund: payer address unknown');
+    return pendingPayments.get(paymentId);
+  }
+
+  try {
+    const result = await refundExecutor.execute({
+      paymentId,
+      to: refund.to,
+      amount: refund.amount,
+      asset: refund.asset,
+      chain: refund.chain,
+      reason: refund.reason
+    });
+
+    if (result.status === 'completed') {
+      log.info('Payment refunded', { transaction: result.transaction, amount: refund.amount });
+      refundedVolumeTotal.inc({ asset: refund.asset, chain: refund.chain }, Number(refund.amount));
+      if (payment.buyer) {
+        buyerBudgets.release(payment.buyer.id, paymentId, getPaymentTotalMinor(payment));
+      }
+      return transitionPayment(paymentId, 'refunded', {
+        refund: { ...refund, transaction: result.transaction, refundedAt: new Date().toISOString(), lastError: null }
+      });
+    }
+
+    pendingPayments.set(paymentId, { ...payment, refund: { ...refund, reference: result.reference || null, lastError: null } });
+  } catch (error) {
+    log.error('Refund failed', { err: error });
+    pendingPayments.set(paymentId, { ...payment, refund: { ...refund, lastError: error.message } });
+  }
+
+  return pendingPayments.get(paymentId);
+}
+
+// Reject unsigned, stale or replayed webhook calls
+const requireSignedWebhook = createWebhookAuthMiddleware({
+  nonces: webhookNonces,
+  onReject: (req, result) => {
+    req.log.warn('Webhook rejected', {
+      component: 'webhook',
+      code: result.code,
+      reason: result.message,
+      ip: req.ip,
+      paymentId: req.body?.payment_id || null
+    });
   }
 });
 
-// Payment webhook - processes real Crossmint orders after payment confirmation
-app.post('/payment-webhook', async (req, res) => {
-  console.log('[Amazon Proxy] Payment webhook called:', req.body);
+// Payment webhook - verifies and settles the payment through the facilitator,
+// then creates the real Crossmint order. Calls must be HMAC signed (see src/webhooks/signature.js).
+app.post('/payment-webhook', requireSignedWebhook, async (req, res) => {
+  // Summarize the call; the body carries payment payloads and is never logged
+  let log = req.log.child({ component: 'webhook' });
+  log.info('Payment webhook called', {
+    paymentId: req.body?.payment_id || null,
+    fields: Object.keys(req.body || {})
+  });
 
   try {
     // Only process payments if we receive proper verification data
     if (!req.body || !req.body.payment_id) {
-      console.log('[Amazon Proxy] Invalid webhook request - missing payment verification');
+      log.warn('Invalid webhook request - missing payment verification');
       return res.status(400).json({ error: 'Invalid webhook request' });
     }
 
@@ -679,97 +2397,80 @@ app.post('/payment-webhook', async (req, res) => {
     // Only process the specific payment that was verified
     if (pendingPayments.has(verifiedPaymentId)) {
       const payment = pendingPayments.get(verifiedPaymentId);
+      // From here on, log under the requestId of the /purchase that created the payment
+      log = logForRecord(payment, 'webhook').child({ webhookRequestId: req.requestId });
+      log.info('Webhook matched payment', { status: payment.status });
       if (payment.status === 'pending') {
+        let paymentPayload;
         try {
-          // Create real Crossmint order using correct API format
-          console.log(`[Amazon Proxy] Creating Crossmint order for payment ${verifiedPaymentId}`);
-
-          // Use shipping info if available, fallback to demo address
-          const recipientInfo = payment.shipping || {
-            name: 'Demo Customer',
-            email: 'customer@example.com',
-            address: {
-              line1: '123 Test Street',
-              city: 'San Francisco',
-              state: 'CA',
-              postalCode: '94105',
-              country: 'US'
-            }
-          };
-
-          // Crossmint physical products payload (no NFT-style fields)
-          const orderRequest = {
-            recipient: {
-              email: recipientInfo.email,
-              physicalAddress: {
-                name: recipientInfo.name,
-                line1: recipientInfo.address.line1,
-                line2: recipientInfo.address.line2 || '',
-                city: recipientInfo.address.city,
-                state: recipientInfo.address.state,
-                postalCode: recipientInfo.address.postalCode,
-                country: recipientInfo.address.country || 'US'
-              }
-            },
-            payment: {
-              method: 'solana',
-              currency: 'usdc'
-            },
-            lineItems: [
-              {
-                productLocator: toAmazonLocator({ asin: payment.asin })
-              }
-            ]
-          };
-
-          const orderData = await callCrossmintAPI('/orders', {
-            method: 'POST',
-            body: JSON.stringify(orderRequest)
-          });
-
-          // Mark payment as completed with real order
-          payment.status = 'completed';
-          payment.crossmintOrder = orderData.orderId;
-          payment.orderId = orderData.orderId;
-          payment.completedAt = new Date();
-          payment.trackingInfo = orderData.tracking;
-
-          completedPayments.push({ paymentId: verifiedPaymentId, ...payment });
-
-          console.log(`[Amazon Proxy] ✅ Real Amazon order created: ${orderData.orderId}`);
+          paymentPayload = extractPaymentPayload(req);
+        } catch (error) {
+          return res.status(400).json(createErrorResponse(
+            'payment.verify',
+            'INVALID_PAYMENT_PAYLOAD',
+            error.message,
+            { paymentId: verifiedPaymentId }
+          ));
+        }
 
-        } catch (orderError) {
-          console.error(`[Amazon Proxy] Failed to create order for ${verifiedPaymentId}:`, orderError.message);
+        if (!paymentPayload) {
+          return res.status(400).json(createErrorResponse(
+            'payment.verify',
+            'MISSING_PAYMENT_PAYLOAD',
+            'payment_payload, x_payment or an X-PAYMENT header is required to verify the payment',
+            { paymentId: verifiedPaymentId }
+          ));
+        }
+
+        const settlementResult = await verifyAndSettlePayment(verifiedPaymentId, paymentPayload);
+        if (!settlementResult.ok) {
+          return res.status(settlementResult.status).json(createErrorResponse(
+            'payment.verify',
+            settlementResult.code,
+            settlementResult.message,
+            { paymentId: verifiedPaymentId, ...settlementResult.details }
+          ));
+        }
 
-          // Mark as failed
-          payment.status = 'failed';
-          payment.error = orderError.message;
-          payment.completedAt = new Date();
+        try {
+          completedPayments.push(await createOrderForPayment(verifiedPaymentId));
+        } catch (orderError) {
+          return res.status(502).json(orderCreationErrorResponse(verifiedPaymentId, orderError));
+        }
+      } else if (payment.status === 'order_unknown') {
+        log.info('Retrying order creation for payment held in order_unknown');
+        try {
+          completedPayments.push(await createOrderForPayment(verifiedPaymentId));
+        } catch (orderError) {
+          return res.status(502).json(orderCreationErrorResponse(verifiedPaymentId, orderError));
         }
+      } else if (payment.status === 'settlement_unknown') {
+        log.warn('Webhook for payment held for reconciliation');
+        return res.status(409).json(createErrorResponse(
+          'payment.match',
+          'SETTLEMENT_UNKNOWN',
+          `Payment ${verifiedPaymentId} may already have settled and is held for reconciliation; do not pay again`,
+          { paymentId: verifiedPaymentId, status: payment.status }
+        ));
       } else {
-        console.log(`[Amazon Proxy] Payment ${verifiedPaymentId} is not pending (status: ${payment.status})`);
+        log.info('Payment is not pending', { status: payment.status });
       }
     } else {
-      console.log(`[Amazon Proxy] Payment ${verifiedPaymentId} not found in pending payments`);
+      log.warn('Payment not found', { paymentId: verifiedPaymentId });
       return res.status(404).json({ error: 'Payment not found' });
     }
 
-    console.log(`[Amazon Proxy] Processed ${completedPayments.length} real Amazon orders`);
+    log.info('Webhook processed', { completedOrders: completedPayments.length });
 
     res.json({
       status: 'success',
       message: 'Payment processed and real Amazon orders created',
       completed_orders: completedPayments.length,
-      orders: completedPayments.map(p => ({
-        paymentId: p.paymentId,
-        orderId: p.orderId,
-        product: p.product.title,
-        total: p.totalPrice
-      }))
+      orders: completedPayments.map(formatOrderResult)
     });
 
   } catch (error) {
-    console.error('[Amazon Proxy] Payment webhook error:', error.message);
+    log.error('Payment webhook error', { err: error });
 
     res.status(500).json({
       status: 'error',
@@ -779,6 +2480,478 @@ app.post('/payment-webhook', async (req, res) => {
   }
 });
 
+// Admin: product signing key rotation
+function sendKeyRingError(res, error) {
+  if (!(error instanceof KeyRingError)) {
+    throw error;
+  }
+  const statusByCode = { KEY_NOT_FOUND: 404, KEY_EXISTS: 409, KEY_ACTIVE: 409, KEY_RETIRED: 409 };
+  return res.status(statusByCode[error.code] || 400).json(createErrorResponse(
+    'admin.signingKeys',
+    error.code,
+    error.message
+  ));
+}
+
+app.get('/admin/signing-keys', requireAdminToken, (req, res) => {
+  res.json({ activeKeyId: keyRing.activeKeyId, keys: keyRing.listKeys() });
+});
+
+app.post('/admin/signing-keys', requireAdminToken, (req, res) => {
+  try {
+    const { kid, secret, activate } = req.body || {};
+    const key = keyRing.addKey({ kid, secret, activate: activate === true });
+    req.log.info('Signing key added', { component: 'admin', kid: key.kid, active: key.active });
+    res.status(201).json(key);
+  } catch (error) {
+    sendKeyRingError(res, error);
+  }
+});
+
+app.post('/admin/signing-keys/reload', requireAdminToken, (req, res) => {
+  try {
+    keyRing.reload();
+    req.log.info('Signing keys reloaded', { component: 'admin', activeKeyId: keyRing.activeKeyId });
+    res.json({ activeKeyId: keyRing.activeKeyId, keys: keyRing.listKeys() });
+  } catch (error) {
+    sendKeyRingError(res, error);
+  }
+});
+
+app.post('/admin/signing-keys/:kid/activate', requireAdminToken, (req, res) => {
+  try {
+    const key = keyRing.activateKey(req.params.kid);
+    req.log.info('Signing key activated', { component: 'admin', kid: key.kid });
+    res.json(key);
+  } catch (error) {
+    sendKeyRingError(res, error);
+  }
+});
+
+app.post('/admin/signing-keys/:kid/retire', requireAdminToken, (req, res) => {
+  try {
+    const key = keyRing.retireKey(req.params.kid);
+    req.log.info('Signing key retired', { component: 'admin', kid: key.kid });
+    res.json(key);
+  } catch (error) {
+    sendKeyRingError(res, error);
+  }
+});
+
+// Background tracking of Crossmint order status (ORDER_TRACKING_ENABLED=false to disable)
+const orderTracker = createOrderTracker({
+  orders,
+  fetchOrder: orderId => callCrossmintAPI(`/orders/${encodeURIComponent(orderId)}`, {
+    log: logForRecord(orders.get(orderId), 'crossmint')
+  }),
+  intervalMs: (parseInt(process.env.ORDER_POLL_INTERVAL_SECONDS, 10) || 120) * 1000,
+  onTransition: order => {
+    logForRecord(order, 'orders').info('Order status changed', {
+      status: order.status,
+      tracking: order.tracking || null
+    });
+  }
+});
+
+// Orders that have not shipped yet can still be cancelled
+const CANCELLABLE_ORDER_STATUSES = ['awaiting_payment', 'in_progress'];
+
+// Order status and lifecycle history (?refresh=true re-fetches from Crossmint first)
+app.get('/orders/:orderId', async (req, res) => {
+  const { orderId } = req.params;
+
+  if (!orders.has(orderId)) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+
+  if (req.query.refresh === 'true') {
+    await orderTracker.refreshOrder(orderId);
+  }
+
+  res.json(orders.get(orderId));
+});
+
+// Cancel an order and refund its payment (admin only)
+app.post('/orders/:orderId/cancel', requireAdminToken, async (req, res) => {
+  const { orderId } = req.params;
+  const order = orders.get(orderId);
+
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+
+  if (!CANCELLABLE_ORDER_STATUSES.includes(order.status)) {
+    return res.status(409).json(createErrorResponse(
+      'orders.cancel',
+      'ORDER_NOT_CANCELLABLE',
+      `Order ${orderId} cannot be cancelled (status: ${order.status})`,
+      { orderId, status: order.status }
+    ));
+  }
+
+  try {
+    await callCrossmintAPI(`/orders/${encodeURIComponent(orderId)}/cancel`, {
+      method: 'POST',
+      idempotencyKey: `cancel-${orderId}`,
+      log: logForRecord(order, 'crossmint')
+    });
+  } catch (error) {
+    return res.status(502).json(createErrorResponse(
+      'crossmint.cancelOrder',
+      'CROSSMINT_CANCEL_FAILED',
+      error.message,
+      { orderId }
+    ));
+  }
+
+  const at = new Date().toISOString();
+  orders.set(orderId, {
+    ...order,
+    status: 'cancelled',
+    cancelReason: req.body?.reason || null,
+    updatedAt: at,
+    history: [...(order.history || []), { status: 'cancelled', at, tracking: null }]
+  });
+  logForRecord(order, 'orders').info('Order cancelled', { reason: req.body?.reason || null });
+
+  const payment = await refundPayment(order.paymentId, 'order_cancelled');
+
+  res.json({
+    order: orders.get(orderId),
+    payment: {
+      paymentId: payment.paymentId,
+      status: payment.status,
+      refund: payment.refund
+    }
+  });
+});
+
+// Retry a pending refund, or record one sent manually with { "transaction": "..." } (admin only)
+app.post('/admin/payments/:paymentId/refund', requireAdminToken, async (req, res) => {
+  const { paymentId } = req.params;
+  const payment = pendingPayments.get(paymentId);
+
+  if (!payment) {
+    return res.status(404).json({ error: 'Payment not found' });
+  }
+
+  if (payment.status !== 'refund_pending') {
+    return res.status(409).json(createErrorResponse(
+      'payments.refund',
+      'REFUND_NOT_PENDING',
+      `Payment ${paymentId} has no pending refund (status: ${payment.status})`,
+      { paymentId, status: payment.status }
+    ));
+  }
+
+  if (req.body?.transaction) {
+    const refunded = transitionPayment(paymentId, 'refunded', {
+      refund: {
+        ...payment.refund,
+        transaction: req.body.transaction,
+        executor: 'manual',
+        refundedAt: new Date().toISOString(),
+        lastError: null
+      }
+    });
+    if (payment.buyer) {
+      buyerBudgets.release(payment.buyer.id, paymentId, getPaymentTotalMinor(payment));
+    }
+    logForRecord(refunded, 'admin').info('Refund recorded manually', {
+      transaction: req.body.transaction,
+      adminRequestId: req.requestId
+    });
+    refundedVolumeTotal.inc({ asset: refunded.refund.asset, chain: refunded.refund.chain }, Number(refunded.refund.amount));
+    return res.json(refunded);
+  }
+
+  res.json(await refundPayment(paymentId, payment.refund?.reason || 'manual_retry'));
+});
+
+// Resolve a payment held in `order_unknown` once Crossmint's side is known (admin only):
+// { "ordered": true, "orderId": "..." } looks the order up and completes the payment,
+// { "ordered": false } marks the payment failed and refunds it
+async function reconcileOrderUnknown(req, res, payment) {
+  const { paymentId } = req.params;
+  const { ordered, orderId } = req.body || {};
+  if (typeof ordered !== 'boolean' || (ordered && !orderId)) {
+    return res.status(400).json(createErrorResponse(
+      'payments.reconcile',
+      'INVALID_RECONCILIATION',
+      'Send { "ordered": true, "orderId": "..." } or { "ordered": false }',
+      { paymentId }
+    ));
+  }
+
+  const log = logForRecord(payment, 'admin').child({ adminRequestId: req.requestId });
+
+  if (!ordered) {
+    transitionPayment(paymentId, 'failed', {
+      error: 'Reconciled: Crossmint did not create the order',
+      completedAt: new Date().toISOString()
+    });
+    log.info('Payment reconciled as not ordered');
+    return res.json(await refundPayment(paymentId, 'order_creation_failed'));
+  }
+
+  let orderData;
+  try {
+    orderData = await callCrossmintAPI(`/orders/${encodeURIComponent(orderId)}`, { log });
+  } catch (error) {
+    return res.status(502).json(createErrorResponse(
+      'crossmint.getOrder',
+      'CROSSMINT_API_ERROR',
+      `Could not look up Crossmint order ${orderId}: ${error.message}`,
+      { paymentId, orderId }
+    ));
+  }
+
+  const completedPayment = recordCreatedOrder(paymentId, orderData);
+  orderCreationsTotal.inc({ result: 'success' });
+  log.info('Payment reconciled as ordered', { orderId: orderData.orderId });
+  res.json({ status: 'success', order: formatOrderResult(completedPayment) });
+}
+
+// Resolve a payment held in `settlement_unknown` once its on-chain outcome is known (admin only):
+// { "settled": true, "transaction": "..." } records the settlement and creates the order,
+// { "settled": false } returns the payment to `pending` so the buyer can pay again.
+// Payments held in `order_unknown` are resolved by reconcileOrderUnknown.
+app.post('/admin/payments/:paymentId/reconcile', requireAdminToken, async (req, res) => {
+  const { paymentId } = req.params;
+  const payment = pendingPayments.get(paymentId);
+
+  if (!payment) {
+    return res.status(404).json({ error: 'Payment not found' });
+  }
+
+  if (payment.status === 'order_unknown') {
+    return reconcileOrderUnknown(req, res, payment);
+  }
+
+  if (payment.status !== 'settlement_unknown') {
+    return res.status(409).json(createErrorResponse(
+      'payments.reconcile',
+      'SETTLEMENT_NOT_UNKNOWN',
+      `Payment ${paymentId} is not awaiting reconciliation (status: ${payment.status})`,
+      { paymentId, status: payment.status }
+    ));
+  }
+
+  const { settled, transaction } = req.body || {};
+  if (typeof settled !== 'boolean' || (settled && !transaction)) {
+    return res.status(400).json(createErrorResponse(
+      'payments.reconcile',
+      'INVALID_RECONCILIATION',
+      'Send { "settled": true, "transaction": "..." } or { "settled": false }',
+      { paymentId }
+    ));
+  }
+
+  const log = logForRecord(payment, 'admin').child({ adminRequestId: req.requestId });
+
+  if (!settled) {
+    const reopened = transitionPayment(paymentId, 'pending', {
+      lastPaymentError: {
+        code: 'SETTLEMENT_FAILED',
+        message: 'Reconciled: the payment did not settle',
+        at: new Date().toISOString()
+      }
+    });
+    log.info('Payment reconciled as not settled');
+    return res.json(reopened);
+  }
+
+  const attempt = payment.settlementAttempt || {};
+  recordSettlement(paymentId, {
+    transaction,
+    rail: attempt.rail,
+    network: attempt.network,
+    asset: attempt.asset,
+    payer: attempt.payer || payment.payer
+  });
+  log.info('Payment reconciled as settled', { transaction });
+
+  try {
+    const completedPayment = await createOrderForPayment(paymentId);
+    res.json({ status: 'success', order: formatOrderResult(completedPayment) });
+  } catch (orderError) {
+    res.status(502).json(orderCreationErrorResponse(paymentId, orderError));
+  }
+});
+
+// Remaining budget of the calling buyer (identified by X-API-Key or X-Buyer-Wallet)
+app.get('/budget', (req, res) => {
+  const identity = buyerBudgets.identify({
+    apiKey: req.get('X-API-Key'),
+    wallet: req.get('X-Buyer-Wallet')
+  });
+  if (!identity.ok || !identity.buyer) {
+    return res.status(401).json(createErrorResponse(
+      'auth',
+      identity.code || 'BUYER_REQUIRED',
+      identity.message || 'Send X-API-Key or X-Buyer-Wallet to see a buyer budget'
+    ));
+  }
+
+  res.json(buyerBudgets.describe(identity.buyer));
+});
+
+// Admin: limits, spend and remaining budget of every buyer
+app.get('/admin/buyers', requireAdminToken, (req, res) => {
+  res.json({
+    requireBuyer: buyerBudgets.requireBuyer,
+    buyers: buyerBudgets.buyers.map(buyer => buyerBudgets.describe(buyer))
+  });
+});
+
+app.get('/admin/buyers/:buyerId', requireAdminToken, (req, res) => {
+  const buyer = buyerBudgets.getBuyer(req.params.buyerId);
+  if (!buyer) {
+    return res.status(404).json({ error: 'Buyer not found' });
+  }
+  res.json(buyerBudgets.describe(buyer));
+});
+
+// Admin: re-read the buyers file (the previous buyers stay in effect if it is invalid)
+app.post('/admin/buyers/reload', requireAdminToken, (req, res) => {
+  const previous = buyerBudgets.buyers.length;
+  try {
+    buyerBudgets.load();
+  } catch (error) {
+    return res.status(422).json(createErrorResponse(
+      'admin.buyers',
+      'BUYERS_INVALID',
+      error.message
+    ));
+  }
+  req.log.info('Buyers reloaded', { component: 'admin', previous, buyers: buyerBudgets.buyers.length });
+  res.json({ requireBuyer: buyerBudgets.requireBuyer, buyers: buyerBudgets.buyers.map(buyer => buyer.id) });
+});
+
+// Admin: product catalog management
+function sendCatalogError(res, error) {
+  if (!(error instanceof CatalogValidationError)) {
+    throw error;
+  }
+  return res.status(422).json(createErrorResponse(
+    'admin.catalog',
+    error.code,
+    error.message,
+    { errors: error.errors }
+  ));
+}
+
+function catalogResponse() {
+  return { catalog: catalogStore.get(), status: catalogStore.status() };
+}
+
+app.get('/admin/catalog', requireAdminToken, (req, res) => {
+  res.json(catalogResponse());
+});
+
+app.post('/admin/catalog/products', requireAdminToken, (req, res) => {
+  const { asin, name, sku, price } = req.body || {};
+
+  if (catalogStore.get().products.some(p => p.asin === asin)) {
+    return res.status(409).json(createErrorResponse(
+      'admin.catalog',
+      'PRODUCT_EXISTS',
+      `ASIN ${asin} is already in the catalog`,
+      { asin }
+    ));
+  }
+
+  try {
+    catalogStore.update(draft => {
+      draft.products.push({ asin, name, sku: sku || asin, price });
+    });
+    req.log.info('Catalog product added', { component: 'admin', asin });
+    res.status(201).json(catalogResponse());
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
+});
+
+app.put('/admin/catalog/products/:asin', requireAdminToken, (req, res) => {
+  const { asin } = req.params;
+
+  if (!catalogStore.get().products.some(p => p.asin === asin)) {
+    return res.status(404).json({ error: 'Product not found in catalog', asin });
+  }
+
+  try {
+    catalogStore.update(draft => {
+      const product = draft.products.find(p => p.asin === asin);
+      for (const field of ['name', 'sku', 'price']) {
+        if (req.body && req.body[field] !== undefined) {
+          product[field] = req.body[field];
+        }
+      }
+    });
+    req.log.info('Catalog product updated', { component: 'admin', asin });
+    res.json(catalogResponse());
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
+});
+
+app.delete('/admin/catalog/products/:asin', requireAdminToken, (req, res) => {
+  const { asin } = req.params;
+
+  if (!catalogStore.get().products.some(p => p.asin === asin)) {
+    return res.status(404).json({ error: 'Product not found in catalog', asin });
+  }
+
+  try {
+    catalogStore.update(draft => {
+      draft.products = draft.products.filter(p => p.asin !== asin);
+    });
+    req.log.info('Catalog product removed', { component: 'admin', asin });
+    res.json(catalogResponse());
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
+});
+
+app.patch('/admin/catalog/settings', requireAdminToken, (req, res) => {
+  try {
+    catalogStore.update(draft => {
+      for (const field of ['defaultASIN', 'allowSerpProducts']) {
+        if (req.body && req.body[field] !== undefined) {
+          draft[field] = req.body[field];
+        }
+      }
+    });
+    req.log.info('Catalog settings updated', { component: 'admin', changes: req.body });
+    res.json(catalogResponse());
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
+});
+
+// Replace the purchase policies block (send {} to remove every rule)
+app.put('/admin/catalog/policies', requireAdminToken, (req, res) => {
+  try {
+    catalogStore.update(draft => {
+      draft.policies = req.body;
+    });
+    req.log.info('Catalog purchase policies updated', { component: 'admin', changes: req.body });
+    res.json(catalogResponse());
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
+});
+
+app.post('/admin/catalog/reload', requireAdminToken, (req, res) => {
+  try {
+    catalogStore.reload('admin');
+    req.log.info('Catalog reloaded', { component: 'admin', products: catalogStore.get().products.length });
+    res.json(catalogResponse());
+  } catch (error) {
+    sendCatalogError(res, error);
+  }
+});
+
 // Check payment status
 app.get('/payment/:paymentId', (req, res) => {
   const { paymentId } = req.params;
@@ -795,7 +2968,7 @@ app.get('/payment/:paymentId', (req, res) => {
 app.post('/purchase-retry', (req, res) => {
   const { sku, quantity = 1 } = req.body;
 
-  console.log(`[Amazon Demo] Purchase retry: SKU=${sku}, Qty=${quantity}`);
+  req.log.info('Legacy purchase retry', { component: 'demo', sku, quantity });
 
   const product = products[sku];
   if (!product) {
@@ -828,45 +3001,86 @@ app.post('/purchase-retry', (req, res) => {
 // Health endpoint for search functionality
 app.get('/health/search', (req, res) => {
   const serpConfigured = !!SERP_API_KEY;
+  const providerConfigured = searchProvider.isConfigured();
 
   res.json({
+    provider: searchProvider.name,
+    providerConfigured,
     serpConfigured,
-    note: serpConfigured ? 'SERP API key configured' : 'SERP API key missing - using demo products'
+    note: providerConfigured
+      ? `Search provider "${searchProvider.name}" configured`
+      : `Search provider "${searchProvider.name}" is not configured`
   });
 });
 
 // Diagnostics endpoint
-app.get('/diagnostics', (req, res) => {
-  const lastPurchaseAsin = Array.from(pendingPayments.values())
-    .sort((a, b) => b.createdAt - a.createdAt)[0]?.asin || null;
+app.get('/diagnostics', async (req, res) => {
+  const productCatalog = catalogStore.get();
+  let lastPayment = null;
+  pendingPayments.forEach(payment => {
+    if (!lastPayment || Date.parse(payment.createdAt) > Date.parse(lastPayment.createdAt)) {
+      lastPayment = payment;
+    }
+  });
+  const lastPurchaseAsin = lastPayment?.asin || null;
 
-  // Simple Crossmint connectivity check
-  let crossmintReachable = true;
-  try {
-    // This is a basic check - in production you might want to do an actual API call
-    new URL(CROSSMINT_BASE_URL);
-  } catch {
-    crossmintReachable = false;
-  }
+  // Probed (or cached) readiness, shared with GET /health/ready
+  const readinessReport = await readiness.check();
+  const crossmintReachable = readinessReport.dependencies.crossmint.status === 'up';
 
   res.json({
     serpConfigured: !!SERP_API_KEY,
+    searchProvider: searchProvider.name,
+    cache: {
+      searches: searchCache.stats(),
+      products: productCache.stats()
+    },
     productCatalogCount: productCatalog?.products?.length || 0,
     lastPurchaseASIN: lastPurchaseAsin,
     crossmintReachable,
+    crossmint: {
+      environment: crossmintConfig.environment,
+      baseUrl: CROSSMINT_BASE_URL,
+      realOrders: crossmintConfig.realOrders
+    },
+    upstreams: {
+      crossmint: crossmintUpstream.state(),
+      ...(searchProvider.upstream ? { [searchProvider.upstream.name]: searchProvider.upstream.state() } : {})
+    },
+    readiness: readinessReport,
     activePayments: pendingPayments.size,
+    storage: {
+      driver: store.driver,
+      orders: orders.size,
+      idempotencyKeys: idempotencyCache.size
+    },
     environment: {
       nodeVersion: process.version,
       platform: process.platform,
       uptime: process.uptime()
     },
-    availableASINs: productCatalog?.products?.map(p => p.asin) || []
+    availableASINs: productCatalog?.products?.map(p => p.asin) || [],
+    catalog: catalogStore.status(),
+    pricing: pricingConfig,
+    shipping: shippingConfig
   });
 });
 
 app.listen(PORT, () => {
-  console.log(`🛒 Amazon Crossmint Proxy running on http://localhost:${PORT}`);
-  console.log(`🔗 Crossmint API: Production`);
-  console.log(`💳 Ready for real Amazon purchases with x402/USDC payments!`);
-  console.log(`🌟 Real Amazon integration active - purchases create actual orders!`);
+  startupLog.info('Amazon Crossmint Proxy listening', {
+    url: `http://localhost:${PORT}`,
+    crossmint: crossmintConfig.environment,
+    crossmintBaseUrl: CROSSMINT_BASE_URL,
+    realOrders: crossmintConfig.realOrders
+  });
+  if (!crossmintConfig.realOrders) {
+    startupLog.info(`Crossmint ${crossmintConfig.environment} environment - no real Amazon orders are placed`);
+  }
+
+  if (process.env.ORDER_TRACKING_ENABLED !== 'false') {
+    orderTracker.start();
+    startupLog.info('Order tracking active', {
+      intervalSeconds: parseInt(process.env.ORDER_POLL_INTERVAL_SECONDS, 10) || 120
+    });
+  }
 });
\ No newline at end of file
@@ -0,0 +1,47 @@
+/**
+ * Admin route authentication (Amazon Demo Proxy)
+ *
+ * Admin endpoints require `Authorization: Bearer <ADMIN_API_TOKEN>`. While
+ * ADMIN_API_TOKEN is unset every admin call is refused.
+ */
+
+const crypto = require('crypto')
+const { logger } = require('../logging')
+
+/**
+ * Constant-time string comparison (hashing first removes the length leak)
+ */
+function tokensMatch(provided, expected) {
+  const a = crypto.createHash('sha256').update(String(provided)).digest()
+  const b = crypto.createHash('sha256').update(String(expected)).digest()
+  return crypto.timingSafeEqual(a, b)
+}
+
+/**
+ * Express middleware enforcing the admin bearer token
+ */
+function requireAdminToken(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin API disabled', code: 'ADMIN_AUTH_NOT_CONFIGURED' })
+  }
+
+  const header = req.get('Authorization') || ''
+  const match = header.match(/^Bearer\s+(.+)$/i)
+  if (!match || !tokensMatch(match[1].trim(), expected)) {
+    const log = req.log || logger
+    log.warn('Admin request rejected', {
+      component: 'admin',
+      method: req.method,
+      path: req.path,
+      ip: req.ip
+    })
+    return res.status(401).json({ error: 'Unauthorized', code: 'ADMIN_UNAUTHORIZED' })
+  }
+
+  next()
+}
+
+module.exports = {
+  requireAdminToken
+}
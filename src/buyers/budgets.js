@@ -0,0 +1,367 @@
+/**
+ * Buyer spending budgets (Amazon Demo Proxy)
+ *
+ * Buyers are the agents sharing this proxy. Each one is identified by an API
+ * key (X-API-Key) or a payer wallet and has per-order, daily and weekly
+ * spending limits. Buyers are defined in a JSON file (BUYERS_PATH, default
+ * data/buyers.json):
+ *
+ *   {
+ *     "requireBuyer": false,
+ *     "defaultLimits": { "perOrder": 250, "daily": 500, "weekly": 2000 },
+ *     "buyers": [
+ *       { "id": "agent-alpha", "apiKey": "...", "wallets": ["..."], "limits": { "daily": 100 } }
+ *     ]
+ *   }
+ *
+ * Daily and weekly limits are rolling 24 hour and 7 day windows. A limit
+ * counts committed spend (settled payments) plus reservations: payments the
+ * buyer was issued a 402 for that have not settled yet. An unpaid 402 only
+ * holds budget until it is older than the reservation TTL; a payment already
+ * being verified or settled holds it until the outcome is known. Limits are
+ * configured in dollars and compared in integer minor units. Without a buyers
+ * file, purchases are not limited.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const { toMinorUnits, fromMinorUnits } = require('../pricing/money')
+
+const DEFAULT_BUYERS_PATH = path.join(__dirname, '..', '..', 'data', 'buyers.json')
+const DEFAULT_RESERVATION_TTL_SECONDS = 900
+const BUDGET_LIMITS = ['perOrder', 'daily', 'weekly']
+const BUDGET_WINDOWS_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+}
+const BUYER_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/
+// Paid but not settled yet; these hold budget however old they are
+const RESERVED_PAYMENT_STATUSES = ['verifying', 'verified', 'settlement_unknown']
+
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(String(a)).digest()
+  const right = crypto.createHash('sha256').update(String(b)).digest()
+  return crypto.timingSafeEqual(left, right)
+}
+
+/**
+ * Validate a limits object
+ *
+ * @param {Object} limits - { perOrder, daily, weekly }
+ * @param {string} at - Path used in error messages
+ * @returns {Array<string>} Errors
+ */
+function validateLimits(limits, at) {
+  if (limits === undefined) {
+    return []
+  }
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return [`${at} must be an object`]
+  }
+  return Object.entries(limits)
+    .filter(([key, value]) => !BUDGET_LIMITS.includes(key) || typeof value !== 'number' || !Number.isFinite(value) || value < 0)
+    .map(([key]) => (BUDGET_LIMITS.includes(key)
+      ? `${at}.${key} must be a non-negative number`
+      : `${at}.${key} is not a limit (expected one of: ${BUDGET_LIMITS.join(', ')})`))
+}
+
+/**
+ * Create the buyer budget tracker
+ *
+ * @param {Object} options
+ * @param {Object} options.spend - Map-like collection of committed spend, keyed by buyer id
+ * @param {Object} options.payments - Map-like payment collection (for reservations)
+ * @param {string} [options.filePath] - Buyers file (defaults to BUYERS_PATH)
+ * @param {number} [options.reservationTtlMs] - How long an unpaid 402 holds budget
+ * @returns {Object} Buyer budgets
+ */
+function createBuyerBudgets({
+  spend,
+  payments,
+  filePath = process.env.BUYERS_PATH ? path.resolve(process.env.BUYERS_PATH) : DEFAULT_BUYERS_PATH,
+  reservationTtlMs = parseInt(process.env.BUDGET_RESERVATION_SECONDS || String(DEFAULT_RESERVATION_TTL_SECONDS), 10) * 1000
+}) {
+  let config = { requireBuyer: false, defaultLimits: {}, buyers: [] }
+
+  /**
+   * (Re)load the buyers file; throws with every problem found if it is invalid
+   */
+  function load() {
+    if (!fs.existsSync(filePath)) {
+      config = { requireBuyer: false, defaultLimits: {}, buyers: [] }
+      return config
+    }
+
+    let data
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    } catch (error) {
+      throw new Error(`Buyers file ${filePath} is not valid JSON: ${error.message}`)
+    }
+
+    const errors = [...validateLimits(data.defaultLimits, 'defaultLimits')]
+    if (data.requireBuyer !== undefined && typeof data.requireBuyer !== 'boolean') {
+      errors.push('requireBuyer must be true or false')
+    }
+    const ids = new Set()
+    const apiKeys = new Set()
+    const buyers = Array.isArray(data.buyers) ? data.buyers : []
+    buyers.forEach((buyer, index) => {
+      const at = `buyers[${index}]`
+      if (!BUYER_ID_PATTERN.test(buyer?.id || '')) {
+        errors.push(`${at}.id must be 1-64 letters, digits, "_", "." or "-"`)
+      } else if (ids.has(buyer.id)) {
+        errors.push(`${at}.id duplicates "${buyer.id}"`)
+      } else {
+        ids.add(buyer.id)
+      }
+      if (buyer?.apiKey !== undefined) {
+        if (typeof buyer.apiKey !== 'string' || buyer.apiKey.length < 16) {
+          errors.push(`${at}.apiKey must be a string of at least 16 characters`)
+        } else if (apiKeys.has(buyer.apiKey)) {
+          errors.push(`${at}.apiKey is shared with another buyer`)
+        } else {
+          apiKeys.add(buyer.apiKey)
+        }
+      }
+      if (buyer?.wallets !== undefined && (!Array.isArray(buyer.wallets) || buyer.wallets.some(wallet => typeof wallet !== 'string'))) {
+        errors.push(`${at}.wallets must be an array of addresses`)
+      }
+      errors.push(...validateLimits(buyer?.limits, `${at}.limits`))
+    })
+
+    if (errors.length > 0) {
+      throw new Error(`Buyers file ${filePath} is invalid: ${errors.join('; ')}`)
+    }
+
+    config = {
+      requireBuyer: data.requireBuyer === true,
+      defaultLimits: data.defaultLimits || {},
+      buyers
+    }
+    return config
+  }
+
+  /**
+   * Identify the buyer making a request
+   *
+   * @param {Object} identity
+   * @param {string} [identity.apiKey] - X-API-Key header
+   * @param {string} [identity.wallet] - Declared payer wallet
+   * @returns {{ ok: true, buyer: Object|null, via: string|null } | { ok: false, code: string, message: string }}
+   */
+  function identify({ apiKey, wallet } = {}) {
+    if (apiKey) {
+      const buyer = config.buyers.find(candidate => candidate.apiKey && safeEqual(candidate.apiKey, apiKey))
+      return buyer
+        ? { ok: true, buyer, via: 'apiKey' }
+        : { ok: false, code: 'UNKNOWN_BUYER', message: 'X-API-Key does not match a known buyer' }
+    }
+
+    if (wallet) {
+      const buyer = findByWallet(wallet)
+      return buyer
+        ? { ok: true, buyer, via: 'wallet' }
+        : { ok: false, code: 'UNKNOWN_BUYER', message: `Wallet ${wallet} does not belong to a known buyer` }
+    }
+
+    if (config.requireBuyer) {
+      return { ok: false, code: 'BUYER_REQUIRED', message: 'Purchases require a buyer identity (X-API-Key or X-Buyer-Wallet)' }
+    }
+    return { ok: true, buyer: null, via: null }
+  }
+
+  function findByWallet(wallet) {
+    return config.buyers.find(buyer => (buyer.wallets || []).includes(wallet)) || null
+  }
+
+  function getBuyer(buyerId) {
+    return config.buyers.find(buyer => buyer.id === buyerId) || null
+  }
+
+  function getLimits(buyer) {
+    return { ...config.defaultLimits, ...(buyer.limits || {}) }
+  }
+
+  /**
+   * Committed spend and open reservations of a buyer, in minor units
+   *
+   * @param {string} buyerId
+   * @param {Object} [options]
+   * @param {string} [options.excludePaymentId] - Payment not to count as a reservation
+   */
+  function getUsage(buyerId, { excludePaymentId = null, now = Date.now() } = {}) {
+    const record = spend.get(buyerId) || { totalSpentMinor: 0, entries: [] }
+    const spentWithin = windowMs => record.entries
+      .filter(entry => now - Date.parse(entry.at) < windowMs)
+      .reduce((sum, entry) => sum + entry.amountMinor, 0)
+
+    const isReserved = payment => (payment.status === 'pending'
+      ? now - Date.parse(payment.createdAt) < reservationTtlMs
+      : RESERVED_PAYMENT_STATUSES.includes(payment.status))
+    const reservations = payments.find(payment =>
+      payment.buyer?.id === buyerId &&
+      payment.paymentId !== excludePaymentId &&
+      isReserved(payment)
+    )
+
+    return {
+      spentMinor: {
+        daily: spentWithin(BUDGET_WINDOWS_MS.daily),
+        weekly: spentWithin(BUDGET_WINDOWS_MS.weekly),
+        total: record.totalSpentMinor
+      },
+      reservedMinor: reservations.reduce((sum, payment) => sum + (payment.totalMinor ?? toMinorUnits(payment.totalPrice)), 0),
+      reservations: reservations.length
+    }
+  }
+
+  /**
+   * Check whether a buyer may spend an amount
+   *
+   * @param {Object} buyer - Buyer from identify()
+   * @param {number} amountMinor - Order total in minor units
+   * @param {Object} [options] - Passed to getUsage()
+   * @returns {{ ok: true } | { ok: false, violation: Object }} violation names the limit hit (dollar amounts)
+   */
+  function check(buyer, amountMinor, options = {}) {
+    const limits = getLimits(buyer)
+    const usage = getUsage(buyer.id, options)
+
+    if (limits.perOrder !== undefined && amountMinor > toMinorUnits(limits.perOrder)) {
+      return {
+        ok: false,
+        violation: {
+          limit: 'perOrder',
+          limitAmount: limits.perOrder,
+          requested: fromMinorUnits(amountMinor),
+          remaining: limits.perOrder
+        }
+      }
+    }
+
+    for (const window of ['daily', 'weekly']) {
+      if (limits[window] === undefined) {
+        continue
+      }
+      const limitMinor = toMinorUnits(limits[window])
+      const usedMinor = usage.spentMinor[window] + usage.reservedMinor
+      if (usedMinor + amountMinor > limitMinor) {
+        return {
+          ok: false,
+          violation: {
+            limit: window,
+            limitAmount: limits[window],
+            spent: fromMinorUnits(usage.spentMinor[window]),
+            reserved: fromMinorUnits(usage.reservedMinor),
+            requested: fromMinorUnits(amountMinor),
+            remaining: fromMinorUnits(Math.max(0, limitMinor - usedMinor))
+          }
+        }
+      }
+    }
+
+    return { ok: true }
+  }
+
+  /**
+   * Record settled spend (minor units) against a buyer (idempotent per payment)
+   */
+  function commit(buyerId, paymentId, amountMinor, now = Date.now()) {
+    const record = spend.get(buyerId) || { buyerId, totalSpentMinor: 0, entries: [] }
+    if (record.entries.some(entry => entry.paymentId === paymentId)) {
+      return record
+    }
+
+    // Entries only matter inside the longest window; the running total is kept
+    const entries = record.entries.filter(entry => now - Date.parse(entry.at) < BUDGET_WINDOWS_MS.weekly)
+    entries.push({ paymentId, amountMinor, at: new Date(now).toISOString() })
+
+    const updated = { ...record, totalSpentMinor: record.totalSpentMinor + amountMinor, entries }
+    spend.set(buyerId, updated)
+    return updated
+  }
+
+  /**
+   * Give back the spend of a refunded payment (call once per payment). A
+   * payment settled more than a week ago no longer has a window entry, so
+   * only amountMinor comes off the running total.
+   *
+   * @param {string} buyerId
+   * @param {string} paymentId
+   * @param {number} amountMinor - The payment's total, used once its entry is pruned
+   */
+  function release(buyerId, paymentId, amountMinor) {
+    const record = spend.get(buyerId)
+    if (!record) {
+      return
+    }
+    const entry = record.entries.find(candidate => candidate.paymentId === paymentId)
+    const releasedMinor = entry ? entry.amountMinor : amountMinor
+    if (!releasedMinor) {
+      return
+    }
+    spend.set(buyerId, {
+      ...record,
+      totalSpentMinor: Math.max(0, record.totalSpentMinor - releasedMinor),
+      entries: record.entries.filter(candidate => candidate !== entry)
+    })
+  }
+
+  /**
+   * Public view of a buyer's limits, usage and remaining budget in dollars (no API key)
+   */
+  function describe(buyer) {
+    const limits = getLimits(buyer)
+    const usage = getUsage(buyer.id)
+    const remaining = {}
+    for (const limit of BUDGET_LIMITS) {
+      if (limits[limit] === undefined) {
+        remaining[limit] = null
+      } else if (limit === 'perOrder') {
+        remaining[limit] = limits[limit]
+      } else {
+        remaining[limit] = fromMinorUnits(Math.max(0, toMinorUnits(limits[limit]) - usage.spentMinor[limit] - usage.reservedMinor))
+      }
+    }
+
+    return {
+      buyerId: buyer.id,
+      wallets: buyer.wallets || [],
+      limits,
+      spent: {
+        daily: fromMinorUnits(usage.spentMinor.daily),
+        weekly: fromMinorUnits(usage.spentMinor.weekly),
+        total: fromMinorUnits(usage.spentMinor.total)
+      },
+      reserved: fromMinorUnits(usage.reservedMinor),
+      remaining
+    }
+  }
+
+  load()
+
+  return {
+    filePath,
+    get requireBuyer() {
+      return config.requireBuyer
+    },
+    get buyers() {
+      return config.buyers
+    },
+    load,
+    identify,
+    findByWallet,
+    getBuyer,
+    check,
+    commit,
+    release,
+    describe
+  }
+}
+
+module.exports = {
+  BUDGET_LIMITS,
+  createBuyerBudgets
+}
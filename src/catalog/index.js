@@ -0,0 +1,253 @@
+/**
+ * Product catalog store (Amazon Demo Proxy)
+ *
+ * Owns config/product-catalog.json: validates it, swaps it in atomically,
+ * writes admin changes back to disk (temp file + rename) and picks up edits
+ * made directly to the file through a watcher. An invalid file never replaces
+ * the catalog in use; the validation report is kept and logged instead.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const { validatePolicies } = require('./policy')
+const log = require('../logging').logger.child({ component: 'catalog' })
+
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/
+
+class CatalogValidationError extends Error {
+  /**
+   * @param {string} message - Summary
+   * @param {Array<{ path: string, message: string }>} errors - Validation report
+   */
+  constructor(message, errors) {
+    super(message)
+    this.name = 'CatalogValidationError'
+    this.code = 'CATALOG_INVALID'
+    this.errors = errors
+  }
+}
+
+/**
+ * Validate catalog data
+ *
+ * @param {Object} data - Parsed catalog JSON
+ * @returns {Array<{ path: string, message: string }>} Validation errors (empty when valid)
+ */
+function validateCatalog(data) {
+  const errors = []
+  const fail = (fieldPath, message) => errors.push({ path: fieldPath, message })
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    fail('$', 'catalog must be a JSON object')
+    return errors
+  }
+
+  if (data.allowSerpProducts !== undefined && typeof data.allowSerpProducts !== 'boolean') {
+    fail('allowSerpProducts', 'must be true or false')
+  }
+
+  if (!Array.isArray(data.products)) {
+    fail('products', 'must be an array')
+  } else {
+    const seen = new Set()
+    data.products.forEach((product, index) => {
+      const at = `products[${index}]`
+      if (!product || typeof product !== 'object') {
+        fail(at, 'must be an object')
+        return
+      }
+      if (typeof product.asin !== 'string' || !ASIN_PATTERN.test(product.asin)) {
+        fail(`${at}.asin`, 'must be a 10 character ASIN')
+      } else if (seen.has(product.asin)) {
+        fail(`${at}.asin`, `duplicate ASIN ${product.asin}`)
+      } else {
+        seen.add(product.asin)
+      }
+      if (typeof product.name !== 'string' || !product.name.trim()) {
+        fail(`${at}.name`, 'must be a non-empty string')
+      }
+      if (product.sku !== undefined && typeof product.sku !== 'string') {
+        fail(`${at}.sku`, 'must be a string')
+      }
+      if (product.category !== undefined && typeof product.category !== 'string') {
+        fail(`${at}.category`, 'must be a string')
+      }
+      if (typeof product.price !== 'number' || !Number.isFinite(product.price) || product.price < 0) {
+        fail(`${at}.price`, 'must be a non-negative number')
+      }
+    })
+  }
+
+  if (typeof data.defaultASIN !== 'string' || !ASIN_PATTERN.test(data.defaultASIN)) {
+    fail('defaultASIN', 'must be a 10 character ASIN')
+  } else if (Array.isArray(data.products) && !data.products.some(product => product && product.asin === data.defaultASIN)) {
+    fail('defaultASIN', `ASIN ${data.defaultASIN} is not in products`)
+  }
+
+  if (data.policies !== undefined) {
+    errors.push(...validatePolicies(data.policies, ASIN_PATTERN))
+  }
+
+  return errors
+}
+
+/**
+ * Create the catalog store
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Catalog JSON file
+ * @param {Function} [options.onChange] - Called with (catalog, source) after every swap
+ * @returns {Object} Catalog store
+ */
+function createCatalogStore({ filePath, onChange = () => {} }) {
+  let catalog = null
+  let contentHash = null
+  let watcher = null
+  let debounceTimer = null
+  const status = {
+    filePath,
+    loadedAt: null,
+    source: null,
+    lastError: null
+  }
+
+  function hashOf(text) {
+    return crypto.createHash('sha256').update(text).digest('hex')
+  }
+
+  function parse(text) {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (error) {
+      throw new CatalogValidationError(`Catalog file is not valid JSON: ${error.message}`, [{ path: '$', message: error.message }])
+    }
+
+    const errors = validateCatalog(data)
+    if (errors.length > 0) {
+      throw new CatalogValidationError(`Catalog failed validation with ${errors.length} error(s)`, errors)
+    }
+    return data
+  }
+
+  function swap(data, hash, source) {
+    catalog = data
+    contentHash = hash
+    status.loadedAt = new Date().toISOString()
+    status.source = source
+    status.lastError = null
+    onChange(catalog, source)
+    return catalog
+  }
+
+  /**
+   * Load the file from disk; throws CatalogValidationError and keeps the
+   * current catalog if the file is invalid
+   */
+  function reload(source = 'file') {
+    try {
+      let text
+      try {
+        text = fs.readFileSync(filePath, 'utf8')
+      } catch (error) {
+        throw new CatalogValidationError(`Cannot read catalog file: ${error.message}`, [{ path: '$', message: error.message }])
+      }
+      return swap(parse(text), hashOf(text), source)
+    } catch (error) {
+      status.lastError = {
+        at: new Date().toISOString(),
+        message: error.message,
+        errors: error.errors || []
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Apply a change to a copy of the catalog, validate it, write it to disk
+   * atomically and swap it in
+   *
+   * @param {Function} mutate - (draft) => void, edits the draft in place
+   * @returns {Object} New catalog
+   */
+  function update(mutate) {
+    const draft = JSON.parse(JSON.stringify(catalog))
+    mutate(draft)
+
+    const errors = validateCatalog(draft)
+    if (errors.length > 0) {
+      throw new CatalogValidationError(`Catalog change rejected with ${errors.length} error(s)`, errors)
+    }
+
+    const text = JSON.stringify(draft, null, 2) + '\n'
+    const tmpPath = `${filePath}.${process.pid}.tmp`
+    fs.writeFileSync(tmpPath, text)
+    fs.renameSync(tmpPath, filePath)
+
+    return swap(draft, hashOf(text), 'admin')
+  }
+
+  /**
+   * Watch the catalog file and reload it when it changes on disk.
+   * Watches the directory so editors that replace the file are still seen.
+   */
+  function watch() {
+    if (watcher) {
+      return
+    }
+
+    watcher = fs.watch(path.dirname(filePath), (eventType, filename) => {
+      if (filename && filename !== path.basename(filePath)) {
+        return
+      }
+
+      clearTimeout(debounceTimer)
+      debounceTimer = setTimeout(() => {
+        let text
+        try {
+          text = fs.readFileSync(filePath, 'utf8')
+        } catch {
+          return // mid-replace; the next event will pick it up
+        }
+        if (hashOf(text) === contentHash) {
+          return // our own write or an unchanged save
+        }
+
+        try {
+          reload('watcher')
+          log.info('Product catalog reloaded from disk', { products: catalog.products.length })
+        } catch (error) {
+          log.error('Catalog file change rejected, keeping current catalog', {
+            reason: error.message,
+            errors: error.errors || []
+          })
+        }
+      }, 200)
+    })
+  }
+
+  function close() {
+    clearTimeout(debounceTimer)
+    if (watcher) {
+      watcher.close()
+      watcher = null
+    }
+  }
+
+  return {
+    get: () => catalog,
+    status: () => ({ ...status }),
+    reload,
+    update,
+    watch,
+    close
+  }
+}
+
+module.exports = {
+  ASIN_PATTERN,
+  CatalogValidationError,
+  validateCatalog,
+  createCatalogStore
+}
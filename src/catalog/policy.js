@@ -0,0 +1,207 @@
+/**
+ * Purchase policies (Amazon Demo Proxy)
+ *
+ * Declarative rules kept in the catalog's "policies" block and evaluated by
+ * /purchase after every item has been verified:
+ *
+ *   "policies": {
+ *     "requireKnownPrice": true,
+ *     "maxItemPrice": 300,
+ *     "maxOrderTotal": 500,
+ *     "maxQuantity": { "default": 5, "perAsin": { "B071JM699B": 50 } },
+ *     "denyTitleKeywords": ["gift card"],
+ *     "denyCategoryKeywords": ["firearms"]
+ *   }
+ *
+ * Every rule is optional. requireKnownPrice is on unless set to false, since
+ * an item without a price cannot be charged for; the others only apply once
+ * configured. Rules are checked in the order of POLICY_RULES and the first
+ * one that fails is reported.
+ */
+
+const { toMinorUnits, formatMinorUnits } = require('../pricing/money')
+
+const POLICY_RULES = [
+  'requireKnownPrice',
+  'maxItemPrice',
+  'denyTitleKeywords',
+  'denyCategoryKeywords',
+  'maxQuantity',
+  'maxOrderTotal'
+]
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0
+}
+
+/**
+ * Validate a catalog's policies block
+ *
+ * @param {Object} policies - catalog.policies
+ * @param {RegExp} asinPattern - Pattern per-ASIN keys must match
+ * @returns {Array<{ path: string, message: string }>} Validation errors
+ */
+function validatePolicies(policies, asinPattern) {
+  const errors = []
+  const fail = (fieldPath, message) => errors.push({ path: `policies.${fieldPath}`, message })
+
+  if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+    return [{ path: 'policies', message: 'must be an object' }]
+  }
+
+  for (const key of Object.keys(policies)) {
+    if (!POLICY_RULES.includes(key)) {
+      fail(key, `unknown rule (expected one of: ${POLICY_RULES.join(', ')})`)
+    }
+  }
+
+  if (policies.requireKnownPrice !== undefined && typeof policies.requireKnownPrice !== 'boolean') {
+    fail('requireKnownPrice', 'must be true or false')
+  }
+
+  for (const field of ['maxItemPrice', 'maxOrderTotal']) {
+    if (policies[field] !== undefined && !isNonNegativeNumber(policies[field])) {
+      fail(field, 'must be a non-negative number')
+    }
+  }
+
+  for (const field of ['denyTitleKeywords', 'denyCategoryKeywords']) {
+    const keywords = policies[field]
+    if (keywords === undefined) {
+      continue
+    }
+    if (!Array.isArray(keywords)) {
+      fail(field, 'must be an array of strings')
+      continue
+    }
+    keywords.forEach((keyword, index) => {
+      if (typeof keyword !== 'string' || !keyword.trim()) {
+        fail(`${field}[${index}]`, 'must be a non-empty string')
+      }
+    })
+  }
+
+  const maxQuantity = policies.maxQuantity
+  if (maxQuantity !== undefined) {
+    if (!maxQuantity || typeof maxQuantity !== 'object' || Array.isArray(maxQuantity)) {
+      fail('maxQuantity', 'must be an object with "default" and/or "perAsin"')
+    } else {
+      if (maxQuantity.default !== undefined && !isPositiveInteger(maxQuantity.default)) {
+        fail('maxQuantity.default', 'must be a positive integer')
+      }
+      if (maxQuantity.perAsin !== undefined) {
+        if (!maxQuantity.perAsin || typeof maxQuantity.perAsin !== 'object' || Array.isArray(maxQuantity.perAsin)) {
+          fail('maxQuantity.perAsin', 'must be an object of ASIN → limit')
+        } else {
+          for (const [asin, limit] of Object.entries(maxQuantity.perAsin)) {
+            if (!asinPattern.test(asin)) {
+              fail(`maxQuantity.perAsin.${asin}`, 'key must be a 10 character ASIN')
+            } else if (!isPositiveInteger(limit)) {
+              fail(`maxQuantity.perAsin.${asin}`, 'must be a positive integer')
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return errors
+}
+
+function findKeyword(keywords, texts) {
+  const haystack = texts.filter(Boolean).map(text => String(text).toLowerCase())
+  return (keywords || []).find(keyword => haystack.some(text => text.includes(keyword.toLowerCase()))) || null
+}
+
+/**
+ * Evaluate purchase policies against validated purchase items. Prices are
+ * compared in integer minor units; limits are configured in dollars.
+ *
+ * @param {Object} [policies] - catalog.policies (requireKnownPrice applies even without one)
+ * @param {Array<Object>} items - Items with asin, title, name, categories, unitPriceMinor, quantity
+ * @param {Object} [options]
+ * @param {number} [options.orderTotalMinor] - Charged total (defaults to the items' subtotal)
+ * @returns {{ allowed: true } | { allowed: false, violation: Object }} violation carries
+ *   the rule name, a message, the offending itemIndex/asin (item rules) and the limit hit
+ */
+function evaluatePurchasePolicies(policies = {}, items, { orderTotalMinor } = {}) {
+  const block = (rule, message, details = {}) => ({ allowed: false, violation: { rule, message, ...details } })
+
+  for (const [itemIndex, item] of items.entries()) {
+    const itemDetails = { itemIndex, asin: item.asin }
+    const unitPrice = formatMinorUnits(item.unitPriceMinor)
+
+    if (policies.requireKnownPrice !== false && !(item.unitPriceMinor > 0)) {
+      return block('requireKnownPrice', `ASIN ${item.asin} has no known price`, {
+        ...itemDetails,
+        unitPrice
+      })
+    }
+
+    if (policies.maxItemPrice !== undefined && item.unitPriceMinor > toMinorUnits(policies.maxItemPrice)) {
+      return block('maxItemPrice', `ASIN ${item.asin} costs $${unitPrice}, above the $${policies.maxItemPrice} item limit`, {
+        ...itemDetails,
+        limit: policies.maxItemPrice,
+        unitPrice
+      })
+    }
+
+    const titleKeyword = findKeyword(policies.denyTitleKeywords, [item.title, item.name])
+    if (titleKeyword) {
+      return block('denyTitleKeywords', `ASIN ${item.asin} matches denied title keyword "${titleKeyword}"`, {
+        ...itemDetails,
+        keyword: titleKeyword
+      })
+    }
+
+    const categoryKeyword = findKeyword(policies.denyCategoryKeywords, item.categories || [])
+    if (categoryKeyword) {
+      return block('denyCategoryKeywords', `ASIN ${item.asin} is in a denied category ("${categoryKeyword}")`, {
+        ...itemDetails,
+        keyword: categoryKeyword,
+        categories: item.categories
+      })
+    }
+  }
+
+  if (policies.maxQuantity) {
+    const quantities = new Map()
+    for (const item of items) {
+      quantities.set(item.asin, (quantities.get(item.asin) || 0) + item.quantity)
+    }
+    for (const [asin, quantity] of quantities) {
+      const limit = policies.maxQuantity.perAsin?.[asin] ?? policies.maxQuantity.default
+      if (limit !== undefined && quantity > limit) {
+        return block('maxQuantity', `Quantity ${quantity} of ASIN ${asin} exceeds the limit of ${limit}`, {
+          itemIndex: items.findIndex(item => item.asin === asin),
+          asin,
+          limit,
+          quantity
+        })
+      }
+    }
+  }
+
+  if (policies.maxOrderTotal !== undefined) {
+    const totalMinor = orderTotalMinor ?? items.reduce((sum, item) => sum + item.unitPriceMinor * item.quantity, 0)
+    const total = formatMinorUnits(totalMinor)
+    if (totalMinor > toMinorUnits(policies.maxOrderTotal)) {
+      return block('maxOrderTotal', `Order total $${total} exceeds the $${policies.maxOrderTotal} order limit`, {
+        limit: policies.maxOrderTotal,
+        total
+      })
+    }
+  }
+
+  return { allowed: true }
+}
+
+module.exports = {
+  POLICY_RULES,
+  validatePolicies,
+  evaluatePurchasePolicies
+}
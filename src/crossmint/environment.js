@@ -0,0 +1,67 @@
+/**
+ * Crossmint environments (Amazon Demo Proxy)
+ *
+ * CROSSMINT_ENV picks the API the proxy places orders with:
+ *
+ *   production  (default) real Amazon orders, real money
+ *   staging     Crossmint's staging API, test orders only
+ *   mock        the bundled stand-in (scripts/mock-crossmint.js) on
+ *               MOCK_CROSSMINT_PORT (default 8404)
+ *
+ * CROSSMINT_BASE_URL overrides the URL of the selected environment, e.g. to
+ * point "mock" at a stand-in running on another host.
+ */
+
+const API_VERSION_PATH = '/api/2022-06-09'
+
+const CROSSMINT_ENVIRONMENTS = {
+  production: {
+    baseUrl: `https://www.crossmint.com${API_VERSION_PATH}`,
+    label: 'Production',
+    realOrders: true
+  },
+  staging: {
+    baseUrl: `https://staging.crossmint.com${API_VERSION_PATH}`,
+    label: 'Staging',
+    realOrders: false
+  },
+  mock: {
+    baseUrl: `http://localhost:${parseInt(process.env.MOCK_CROSSMINT_PORT, 10) || 8404}${API_VERSION_PATH}`,
+    label: 'Local mock',
+    realOrders: false
+  }
+}
+
+/**
+ * Resolve the Crossmint environment from CROSSMINT_ENV and CROSSMINT_BASE_URL
+ *
+ * @returns {{ environment: string, baseUrl: string, label: string, realOrders: boolean, requiresApiKey: boolean }}
+ */
+function getCrossmintConfig() {
+  const environment = (process.env.CROSSMINT_ENV || 'production').trim().toLowerCase()
+  const preset = CROSSMINT_ENVIRONMENTS[environment]
+  if (!preset) {
+    throw new Error(`CROSSMINT_ENV must be one of: ${Object.keys(CROSSMINT_ENVIRONMENTS).join(', ')} (got "${process.env.CROSSMINT_ENV}")`)
+  }
+
+  const baseUrl = (process.env.CROSSMINT_BASE_URL || preset.baseUrl).replace(/\/+$/, '')
+  try {
+    new URL(baseUrl)
+  } catch {
+    throw new Error(`CROSSMINT_BASE_URL is not a valid URL: ${baseUrl}`)
+  }
+
+  return {
+    environment,
+    baseUrl,
+    label: preset.label,
+    realOrders: preset.realOrders,
+    requiresApiKey: environment !== 'mock'
+  }
+}
+
+module.exports = {
+  API_VERSION_PATH,
+  CROSSMINT_ENVIRONMENTS,
+  getCrossmintConfig
+}
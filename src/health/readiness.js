@@ -0,0 +1,184 @@
+/**
+ * Dependency readiness checks (Amazon Demo Proxy)
+ *
+ * GET /health/ready actively probes every dependency the proxy needs to take
+ * a purchase end to end (Crossmint, the search provider, the x402
+ * facilitator) and answers 503 while a required one is down. GET /health/live
+ * only says the process is up.
+ *
+ *   READINESS_TIMEOUT_MS     per-probe timeout (default 2000)
+ *   READINESS_CACHE_SECONDS  how long results are reused (default 15), so
+ *                            frequent load balancer probes do not hammer
+ *                            upstreams; concurrent callers share one probe run
+ *   READINESS_OPTIONAL       comma separated dependencies that are reported
+ *                            but never make the proxy unready, e.g. "search"
+ *
+ * Each dependency reports its status (up, down, or unknown before the first
+ * probe), probe latency, when it was checked and the last error seen.
+ * Status changes are logged; repeated probes with the same result are not.
+ */
+
+const log = require('../logging').logger.child({ component: 'health' })
+
+const DEFAULT_TIMEOUT_MS = 2000
+const DEFAULT_CACHE_SECONDS = 15
+
+function readInt(name, fallback) {
+  const value = parseInt(process.env[name], 10)
+  return Number.isFinite(value) && value >= 0 ? value : fallback
+}
+
+/**
+ * Readiness settings from the environment
+ *
+ * @returns {{ timeoutMs: number, cacheMs: number, optional: Array<string> }}
+ */
+function getReadinessConfig() {
+  return {
+    timeoutMs: readInt('READINESS_TIMEOUT_MS', DEFAULT_TIMEOUT_MS),
+    cacheMs: readInt('READINESS_CACHE_SECONDS', DEFAULT_CACHE_SECONDS) * 1000,
+    optional: (process.env.READINESS_OPTIONAL || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+  }
+}
+
+// Run a probe, failing it once timeoutMs passes even if it ignores the abort signal
+async function runProbe(probe, timeoutMs) {
+  const signal = AbortSignal.timeout(timeoutMs)
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`probe timed out after ${timeoutMs}ms`)), timeoutMs)
+  })
+  try {
+    return await Promise.race([probe({ signal, timeoutMs }), timeout])
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new Error(`probe timed out after ${timeoutMs}ms`)
+    }
+    throw error
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * Create a readiness checker
+ *
+ * @param {Object} options
+ * @param {Array<{ name: string, required?: boolean, target?: Object, probe: Function }>} options.dependencies
+ *   probe({ signal, timeoutMs }) resolves (optionally with details) when the
+ *   dependency is usable and throws when it is not
+ * @param {Object} [options.config] - From getReadinessConfig()
+ * @returns {{ check: Function, snapshot: Function }}
+ */
+function createReadinessChecker({ dependencies, config = getReadinessConfig() }) {
+  const states = new Map(dependencies.map(dependency => [dependency.name, {
+    name: dependency.name,
+    required: dependency.required !== false && !config.optional.includes(dependency.name),
+    ...(dependency.target ? { target: dependency.target } : {}),
+    status: 'unknown',
+    latencyMs: null,
+    checkedAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    details: null
+  }]))
+
+  let checkedAt = 0
+  let inFlight = null
+
+  async function probeDependency(dependency) {
+    const state = states.get(dependency.name)
+    const previous = state.status
+    const startedAt = Date.now()
+    try {
+      const details = await runProbe(dependency.probe, config.timeoutMs)
+      Object.assign(state, {
+        status: 'up',
+        latencyMs: Date.now() - startedAt,
+        checkedAt: new Date().toISOString(),
+        lastSuccessAt: new Date().toISOString(),
+        details: details || null
+      })
+    } catch (error) {
+      const at = new Date().toISOString()
+      Object.assign(state, {
+        status: 'down',
+        latencyMs: Date.now() - startedAt,
+        checkedAt: at,
+        lastError: { message: error.message, at },
+        details: null
+      })
+    }
+
+    if (state.status === 'down' && previous !== 'down') {
+      log.warn('Dependency down', { dependency: state.name, required: state.required, reason: state.lastError.message })
+    } else if (state.status === 'up' && previous === 'down') {
+      log.info('Dependency recovered', { dependency: state.name, latencyMs: state.latencyMs })
+    }
+  }
+
+  /**
+   * Current report from the last probe run, without probing
+   *
+   * @returns {{ status: string, ready: boolean, checkedAt: string|null, cacheSeconds: number, dependencies: Object }}
+   *   status is ready, degraded (only optional dependencies down), not_ready or unknown
+   */
+  function snapshot() {
+    const list = [...states.values()]
+    const requiredDown = list.some(state => state.required && state.status === 'down')
+    const anyDown = list.some(state => state.status === 'down')
+    const unknown = list.some(state => state.status === 'unknown')
+
+    let status = 'ready'
+    if (requiredDown) {
+      status = 'not_ready'
+    } else if (unknown) {
+      status = 'unknown'
+    } else if (anyDown) {
+      status = 'degraded'
+    }
+
+    return {
+      status,
+      ready: status === 'ready' || status === 'degraded',
+      checkedAt: checkedAt ? new Date(checkedAt).toISOString() : null,
+      cacheSeconds: config.cacheMs / 1000,
+      dependencies: Object.fromEntries(list.map(state => [state.name, { ...state }]))
+    }
+  }
+
+  /**
+   * Probe every dependency, or reuse results younger than the cache period
+   *
+   * @returns {Promise<Object>} Report as returned by snapshot()
+   */
+  async function check() {
+    if (checkedAt && Date.now() - checkedAt < config.cacheMs) {
+      return snapshot()
+    }
+    if (!inFlight) {
+      inFlight = Promise.all(dependencies.map(probeDependency))
+        .then(() => {
+          checkedAt = Date.now()
+        })
+        .finally(() => {
+          inFlight = null
+        })
+    }
+    await inFlight
+    return snapshot()
+  }
+
+  return {
+    check,
+    snapshot
+  }
+}
+
+module.exports = {
+  getReadinessConfig,
+  createReadinessChecker
+}
@@ -0,0 +1,176 @@
+/**
+ * Structured logging (Amazon Demo Proxy)
+ *
+ * One JSON object per line on stdout (stderr for warn/error):
+ *
+ *   {"time":"…","level":"info","component":"purchase","requestId":"req_…","msg":"402 issued","amount":"198.42"}
+ *
+ * LOG_LEVEL      debug | info (default) | warn | error | silent
+ * LOG_FORMAT     json (default) | pretty (one readable line, for local development)
+ * LOG_REDACT     false to turn redaction off (local debugging only)
+ *
+ * Fields are redacted before they are written: credentials (API keys,
+ * secrets, tokens, authorization headers, payment headers), emails, names and
+ * street-level address fields under shipping/recipient objects, plus email
+ * addresses and api_key query parameters embedded in strings.
+ *
+ * Child loggers carry bindings such as component, requestId and paymentId,
+ * so every line about one purchase can be found by its requestId.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 }
+
+const REDACTED = '[REDACTED]'
+const MAX_DEPTH = 8
+
+// Redacted wherever they appear (compared lower-case, without - and _)
+const SECRET_KEYS = new Set([
+  'apikey', 'xapikey', 'secret', 'token', 'quotetoken', 'password', 'authorization',
+  'cookie', 'xpayment', 'paymentpayload', 'xpaymentpayload'
+])
+const PII_KEYS = new Set(['email', 'phone', 'line1', 'line2', 'street', 'postalcode', 'zip'])
+// Objects holding a person's details; their "name" is PII too
+const PERSON_CONTAINERS = new Set(['shipping', 'recipient', 'physicaladdress', 'address', 'recipientinfo'])
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+const API_KEY_PARAM_PATTERN = /(api[_-]?key=)[^&\s"]+/gi
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[-_]/g, '')
+}
+
+function redactString(value) {
+  return value
+    .replace(EMAIL_PATTERN, '[REDACTED_EMAIL]')
+    .replace(API_KEY_PARAM_PATTERN, `$1${REDACTED}`)
+}
+
+/**
+ * Copy a value with credentials and personal data replaced
+ *
+ * @param {*} value
+ * @param {string} [parentKey] - Key the value was found under
+ * @param {number} [depth]
+ * @returns {*} Redacted copy
+ */
+function redact(value, parentKey = '', depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value)
+  }
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]'
+  }
+  if (value instanceof Error) {
+    return serializeError(value, true)
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, parentKey, depth + 1))
+  }
+
+  const inPerson = PERSON_CONTAINERS.has(normalizeKey(parentKey))
+  const copy = {}
+  for (const [key, field] of Object.entries(value)) {
+    const normalized = normalizeKey(key)
+    if (SECRET_KEYS.has(normalized) || PII_KEYS.has(normalized) || (inPerson && normalized === 'name')) {
+      copy[key] = field === undefined || field === null ? field : REDACTED
+    } else {
+      copy[key] = redact(field, key, depth + 1)
+    }
+  }
+  return copy
+}
+
+function serializeError(error, redactMessage) {
+  return {
+    type: error.name,
+    message: redactMessage ? redactString(error.message) : error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.stack ? { stack: error.stack.split('\n').slice(1, 6).map(line => line.trim()) } : {})
+  }
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, component, ...fields } = entry
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : ''
+  return `${time} ${level.toUpperCase().padEnd(5)} ${component ? `[${component}] ` : ''}${msg}${extra}`
+}
+
+/**
+ * Create a logger
+ *
+ * @param {Object} [options]
+ * @param {string} [options.level] - Minimum level (defaults to LOG_LEVEL, else info)
+ * @param {string} [options.format] - json or pretty (defaults to LOG_FORMAT, else json)
+ * @param {boolean} [options.redact] - Redact fields (defaults to LOG_REDACT !== 'false')
+ * @param {Object} [options.bindings] - Fields added to every line
+ * @param {Function} [options.write] - (level, line) => void, defaults to stdout/stderr
+ * @returns {Object} Logger with debug, info, warn, error, child and isLevelEnabled
+ */
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  format = process.env.LOG_FORMAT || 'json',
+  redact: redactEnabled = process.env.LOG_REDACT !== 'false',
+  bindings = {},
+  write = (lineLevel, line) => (LEVELS[lineLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`)
+} = {}) {
+  const threshold = LEVELS[String(level).toLowerCase()] ?? LEVELS.info
+
+  function log(lineLevel, msg, fields) {
+    if (LEVELS[lineLevel] < threshold) {
+      return
+    }
+
+    const merged = { ...bindings, ...fields }
+    if (merged.err instanceof Error) {
+      merged.err = serializeError(merged.err, redactEnabled)
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg: redactEnabled ? redactString(String(msg)) : String(msg),
+      ...(redactEnabled ? redact(merged) : merged)
+    }
+
+    let line
+    try {
+      line = format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry)
+    } catch {
+      line = JSON.stringify({ time: entry.time, level: lineLevel, msg: entry.msg, logError: 'fields not serializable' })
+    }
+    write(lineLevel, line)
+  }
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    isLevelEnabled: lineLevel => LEVELS[lineLevel] >= threshold,
+
+    /**
+     * @param {Object} childBindings - Fields added to every line of the child
+     * @returns {Object} Logger
+     */
+    child: childBindings => createLogger({
+      level,
+      format,
+      redact: redactEnabled,
+      bindings: { ...bindings, ...childBindings },
+      write
+    })
+  }
+}
+
+// Process-wide root logger configured from the environment
+const logger = createLogger()
+
+module.exports = {
+  LEVELS,
+  redact,
+  createLogger,
+  logger
+}
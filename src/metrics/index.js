@@ -0,0 +1,237 @@
+/**
+ * Prometheus metrics (Amazon Demo Proxy)
+ *
+ * A small in-process registry rendered in the Prometheus text exposition
+ * format (0.0.4) by GET /metrics:
+ *
+ *   counter    running total, e.g. requests served or USDC settled
+ *   gauge      current value, set directly or computed on every scrape
+ *   histogram  observations counted into cumulative buckets, plus _sum and _count
+ *
+ * Modules register their metrics on the shared `registry`. Label values come
+ * from small fixed sets (route templates, statuses, reasons, upstream names)
+ * so the number of series stays bounded.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+// Seconds, suited to HTTP handlers
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/
+const LABEL_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/
+
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf'
+  }
+  if (value === -Infinity) {
+    return '-Inf'
+  }
+  if (Number.isNaN(value)) {
+    return 'NaN'
+  }
+  // Drop binary floating point noise from summed decimals (0.1 + 0.2)
+  return String(Number(value.toPrecision(15)))
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) {
+    return ''
+  }
+  return `{${pairs.map(([label, value]) => `${label}="${escapeLabelValue(value)}"`).join(',')}}`
+}
+
+/**
+ * Create a metrics registry
+ *
+ * @returns {{ counter: Function, gauge: Function, histogram: Function, render: Function }}
+ */
+function createRegistry() {
+  const metrics = new Map()
+
+  function register(name, help, labelNames) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`)
+    }
+    if (metrics.has(name)) {
+      throw new Error(`Metric ${name} is already registered`)
+    }
+    for (const label of labelNames) {
+      if (!LABEL_PATTERN.test(label) || label === 'le') {
+        throw new Error(`Invalid label name "${label}" for metric ${name}`)
+      }
+    }
+    return { name, help, labelNames, series: new Map() }
+  }
+
+  // Series for a label set, created on first use; unknown labels are a bug in the caller
+  function seriesFor(metric, labels, create) {
+    for (const label of Object.keys(labels)) {
+      if (!metric.labelNames.includes(label)) {
+        throw new Error(`Unknown label "${label}" for metric ${metric.name}`)
+      }
+    }
+    const values = metric.labelNames.map(label => (labels[label] === undefined ? '' : String(labels[label])))
+    const key = JSON.stringify(values)
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { pairs: metric.labelNames.map((label, index) => [label, values[index]]), ...create() })
+    }
+    return metric.series.get(key)
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Metric name, ending in _total by convention
+   * @param {string} options.help - HELP text
+   * @param {Array<string>} [options.labelNames]
+   * @returns {{ inc: Function }}
+   */
+  function counter({ name, help, labelNames = [] }) {
+    const metric = register(name, help, labelNames)
+    metrics.set(name, {
+      ...metric,
+      type: 'counter',
+      lines: () => {
+        if (labelNames.length === 0 && metric.series.size === 0) {
+          return [`${name} 0`]
+        }
+        return [...metric.series.values()].map(series => `${name}${formatLabels(series.pairs)} ${formatValue(series.value)}`)
+      }
+    })
+
+    return {
+      /**
+       * @param {Object} [labels]
+       * @param {number} [value] - Amount to add (never negative)
+       */
+      inc(labels = {}, value = 1) {
+        if (!(value >= 0)) {
+          throw new Error(`Counter ${name} can only increase (got ${value})`)
+        }
+        seriesFor(metric, labels, () => ({ value: 0 })).value += value
+      }
+    }
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.name
+   * @param {string} options.help
+   * @param {Array<string>} [options.labelNames]
+   * @param {Function} [options.collect] - Called with the gauge on every
+   *   scrape, after its series are cleared, to set current values
+   * @returns {{ set: Function }}
+   */
+  function gauge({ name, help, labelNames = [], collect = null }) {
+    const metric = register(name, help, labelNames)
+    const api = {
+      /**
+       * @param {Object} labels
+       * @param {number} value
+       */
+      set(labels, value) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value
+      }
+    }
+
+    metrics.set(name, {
+      ...metric,
+      type: 'gauge',
+      lines: () => {
+        if (collect) {
+          metric.series.clear()
+          collect(api)
+        }
+        return [...metric.series.values()].map(series => `${name}${formatLabels(series.pairs)} ${formatValue(series.value)}`)
+      }
+    })
+    return api
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Metric name, ending in the unit (_seconds)
+   * @param {string} options.help
+   * @param {Array<string>} [options.labelNames]
+   * @param {Array<number>} [options.buckets] - Upper bounds, ascending
+   * @returns {{ observe: Function }}
+   */
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const metric = register(name, help, labelNames)
+    const bounds = [...buckets].sort((a, b) => a - b)
+
+    metrics.set(name, {
+      ...metric,
+      type: 'histogram',
+      lines: () => [...metric.series.values()].flatMap(series => {
+        let cumulative = 0
+        const bucketLines = bounds.map((bound, index) => {
+          cumulative += series.buckets[index]
+          return `${name}_bucket${formatLabels([...series.pairs, ['le', formatValue(bound)]])} ${cumulative}`
+        })
+        return [
+          ...bucketLines,
+          `${name}_bucket${formatLabels([...series.pairs, ['le', '+Inf']])} ${series.count}`,
+          `${name}_sum${formatLabels(series.pairs)} ${formatValue(series.sum)}`,
+          `${name}_count${formatLabels(series.pairs)} ${series.count}`
+        ]
+      })
+    })
+
+    return {
+      /**
+       * @param {Object} labels
+       * @param {number} value - Observed value, e.g. a duration in seconds
+       */
+      observe(labels, value) {
+        const series = seriesFor(metric, labels, () => ({ buckets: bounds.map(() => 0), sum: 0, count: 0 }))
+        const index = bounds.findIndex(bound => value <= bound)
+        if (index !== -1) {
+          series.buckets[index]++
+        }
+        series.sum += value
+        series.count++
+      }
+    }
+  }
+
+  /**
+   * Every metric in the Prometheus text format, in registration order
+   *
+   * @returns {string}
+   */
+  function render() {
+    const blocks = [...metrics.values()].map(metric => [
+      `# HELP ${metric.name} ${escapeHelp(metric.help)}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.lines()
+    ].join('\n'))
+    return `${blocks.join('\n')}\n`
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render
+  }
+}
+
+// Process-wide registry served by GET /metrics
+const registry = createRegistry()
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  createRegistry,
+  registry
+}
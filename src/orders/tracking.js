@@ -0,0 +1,179 @@
+/**
+ * Crossmint order status tracking (Amazon Demo Proxy)
+ *
+ * Follows each created order through Crossmint's lifecycle by polling
+ * GET /orders/:orderId and recording every status change, with its timestamp
+ * and any carrier tracking data, in the order's history.
+ *
+ * Proxy order statuses:
+ *   awaiting_payment → in_progress → shipped → delivered
+ *   failed | cancelled (terminal)
+ */
+
+const log = require('../logging').logger.child({ component: 'orders' })
+
+const ORDER_STATUSES = ['awaiting_payment', 'in_progress', 'shipped', 'delivered', 'failed', 'cancelled']
+const TERMINAL_ORDER_STATUSES = ['delivered', 'failed', 'cancelled']
+
+/**
+ * Pull carrier tracking data out of a Crossmint order, if any line item has it
+ *
+ * @param {Object} orderData - Crossmint order response
+ * @returns {{ carrier: string|null, trackingNumber: string|null, trackingUrl: string|null } | null}
+ */
+function extractTracking(orderData) {
+  const candidates = [
+    orderData.tracking,
+    ...(orderData.lineItems || []).flatMap(item => [item.delivery?.tracking, item.delivery, item.tracking])
+  ].filter(Boolean)
+
+  for (const candidate of candidates) {
+    const trackingNumber = candidate.trackingNumber || candidate.tracking_number || null
+    const trackingUrl = candidate.trackingUrl || candidate.tracking_url || null
+    if (trackingNumber || trackingUrl) {
+      return {
+        carrier: candidate.carrier || candidate.carrierName || null,
+        trackingNumber,
+        trackingUrl
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Map a Crossmint order to the proxy's order status
+ *
+ * @param {Object} orderData - Crossmint order response
+ * @returns {{ status: string, crossmintPhase: string|null, tracking: Object|null }}
+ */
+function mapCrossmintOrderStatus(orderData) {
+  const phase = orderData.phase || null
+  const paymentStatus = orderData.payment?.status || null
+  const deliveryStatuses = (orderData.lineItems || [])
+    .map(item => item.delivery?.status)
+    .filter(Boolean)
+  const tracking = extractTracking(orderData)
+
+  let status
+  if (phase === 'cancelled' || orderData.status === 'cancelled') {
+    status = 'cancelled'
+  } else if (deliveryStatuses.includes('failed') || paymentStatus === 'failed' || orderData.status === 'failed') {
+    status = 'failed'
+  } else if (deliveryStatuses.length > 0 && deliveryStatuses.every(s => s === 'delivered' || s === 'completed')) {
+    status = 'delivered'
+  } else if (deliveryStatuses.includes('shipped') || tracking) {
+    status = 'shipped'
+  } else if (phase === 'delivery' || phase === 'completed' || paymentStatus === 'completed' || deliveryStatuses.includes('in-progress')) {
+    status = 'in_progress'
+  } else {
+    status = 'awaiting_payment'
+  }
+
+  return { status, crossmintPhase: phase, tracking }
+}
+
+/**
+ * Apply a Crossmint order snapshot to a stored order record
+ *
+ * @param {Object} order - Stored order record
+ * @param {Object} orderData - Crossmint order response
+ * @returns {{ order: Object, changed: boolean }} Updated record and whether the status changed
+ */
+function applyOrderUpdate(order, orderData) {
+  const { status, crossmintPhase, tracking } = mapCrossmintOrderStatus(orderData)
+  const at = new Date().toISOString()
+  const changed = order.status !== status
+
+  const updated = {
+    ...order,
+    crossmintPhase,
+    tracking: tracking || order.tracking || null,
+    lastCheckedAt: at,
+    lastError: null
+  }
+
+  if (changed) {
+    updated.status = status
+    updated.updatedAt = at
+    updated.history = [...(order.history || []), { status, at, tracking: tracking || null }]
+  }
+
+  return { order: updated, changed }
+}
+
+/**
+ * Create a background poller that refreshes non-terminal orders
+ *
+ * @param {Object} options
+ * @param {Object} options.orders - Map-like order collection
+ * @param {Function} options.fetchOrder - async (orderId) => Crossmint order data
+ * @param {number} options.intervalMs - Poll interval
+ * @param {Function} [options.onTransition] - Called with (order) after a status change
+ * @returns {{ start: Function, stop: Function, pollOnce: Function, refreshOrder: Function }}
+ */
+function createOrderTracker({ orders, fetchOrder, intervalMs, onTransition = () => {} }) {
+  let timer = null
+  let polling = false
+
+  async function refreshOrder(orderId) {
+    const order = orders.get(orderId)
+    try {
+      const orderData = await fetchOrder(orderId)
+      const { order: updated, changed } = applyOrderUpdate(order, orderData)
+      orders.set(orderId, updated)
+      if (changed) {
+        onTransition(updated)
+      }
+      return updated
+    } catch (error) {
+      orders.set(orderId, {
+        ...order,
+        lastCheckedAt: new Date().toISOString(),
+        lastError: error.message
+      })
+      log.warn('Failed to refresh order', { orderId, requestId: order.requestId, err: error })
+      return null
+    }
+  }
+
+  async function pollOnce() {
+    // Skip a tick if the previous poll is still running
+    if (polling) {
+      return
+    }
+    polling = true
+    try {
+      const openOrders = orders.find(order => !TERMINAL_ORDER_STATUSES.includes(order.status))
+      for (const order of openOrders) {
+        await refreshOrder(order.orderId)
+      }
+    } finally {
+      polling = false
+    }
+  }
+
+  return {
+    start() {
+      if (!timer) {
+        timer = setInterval(() => {
+          pollOnce().catch(error => log.error('Poll failed', { err: error }))
+        }, intervalMs)
+      }
+    },
+    stop() {
+      clearInterval(timer)
+      timer = null
+    },
+    pollOnce,
+    refreshOrder
+  }
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TERMINAL_ORDER_STATUSES,
+  mapCrossmintOrderStatus,
+  applyOrderUpdate,
+  createOrderTracker
+}
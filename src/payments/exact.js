@@ -4,22 +4,119 @@
  * This module provides the "source of truth" for constructing exact payment
  * accepts arrays that guarantee scheme: "exact" only, removing any fallback
  * to legacy schemes like x-solana-settlement.
+ *
+ * Buyers may be offered several payment rails (asset + chain + recipient).
+ * EXACT_RAILS holds them as a JSON array, e.g.
+ *
+ *   [{ "id": "solana-usdc", "asset": "USDC", "chain": "solana", "recipient": "HWfT..." },
+ *    { "id": "base-usdc", "asset": "USDC", "chain": "base", "recipient": "0x12..." }]
+ *
+ * Without it, a single rail is built from EXACT_ASSET, EXACT_CHAIN and
+ * EXACT_RECIPIENT. The first rail is the primary one.
+ *
+ * Challenges come in two formats (X402_RESPONSE_FORMAT, or per request):
+ *   compat  (default) the original shape: decimal amount, asset symbol, chain
+ *   spec    x402 PaymentRequirements: network, maxAmountRequired in atomic
+ *           units, payTo, asset mint/contract address, resource, description,
+ *           mimeType, maxTimeoutSeconds and extra
+ * Spec challenges need each rail's asset address and decimals. They are known
+ * for USDC on the chains in KNOWN_ASSETS. Other rails set assetAddress and
+ * decimals (EXACT_ASSET_ADDRESS / EXACT_ASSET_DECIMALS for the single rail).
  */
 
+const log = require('../logging').logger.child({ component: 'payments' })
+
+const X402_FORMATS = ['compat', 'spec']
+const DEFAULT_MAX_TIMEOUT_SECONDS = 300
+
+// Token addresses (and EIP-712 domain for EVM transfers) of well-known assets
+const KNOWN_ASSETS = {
+  'solana:USDC': { address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6 },
+  'solana-devnet:USDC': { address: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU', decimals: 6 },
+  'base:USDC': { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6, extra: { name: 'USD Coin', version: '2' } },
+  'base-sepolia:USDC': { address: '0x036CbD53842c5426634e7929541eC2318f3dCF7e', decimals: 6, extra: { name: 'USDC', version: '2' } }
+}
+
+// Recipient address formats for the chain families we know how to check
+const RECIPIENT_FORMATS = [
+  { matches: chain => chain.startsWith('solana'), pattern: /^[1-9A-HJ-NP-Za-km-z]{32,44}$/, label: 'a base58 Solana address' },
+  { matches: chain => /^(base|ethereum|polygon|arbitrum|optimism|avalanche)(-|$)/.test(chain), pattern: /^0x[0-9a-fA-F]{40}$/, label: 'a 0x-prefixed EVM address' }
+]
+
+function defaultRailId(rail) {
+  return `${rail.chain}-${String(rail.asset).toLowerCase()}`
+}
+
+// Fill in asset address, decimals and extra from KNOWN_ASSETS unless the rail sets them
+function withAssetDetails(rail, overrides = {}) {
+  const known = KNOWN_ASSETS[`${rail.chain}:${rail.asset}`] || {}
+  const decimals = overrides.decimals !== undefined ? Number(overrides.decimals) : known.decimals
+  return {
+    ...rail,
+    assetAddress: overrides.assetAddress || known.address || null,
+    decimals: Number.isInteger(decimals) ? decimals : null,
+    extra: { ...(known.extra || {}), ...(overrides.extra || {}) }
+  }
+}
+
 /**
- * Payment configuration loaded from environment (server-side only)
+ * Payment rails loaded from environment (server-side only)
+ *
+ * @returns {Array<{ id: string, asset: string, chain: string, recipient: string }>}
+ */
+function getPaymentRails() {
+  if (!process.env.EXACT_RAILS) {
+    const rail = {
+      asset: process.env.EXACT_ASSET || 'USDC',
+      chain: process.env.EXACT_CHAIN || 'solana',
+      recipient: process.env.EXACT_RECIPIENT
+    }
+    return [withAssetDetails({ id: defaultRailId(rail), ...rail }, {
+      assetAddress: process.env.EXACT_ASSET_ADDRESS,
+      decimals: process.env.EXACT_ASSET_DECIMALS
+    })]
+  }
+
+  let rails
+  try {
+    rails = JSON.parse(process.env.EXACT_RAILS)
+  } catch (error) {
+    throw new Error(`EXACT_RAILS must be a JSON array of payment rails: ${error.message}`)
+  }
+  if (!Array.isArray(rails) || rails.length === 0) {
+    throw new Error('EXACT_RAILS must be a non-empty JSON array of payment rails')
+  }
+
+  return rails.map(rail => {
+    const normalized = {
+      asset: rail?.asset || 'USDC',
+      chain: rail?.chain,
+      recipient: rail?.recipient
+    }
+    return withAssetDetails({ id: rail?.id || defaultRailId(normalized), ...normalized }, rail || {})
+  })
+}
+
+/**
+ * Payment configuration loaded from environment (server-side only).
+ * asset, chain and recipient describe the primary rail; specReady tells
+ * whether every rail can be expressed as x402 PaymentRequirements.
  */
 function getExactPaymentConfig() {
+  const rails = getPaymentRails()
   const exactConfig = {
     scheme: 'exact',
-    asset: process.env.EXACT_ASSET || 'USDC',
-    chain: process.env.EXACT_CHAIN || 'solana',
-    recipient: process.env.EXACT_RECIPIENT,
+    asset: rails[0].asset,
+    chain: rails[0].chain,
+    recipient: rails[0].recipient,
+    rails,
+    specReady: rails.every(rail => rail.assetAddress && rail.decimals !== null),
+    maxTimeoutSeconds: parseInt(process.env.X402_MAX_TIMEOUT_SECONDS || String(DEFAULT_MAX_TIMEOUT_SECONDS), 10),
     facilitatorUrl: process.env.FACILITATOR_URL
   }
 
   // Fail fast if critical config is missing
-  if (!exactConfig.recipient) {
+  if (!process.env.EXACT_RAILS && !exactConfig.recipient) {
     throw new Error('EXACT_RECIPIENT environment variable is required for exact payment scheme')
   }
 
@@ -31,13 +128,15 @@ function getExactPaymentConfig() {
 }
 
 /**
- * Build exact accepts array with scheme: "exact" only
+ * Build exact accepts array with scheme: "exact" only, one entry per configured
+ * rail. Passing asset, chain or recipient builds a single entry from the
+ * primary rail with those fields overridden.
  *
  * @param {Object} inputConfig - Payment configuration
  * @param {string|number} inputConfig.amount - Payment amount (required)
- * @param {string} [inputConfig.asset] - Payment asset (defaults to USDC)
- * @param {string} [inputConfig.chain] - Payment chain (defaults to solana)
- * @param {string} [inputConfig.recipient] - Payment recipient (defaults to config)
+ * @param {string} [inputConfig.asset] - Payment asset (overrides the rails)
+ * @param {string} [inputConfig.chain] - Payment chain (overrides the rails)
+ * @param {string} [inputConfig.recipient] - Payment recipient (overrides the rails)
  * @param {string} [inputConfig.reference] - Optional payment reference/memo
  * @param {string} [inputConfig.paymentId] - Optional payment ID
  * @param {Object} [input] - Additional input parameters
@@ -64,23 +163,40 @@ function buildExactAccepts(inputConfig, input = {}) {
     throw new Error(`Invalid amount for exact payment: ${amount}`)
   }
 
-  // Build exact accepts entry
-  const exactEntry = {
-    scheme: 'exact',
-    amount,
-    asset: inputConfig.asset || paymentConfig.asset,
-    chain: inputConfig.chain || paymentConfig.chain,
-    recipient: inputConfig.recipient || paymentConfig.recipient
-  }
+  const overridden = inputConfig.asset || inputConfig.chain || inputConfig.recipient
+  const rails = overridden
+    ? [{
+        asset: inputConfig.asset || paymentConfig.asset,
+        chain: inputConfig.chain || paymentConfig.chain,
+        recipient: inputConfig.recipient || paymentConfig.recipient
+      }]
+    : paymentConfig.rails
 
-  // Add optional reference if provided
-  if (inputConfig.reference) {
-    exactEntry.reference = inputConfig.reference
-  }
+  // Build one exact accepts entry per rail
+  const accepts = rails.map(rail => {
+    const exactEntry = {
+      scheme: 'exact',
+      amount,
+      asset: rail.asset,
+      chain: rail.chain,
+      recipient: rail.recipient
+    }
+
+    if (rail.id) {
+      exactEntry.rail = rail.id
+    }
+
+    // Add optional reference if provided
+    if (inputConfig.reference) {
+      exactEntry.reference = inputConfig.reference
+    }
+
+    return exactEntry
+  })
 
   const response = {
     x402Version: 1,
-    accepts: [exactEntry]
+    accepts
   }
 
   // Add optional fields to response
@@ -96,16 +212,93 @@ function buildExactAccepts(inputConfig, input = {}) {
 }
 
 /**
- * Validate that an accepts array contains only exact scheme entries
+ * Resolve the challenge format for a request
+ *
+ * @param {string} [requested] - Format asked for by the client (defaults to X402_RESPONSE_FORMAT)
+ * @returns {string} "compat" or "spec"
+ * @throws {Error} If the format is unknown
+ */
+function getX402Format(requested) {
+  const format = String(requested || process.env.X402_RESPONSE_FORMAT || 'compat').toLowerCase()
+  if (!X402_FORMATS.includes(format)) {
+    throw new Error(`Unknown x402 format "${format}" (expected one of: ${X402_FORMATS.join(', ')})`)
+  }
+  return format
+}
+
+/**
+ * Convert a decimal amount to atomic units without floating point rounding
  *
- * @param {Array} accepts - Accepts array to validate
- * @throws {Error} If any non-exact schemes are found
+ * @param {string|number} amount - Decimal amount, e.g. "169.99"
+ * @param {number} decimals - Token decimals, e.g. 6 for USDC
+ * @returns {string} Integer string, e.g. "169990000"
  */
-function validateExactAccepts(accepts) {
+function toAtomicUnits(amount, decimals) {
+  const [whole, fraction = ''] = String(amount).split('.')
+  if (!/^\d+$/.test(whole) || !/^\d*$/.test(fraction) || fraction.length > decimals) {
+    throw new Error(`Cannot express ${amount} in ${decimals} decimal places`)
+  }
+  return (BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0')).toString()
+}
+
+/**
+ * Build x402 PaymentRequirements, one per configured rail, in the same order
+ * as buildExactAccepts()
+ *
+ * @param {Object} options
+ * @param {string|number} options.amount - Decimal payment amount
+ * @param {string} options.resource - URL of the resource being paid for
+ * @param {string} options.description - What the payment is for
+ * @param {string} [options.reference] - Payment reference, echoed in extra
+ * @param {string} [options.mimeType] - Response type of the resource
+ * @param {number} [options.maxTimeoutSeconds] - How long the payment may take
+ * @returns {Array<Object>} PaymentRequirements
+ */
+function buildPaymentRequirements({ amount, resource, description, reference, mimeType = 'application/json', maxTimeoutSeconds }) {
+  const paymentConfig = getExactPaymentConfig()
+  const decimalAmount = typeof amount === 'number' ? amount.toFixed(2) : String(amount)
+
+  return paymentConfig.rails.map(rail => {
+    if (!rail.assetAddress || rail.decimals === null) {
+      throw new Error(`Rail ${rail.id} has no asset address/decimals; set assetAddress and decimals to issue x402 PaymentRequirements`)
+    }
+
+    return {
+      scheme: 'exact',
+      network: rail.chain,
+      maxAmountRequired: toAtomicUnits(decimalAmount, rail.decimals),
+      resource,
+      description,
+      mimeType,
+      payTo: rail.recipient,
+      maxTimeoutSeconds: maxTimeoutSeconds || paymentConfig.maxTimeoutSeconds,
+      asset: rail.assetAddress,
+      extra: {
+        ...rail.extra,
+        rail: rail.id,
+        ...(reference ? { reference } : {})
+      }
+    }
+  })
+}
+
+/**
+ * Validate that an accepts array contains only exact scheme entries, each a
+ * distinct rail with a recipient address valid for its chain
+ *
+ * @param {Array} accepts - Accepts array (or configured rails) to validate
+ * @param {Object} [options]
+ * @param {boolean} [options.requireAmount] - Require an amount on every entry (off for bare rails)
+ * @throws {Error} If any entry is invalid
+ */
+function validateExactAccepts(accepts, { requireAmount = true } = {}) {
   if (!Array.isArray(accepts) || accepts.length === 0) {
     throw new Error('Accepts array must be non-empty for exact scheme validation')
   }
 
+  const seenRails = new Set()
+  const seenAssets = new Set()
+
   for (const entry of accepts) {
     if (!entry || typeof entry !== 'object') {
       throw new Error('Invalid accepts entry: must be an object')
@@ -116,12 +309,32 @@ function validateExactAccepts(accepts) {
     }
 
     // Validate required fields for exact scheme
-    const requiredFields = ['amount', 'asset', 'chain', 'recipient']
+    const requiredFields = requireAmount ? ['amount', 'asset', 'chain', 'recipient'] : ['asset', 'chain', 'recipient']
     for (const field of requiredFields) {
       if (!entry[field]) {
-        throw new Error(`Missing required field "${field}" in exact accepts entry`)
+        throw new Error(`Missing required field "${field}" in exact accepts entry${entry.rail || entry.id ? ` "${entry.rail || entry.id}"` : ''}`)
       }
     }
+
+    const railId = entry.rail || entry.id
+    if (railId) {
+      if (seenRails.has(railId)) {
+        throw new Error(`Duplicate payment rail "${railId}" in exact accepts`)
+      }
+      seenRails.add(railId)
+    }
+
+    // A payment is matched to its rail by chain and asset, so each pair may appear once
+    const assetKey = `${entry.chain}:${entry.asset}`
+    if (seenAssets.has(assetKey)) {
+      throw new Error(`More than one payment rail for ${entry.asset} on ${entry.chain}`)
+    }
+    seenAssets.add(assetKey)
+
+    const format = RECIPIENT_FORMATS.find(candidate => candidate.matches(String(entry.chain)))
+    if (format && !format.pattern.test(entry.recipient)) {
+      throw new Error(`Recipient "${entry.recipient}" for ${entry.chain} must be ${format.label}`)
+    }
   }
 }
 
@@ -133,11 +346,39 @@ function validateExactAccepts(accepts) {
  * @param {string|number} config.amount - Payment amount
  * @param {string} config.paymentId - Payment ID
  * @param {Object} [config.product] - Product information
+ * @param {Array} [config.items] - Cart line items (asin, title, price, quantity)
  * @param {string} [config.reference] - Payment reference/memo
+ * @param {string} [config.format] - "compat" (default) or "spec"
+ * @param {string} [config.resource] - Resource URL (spec format)
+ * @param {Object} [config.pricing] - Itemized price breakdown of the amount
  * @returns {Object} Complete 402 response with exact accepts
  */
 function createExactPaymentResponse(config) {
-  const { amount, paymentId, product, reference } = config
+  const { amount, paymentId, product, items, reference, format = 'compat', resource, pricing } = config
+
+  let message = `Payment of $${amount} USDC required`
+  if (items && items.length > 0) {
+    message += ` for ${items.length} item${items.length === 1 ? '' : 's'}`
+  } else if (product) {
+    message += ` for ${product.title}`
+  }
+
+  // Standard x402 body: only the fields the spec defines, plus our paymentId
+  // and price breakdown
+  if (format === 'spec') {
+    return {
+      x402Version: 1,
+      error: 'X-PAYMENT header is required',
+      accepts: buildPaymentRequirements({
+        amount,
+        resource,
+        description: message,
+        reference: reference || paymentId
+      }),
+      paymentId,
+      ...(pricing ? { pricing } : {})
+    }
+  }
 
   // Build exact accepts
   const exactResponse = buildExactAccepts(
@@ -147,9 +388,7 @@ function createExactPaymentResponse(config) {
     },
     {
       paymentId,
-      message: product
-        ? `Payment of $${amount} USDC required for ${product.title}`
-        : `Payment of $${amount} USDC required`
+      message
     }
   )
 
@@ -166,6 +405,15 @@ function createExactPaymentResponse(config) {
     response.product = product
   }
 
+  // Add cart line items if provided
+  if (items && items.length > 0) {
+    response.items = items
+  }
+
+  if (pricing) {
+    response.pricing = pricing
+  }
+
   return response
 }
 
@@ -192,21 +440,45 @@ function getExactHeaders(config) {
 
 /**
  * Runtime assertion to verify exact scheme configuration
- * Logs active scheme and throws on anything other than "exact"
+ * Logs active scheme and rails; throws on anything other than "exact" or on
+ * an invalid rail
  */
 function assertExactSchemeOnly() {
   const config = getExactPaymentConfig()
 
-  console.log('[EXACT_SCHEME] Runtime validation: Active payment scheme is "exact"')
-  console.log(`[EXACT_SCHEME] Configuration: ${config.asset} on ${config.chain} to ${config.recipient.substring(0, 8)}...`)
+  log.info('Runtime validation: active payment scheme is "exact"')
+  for (const rail of config.rails) {
+    log.info('Payment rail', {
+      rail: rail.id,
+      asset: rail.asset,
+      chain: rail.chain,
+      recipient: `${String(rail.recipient).substring(0, 8)}...`
+    })
+  }
 
   if (config.scheme !== 'exact') {
     throw new Error(`Invalid payment scheme configuration: expected "exact", got "${config.scheme}"`)
   }
+
+  const format = getX402Format()
+  if (format === 'spec' && !config.specReady) {
+    throw new Error('X402_RESPONSE_FORMAT=spec needs an asset address and decimals for every payment rail')
+  }
+  log.info('Default challenge format', {
+    format,
+    ...(config.specReady ? {} : { note: 'spec format unavailable: unknown asset address' })
+  })
+
+  validateExactAccepts(config.rails.map(rail => ({ scheme: config.scheme, ...rail })), { requireAmount: false })
 }
 
 module.exports = {
+  getPaymentRails,
+  getExactPaymentConfig,
+  getX402Format,
+  toAtomicUnits,
   buildExactAccepts,
+  buildPaymentRequirements,
   validateExactAccepts,
   createExactPaymentResponse,
   getExactHeaders,
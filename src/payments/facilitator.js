@@ -0,0 +1,239 @@
+/**
+ * x402 facilitator client (Amazon Demo Proxy)
+ *
+ * Verifies and settles payment payloads against the facilitator configured
+ * in FACILITATOR_URL before any Amazon order is placed. The facilitator
+ * exposes the standard x402 endpoints:
+ *   POST /verify  { x402Version, paymentPayload, paymentRequirements } -> { isValid, invalidReason, payer }
+ *   POST /settle  { x402Version, paymentPayload, paymentRequirements } -> { success, errorReason, transaction, network, payer }
+ *   GET  /supported                                                    -> { kinds: [{ x402Version, scheme, network }] }
+ */
+
+const DEFAULT_FACILITATOR_TIMEOUT_MS = 10000
+
+/**
+ * Decode an X-PAYMENT style value (base64 encoded JSON) into a payment payload
+ *
+ * @param {string} encoded - Base64 (or base64url) encoded JSON payload
+ * @returns {Object} Decoded payment payload
+ * @throws {Error} If the value is not valid base64 JSON
+ */
+function decodePaymentPayload(encoded) {
+  if (typeof encoded !== 'string' || !encoded.trim()) {
+    throw new Error('Invalid payment payload: expected a base64 encoded string')
+  }
+
+  try {
+    const normalized = encoded.trim().replace(/-/g, '+').replace(/_/g, '/')
+    return JSON.parse(Buffer.from(normalized, 'base64').toString('utf8'))
+  } catch (error) {
+    throw new Error(`Invalid payment payload: ${error.message}`)
+  }
+}
+
+/**
+ * Encode an object (e.g. a settlement result) as base64 JSON for x402 headers
+ *
+ * @param {Object} value - Value to encode
+ * @returns {string} Base64 encoded JSON
+ */
+function encodePaymentHeader(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64')
+}
+
+/**
+ * Read a field from the payment payload, accepting it either at the top level
+ * or inside the scheme-specific `payload` object
+ */
+function readPayloadField(paymentPayload, ...names) {
+  for (const name of names) {
+    if (paymentPayload.payload && paymentPayload.payload[name] !== undefined) {
+      return paymentPayload.payload[name]
+    }
+    if (paymentPayload[name] !== undefined) {
+      return paymentPayload[name]
+    }
+  }
+  return undefined
+}
+
+/**
+ * Pick the accepts entry (payment rail) a client payment payload was made
+ * against: same chain and asset, else same chain, else the primary entry.
+ * findPaymentMismatches() then reports anything that still differs.
+ *
+ * @param {Array<Object>} accepts - Accepts entries the client was challenged with
+ * @param {Object} paymentPayload - Decoded payment payload from the client
+ * @returns {Object} Accepts entry
+ */
+function selectPaymentRequirements(accepts, paymentPayload) {
+  if (!paymentPayload || typeof paymentPayload !== 'object') {
+    return accepts[0]
+  }
+
+  const chain = readPayloadField(paymentPayload, 'chain', 'network')
+  const asset = readPayloadField(paymentPayload, 'asset')
+  return accepts.find(entry => entry.chain === chain && entry.asset === asset) ||
+    accepts.find(entry => entry.chain === chain) ||
+    accepts[0]
+}
+
+/**
+ * Compare a client payment payload against the stored 402 challenge entry
+ *
+ * @param {Object} paymentPayload - Decoded payment payload from the client
+ * @param {Object} requirements - Accepts entry (either format) the client was challenged with
+ * @returns {Array<Object>} Mismatches as { field, expected, received } (empty when it matches)
+ */
+function findPaymentMismatches(paymentPayload, requirements) {
+  if (!paymentPayload || typeof paymentPayload !== 'object') {
+    return [{ field: 'payload', expected: 'object', received: typeof paymentPayload }]
+  }
+
+  const mismatches = []
+  const compare = (field, expected, received, equals = (a, b) => a === b) => {
+    if (received === undefined || !equals(expected, received)) {
+      mismatches.push({ field, expected, received: received === undefined ? null : received })
+    }
+  }
+
+  // x402 PaymentRequirements: the scheme payload is a signed transfer, so only the
+  // envelope (and an EVM authorization, when present) can be compared here; the
+  // facilitator checks the rest
+  if (requirements.maxAmountRequired !== undefined) {
+    compare('scheme', requirements.scheme, paymentPayload.scheme)
+    compare('network', requirements.network, paymentPayload.network)
+
+    const authorization = paymentPayload.payload?.authorization
+    if (authorization) {
+      compare('payTo', requirements.payTo, authorization.to,
+        (expected, received) => String(expected).toLowerCase() === String(received).toLowerCase())
+      compare('maxAmountRequired', requirements.maxAmountRequired, authorization.value,
+        (expected, received) => /^\d+$/.test(String(received)) && BigInt(expected) === BigInt(received))
+    }
+    return mismatches
+  }
+
+  compare('scheme', requirements.scheme, paymentPayload.scheme)
+  compare('chain', requirements.chain, readPayloadField(paymentPayload, 'chain', 'network'))
+  compare('asset', requirements.asset, readPayloadField(paymentPayload, 'asset'))
+  compare('recipient', requirements.recipient, readPayloadField(paymentPayload, 'recipient', 'payTo'))
+  compare('amount', requirements.amount, readPayloadField(paymentPayload, 'amount'),
+    (expected, received) => Number(expected) === Number(received))
+
+  return mismatches
+}
+
+/**
+ * Create a facilitator client
+ *
+ * @param {Object} options
+ * @param {string} options.facilitatorUrl - Facilitator base URL
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @param {Function} [options.fetchImpl] - fetch implementation (defaults to global fetch)
+ * @returns {{ verify: Function, settle: Function, probe: Function }}
+ */
+function createFacilitatorClient({ facilitatorUrl, timeoutMs, fetchImpl = fetch }) {
+  if (!facilitatorUrl) {
+    throw new Error('facilitatorUrl is required to create a facilitator client')
+  }
+
+  const baseUrl = facilitatorUrl.replace(/\/+$/, '')
+  const requestTimeout = timeoutMs || parseInt(process.env.FACILITATOR_TIMEOUT_MS, 10) || DEFAULT_FACILITATOR_TIMEOUT_MS
+
+  async function post(endpoint, paymentPayload, paymentRequirements) {
+    let response
+    try {
+      response = await fetchImpl(`${baseUrl}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          x402Version: paymentPayload.x402Version || 1,
+          paymentPayload,
+          paymentRequirements
+        }),
+        signal: AbortSignal.timeout(requestTimeout)
+      })
+    } catch (error) {
+      throw new Error(`Facilitator ${endpoint} request failed: ${error.message}`)
+    }
+
+    const text = await response.text()
+    let data
+    try {
+      data = text ? JSON.parse(text) : {}
+    } catch {
+      throw new Error(`Facilitator ${endpoint} returned invalid JSON (HTTP ${response.status})`)
+    }
+
+    if (!response.ok) {
+      throw new Error(`Facilitator ${endpoint} error: ${response.status} ${response.statusText} - ${text}`)
+    }
+
+    return data
+  }
+
+  return {
+    /**
+     * Ask the facilitator whether a payment payload satisfies the requirements
+     * @returns {Promise<{ isValid: boolean, invalidReason?: string, payer?: string }>}
+     */
+    async verify(paymentPayload, paymentRequirements) {
+      const result = await post('/verify', paymentPayload, paymentRequirements)
+      return {
+        isValid: result.isValid === true,
+        invalidReason: result.invalidReason || null,
+        payer: result.payer || null
+      }
+    },
+
+    /**
+     * Ask the facilitator to settle (broadcast) a verified payment
+     * @returns {Promise<{ success: boolean, errorReason?: string, transaction?: string, network?: string, payer?: string }>}
+     */
+    async settle(paymentPayload, paymentRequirements) {
+      const result = await post('/settle', paymentPayload, paymentRequirements)
+      return {
+        success: result.success === true,
+        errorReason: result.errorReason || null,
+        transaction: result.transaction || result.txHash || null,
+        network: result.network || null,
+        payer: result.payer || null
+      }
+    },
+
+    /**
+     * Readiness probe: the facilitator must answer GET /supported
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<{ kinds: Array<string> }>} Supported scheme/network pairs
+     */
+    async probe({ signal } = {}) {
+      let response
+      try {
+        response = await fetchImpl(`${baseUrl}/supported`, { signal })
+      } catch (error) {
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+          throw error
+        }
+        throw new Error(`Facilitator /supported request failed: ${error.cause?.message || error.message}`)
+      }
+      if (!response.ok) {
+        await response.body?.cancel()
+        throw new Error(`Facilitator /supported returned HTTP ${response.status}`)
+      }
+      const data = await response.json().catch(() => ({}))
+      return {
+        kinds: Array.isArray(data.kinds) ? data.kinds.map(kind => `${kind.scheme}/${kind.network}`) : []
+      }
+    }
+  }
+}
+
+module.exports = {
+  createFacilitatorClient,
+  decodePaymentPayload,
+  encodePaymentHeader,
+  selectPaymentRequirements,
+  findPaymentMismatches
+}
@@ -0,0 +1,109 @@
+/**
+ * Refund executors (Amazon Demo Proxy)
+ *
+ * A refund executor sends settled USDC back to the payer. REFUND_EXECUTOR
+ * selects the implementation:
+ *   manual  (default) record the refund as pending for an operator to send
+ *   http    POST the refund to REFUND_EXECUTOR_URL (e.g. a wallet service)
+ *   mock    pretend to send it and return a fake transaction (local testing)
+ *
+ * execute() resolves to { status: 'completed', transaction } once funds are
+ * sent, or { status: 'pending', reference } when completion happens later.
+ * A payment is refunded at most once, so the http executor sends
+ * X-Idempotency-Key: refund-<paymentId> and a retried refund (after a
+ * timeout, or from the admin retry route) cannot pay out twice.
+ */
+
+const crypto = require('crypto')
+const log = require('../logging').logger.child({ component: 'refunds' })
+
+const DEFAULT_REFUND_TIMEOUT_MS = 15000
+
+function createManualRefundExecutor() {
+  return {
+    name: 'manual',
+    async execute(refund) {
+      log.warn('Manual refund required', {
+        paymentId: refund.paymentId,
+        amount: refund.amount,
+        asset: refund.asset,
+        chain: refund.chain,
+        to: refund.to
+      })
+      return { status: 'pending', reference: null }
+    }
+  }
+}
+
+function createMockRefundExecutor() {
+  return {
+    name: 'mock',
+    async execute(refund) {
+      const transaction = `mock_refund_${crypto.randomBytes(16).toString('hex')}`
+      log.info('Mock refund sent', { paymentId: refund.paymentId, amount: refund.amount, asset: refund.asset, transaction })
+      return { status: 'completed', transaction }
+    }
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.url] - Refund service endpoint (defaults to REFUND_EXECUTOR_URL)
+ * @param {string} [options.token] - Bearer token (defaults to REFUND_EXECUTOR_TOKEN)
+ */
+function createHttpRefundExecutor({ url = process.env.REFUND_EXECUTOR_URL, token = process.env.REFUND_EXECUTOR_TOKEN } = {}) {
+  if (!url) {
+    throw new Error('REFUND_EXECUTOR_URL is required for the http refund executor')
+  }
+
+  return {
+    name: 'http',
+    async execute(refund) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Idempotency-Key': `refund-${refund.paymentId}`,
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify(refund),
+        signal: AbortSignal.timeout(DEFAULT_REFUND_TIMEOUT_MS)
+      })
+
+      const text = await response.text()
+      if (!response.ok) {
+        throw new Error(`Refund service error: ${response.status} ${response.statusText} - ${text}`)
+      }
+
+      const data = text ? JSON.parse(text) : {}
+      return data.transaction
+        ? { status: 'completed', transaction: data.transaction }
+        : { status: 'pending', reference: data.reference || data.id || null }
+    }
+  }
+}
+
+const REFUND_EXECUTORS = {
+  manual: createManualRefundExecutor,
+  http: createHttpRefundExecutor,
+  mock: createMockRefundExecutor
+}
+
+/**
+ * Create the configured (or named) refund executor
+ *
+ * @param {string} [name] - Executor name (defaults to REFUND_EXECUTOR)
+ * @returns {{ name: string, execute: Function }}
+ */
+function createRefundExecutor(name = process.env.REFUND_EXECUTOR || 'manual') {
+  const factory = REFUND_EXECUTORS[name.toLowerCase()]
+  if (!factory) {
+    throw new Error(`Unknown REFUND_EXECUTOR "${name}" (expected one of: ${Object.keys(REFUND_EXECUTORS).join(', ')})`)
+  }
+  return factory()
+}
+
+module.exports = {
+  createRefundExecutor,
+  REFUND_EXECUTORS
+}
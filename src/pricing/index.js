@@ -0,0 +1,195 @@
+/**
+ * Pricing pipeline (Amazon Demo Proxy)
+ *
+ * Turns validated purchase items into the amount charged, in integer minor
+ * units, with an itemized breakdown whose charges sum exactly to the total:
+ *
+ *   subtotal     Σ unit price × quantity
+ *   markup       markupPercent of the subtotal
+ *   service_fee  flat serviceFee per order
+ *   shipping     flat + perItem × quantity (free at or above freeOver)
+ *   tax          destination state's rate on subtotal + markup (+ shipping)
+ *
+ * Rules live in a JSON file (PRICING_CONFIG_PATH, default config/pricing.json)
+ * with dollar amounts and percentages:
+ *
+ *   {
+ *     "markupPercent": 0,
+ *     "serviceFee": 0,
+ *     "shipping": { "flat": 0, "perItem": 0, "freeOver": null },
+ *     "tax": { "defaultRatePercent": 0, "taxShipping": false, "ratesByState": { "CA": 7.25 } }
+ *   }
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { toMinorUnits, formatMinorUnits, percentOf } = require('./money')
+
+const DEFAULT_PRICING_PATH = path.join(__dirname, '..', '..', 'config', 'pricing.json')
+const STATE_PATTERN = /^[A-Z]{2}$/
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0
+}
+
+/**
+ * Validate pricing rules
+ *
+ * @param {Object} data - Parsed pricing JSON
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validatePricingConfig(data) {
+  const errors = []
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['pricing config must be a JSON object']
+  }
+
+  for (const field of ['markupPercent', 'serviceFee']) {
+    if (data[field] !== undefined && !isNonNegativeNumber(data[field])) {
+      errors.push(`${field} must be a non-negative number`)
+    }
+  }
+
+  const shipping = data.shipping || {}
+  for (const field of ['flat', 'perItem']) {
+    if (shipping[field] !== undefined && !isNonNegativeNumber(shipping[field])) {
+      errors.push(`shipping.${field} must be a non-negative number`)
+    }
+  }
+  if (shipping.freeOver !== undefined && shipping.freeOver !== null && !isNonNegativeNumber(shipping.freeOver)) {
+    errors.push('shipping.freeOver must be a non-negative number or null')
+  }
+
+  const tax = data.tax || {}
+  if (tax.defaultRatePercent !== undefined && !isNonNegativeNumber(tax.defaultRatePercent)) {
+    errors.push('tax.defaultRatePercent must be a non-negative number')
+  }
+  if (tax.taxShipping !== undefined && typeof tax.taxShipping !== 'boolean') {
+    errors.push('tax.taxShipping must be true or false')
+  }
+  for (const [state, rate] of Object.entries(tax.ratesByState || {})) {
+    if (!STATE_PATTERN.test(state)) {
+      errors.push(`tax.ratesByState.${state} must be keyed by a two-letter state code`)
+    } else if (!isNonNegativeNumber(rate)) {
+      errors.push(`tax.ratesByState.${state} must be a non-negative number`)
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Load pricing rules, converting dollar amounts to minor units
+ *
+ * @param {string} [filePath] - Pricing file (defaults to PRICING_CONFIG_PATH); a missing file means no extra charges
+ * @returns {Object} Pricing config
+ */
+function loadPricingConfig(filePath = process.env.PRICING_CONFIG_PATH ? path.resolve(process.env.PRICING_CONFIG_PATH) : DEFAULT_PRICING_PATH) {
+  let data = {}
+  if (fs.existsSync(filePath)) {
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    } catch (error) {
+      throw new Error(`Pricing config ${filePath} is not valid JSON: ${error.message}`)
+    }
+  }
+
+  const errors = validatePricingConfig(data)
+  if (errors.length > 0) {
+    throw new Error(`Pricing config ${filePath} is invalid: ${errors.join('; ')}`)
+  }
+
+  const shipping = data.shipping || {}
+  const tax = data.tax || {}
+  return {
+    filePath,
+    markupPercent: data.markupPercent || 0,
+    serviceFeeMinor: toMinorUnits(data.serviceFee || 0),
+    shipping: {
+      flatMinor: toMinorUnits(shipping.flat || 0),
+      perItemMinor: toMinorUnits(shipping.perItem || 0),
+      freeOverMinor: shipping.freeOver === undefined || shipping.freeOver === null ? null : toMinorUnits(shipping.freeOver)
+    },
+    tax: {
+      defaultRatePercent: tax.defaultRatePercent || 0,
+      taxShipping: tax.taxShipping === true,
+      ratesByState: tax.ratesByState || {}
+    }
+  }
+}
+
+/**
+ * Destination state used for tax
+ *
+ * @param {Object} [destination] - Shipping address
+ * @returns {string|null} Upper-case state code
+ */
+function destinationState(destination) {
+  return destination?.state ? String(destination.state).trim().toUpperCase() : null
+}
+
+function charge(type, amountMinor, details = {}) {
+  return { type, ...details, amountMinor, amount: formatMinorUnits(amountMinor) }
+}
+
+/**
+ * Price an order
+ *
+ * @param {Array<Object>} items - Items with asin, title, quantity and unitPriceMinor
+ * @param {Object} [destination] - { state } of the shipping address
+ * @param {Object} config - From loadPricingConfig()
+ * @returns {Object} Breakdown: { currency, lines, charges, totalMinor, total }
+ */
+function priceOrder(items, destination, config) {
+  const lines = items.map(item => {
+    const amountMinor = item.unitPriceMinor * item.quantity
+    return {
+      asin: item.asin,
+      title: item.title,
+      quantity: item.quantity,
+      unitPriceMinor: item.unitPriceMinor,
+      amountMinor,
+      amount: formatMinorUnits(amountMinor)
+    }
+  })
+
+  const subtotalMinor = lines.reduce((sum, line) => sum + line.amountMinor, 0)
+  const quantity = items.reduce((sum, item) => sum + item.quantity, 0)
+  const markupMinor = percentOf(subtotalMinor, config.markupPercent)
+
+  const { flatMinor, perItemMinor, freeOverMinor } = config.shipping
+  const shippingMinor = freeOverMinor !== null && subtotalMinor >= freeOverMinor
+    ? 0
+    : flatMinor + perItemMinor * quantity
+
+  const state = destinationState(destination)
+  const ratePercent = state && config.tax.ratesByState[state] !== undefined
+    ? config.tax.ratesByState[state]
+    : config.tax.defaultRatePercent
+  const taxableMinor = subtotalMinor + markupMinor + (config.tax.taxShipping ? shippingMinor : 0)
+  const taxMinor = percentOf(taxableMinor, ratePercent)
+
+  const charges = [
+    charge('subtotal', subtotalMinor),
+    charge('markup', markupMinor, { percent: config.markupPercent }),
+    charge('service_fee', config.serviceFeeMinor),
+    charge('shipping', shippingMinor),
+    charge('tax', taxMinor, { state, ratePercent })
+  ]
+  const totalMinor = charges.reduce((sum, entry) => sum + entry.amountMinor, 0)
+
+  return {
+    currency: 'USD',
+    lines,
+    charges,
+    totalMinor,
+    total: formatMinorUnits(totalMinor)
+  }
+}
+
+module.exports = {
+  validatePricingConfig,
+  loadPricingConfig,
+  destinationState,
+  priceOrder
+}
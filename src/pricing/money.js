@@ -0,0 +1,66 @@
+/**
+ * Money helpers (Amazon Demo Proxy)
+ *
+ * Amounts are handled as integer minor units (cents). Decimal dollar values
+ * from product data and config are converted once, at the boundary, and
+ * formatted back to decimal strings only for display and payment challenges.
+ */
+
+/**
+ * Convert a decimal amount (number or string) to integer minor units
+ *
+ * @param {number|string} amount - e.g. 169.99 or "169.99"
+ * @returns {number} e.g. 16999
+ */
+function toMinorUnits(amount) {
+  const value = Number(amount)
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid money amount: ${amount}`)
+  }
+  return Math.round(value * 100)
+}
+
+/**
+ * Format integer minor units as a decimal string
+ *
+ * @param {number} minor - e.g. 16999
+ * @returns {string} e.g. "169.99"
+ */
+function formatMinorUnits(minor) {
+  if (!Number.isInteger(minor)) {
+    throw new Error(`Minor units must be an integer: ${minor}`)
+  }
+  const sign = minor < 0 ? '-' : ''
+  const abs = Math.abs(minor)
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`
+}
+
+/**
+ * Convert integer minor units to a dollar number for JSON output
+ *
+ * @param {number} minor
+ * @returns {number}
+ */
+function fromMinorUnits(minor) {
+  return Number(formatMinorUnits(minor))
+}
+
+/**
+ * Apply a percentage to an amount, rounding half up to the nearest minor unit.
+ * Rates keep up to four decimal places (e.g. 8.875%).
+ *
+ * @param {number} minor - Base amount in minor units
+ * @param {number} percent - Rate in percent
+ * @returns {number} Minor units
+ */
+function percentOf(minor, percent) {
+  const partsPerMillion = Math.round(percent * 10000)
+  return Math.round(minor * partsPerMillion / 1000000)
+}
+
+module.exports = {
+  toMinorUnits,
+  formatMinorUnits,
+  fromMinorUnits,
+  percentOf
+}
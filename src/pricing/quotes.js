@@ -0,0 +1,152 @@
+/**
+ * Quote tokens (Amazon Demo Proxy)
+ *
+ * A quote token locks in the price breakdown returned by POST /quote. It is a
+ * base64url JSON payload and an HMAC signature joined by a dot, signed with
+ * the product signing key ring so key rotation covers quotes too:
+ *
+ *   <payload>.<hex signature>
+ *
+ * The payload binds the quote to the exact product blobs (by nonce) and
+ * quantities it priced and to the destination state used for tax. It expires
+ * after QUOTE_TTL_SECONDS (default 300), and never after the earliest product
+ * blob it covers. Because purchasing consumes those blobs, a quote can only be
+ * used once.
+ */
+
+const crypto = require('crypto')
+
+const TOKEN_TYPE = 'quote'
+
+function hmac(secret, payload) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${TOKEN_TYPE}.${payload}`)
+    .digest()
+}
+
+/**
+ * Create a quote signer
+ *
+ * @param {Object} options
+ * @param {Object} options.keyRing - Product signing key ring
+ * @param {number} [options.ttlSeconds] - Quote lifetime
+ * @returns {Object} Quote signer with issue() and verify()
+ */
+function createQuoteSigner({ keyRing, ttlSeconds = parseInt(process.env.QUOTE_TTL_SECONDS, 10) || 300 }) {
+  /**
+   * Sign a quote
+   *
+   * @param {Object} quote
+   * @param {Array<{ nonce: string, quantity: number, expiresAt: number }>} quote.items - Priced blobs (expiresAt in epoch seconds)
+   * @param {string|null} quote.state - Destination state used for tax
+   * @param {Object} quote.pricing - Breakdown from priceOrder()
+   * @returns {{ quoteId: string, quoteToken: string, expiresAt: string }}
+   */
+  function issue({ items, state, pricing }) {
+    const signingKey = keyRing.getActiveKey()
+    const iat = Math.floor(Date.now() / 1000)
+    const exp = Math.min(iat + ttlSeconds, ...items.map(item => item.expiresAt))
+    const quoteId = `quote_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`
+
+    const claims = {
+      typ: TOKEN_TYPE,
+      quoteId,
+      kid: signingKey.kid,
+      iat,
+      exp,
+      items: items.map(item => ({ nonce: item.nonce, quantity: item.quantity })),
+      state: state || null,
+      pricing
+    }
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url')
+    const signature = hmac(signingKey.secret, payload).toString('hex')
+
+    return {
+      quoteId,
+      quoteToken: `${payload}.${signature}`,
+      expiresAt: new Date(exp * 1000).toISOString()
+    }
+  }
+
+  /**
+   * Verify a quote token's signature and expiry
+   *
+   * @param {string} token
+   * @returns {{ ok: true, claims: Object } | { ok: false, code: string, message: string, details?: Object }}
+   */
+  function verify(token) {
+    const invalid = { ok: false, code: 'INVALID_QUOTE', message: 'Quote token is malformed or its signature is invalid' }
+    if (typeof token !== 'string') {
+      return invalid
+    }
+
+    const [payload, signature, ...rest] = token.split('.')
+    if (!payload || rest.length > 0 || !/^[0-9a-f]{64}$/i.test(signature || '')) {
+      return invalid
+    }
+
+    let claims
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+    } catch {
+      return invalid
+    }
+    if (!claims || claims.typ !== TOKEN_TYPE || !Array.isArray(claims.items) || !claims.pricing) {
+      return invalid
+    }
+
+    const verificationKey = keyRing.getVerificationKey(claims.kid)
+    if (!verificationKey || !crypto.timingSafeEqual(Buffer.from(signature, 'hex'), hmac(verificationKey.secret, payload))) {
+      return invalid
+    }
+
+    if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= Date.now()) {
+      return {
+        ok: false,
+        code: 'QUOTE_EXPIRED',
+        message: 'Quote has expired. Request a new quote with POST /quote.',
+        details: { quoteId: claims.quoteId, expiredAt: new Date(claims.exp * 1000).toISOString(), action: 'quote_again' }
+      }
+    }
+
+    return { ok: true, claims }
+  }
+
+  return {
+    ttlSeconds,
+    issue,
+    verify
+  }
+}
+
+/**
+ * Compare a verified quote with the items and destination of a purchase
+ *
+ * @param {Object} claims - Verified quote claims
+ * @param {Array<{ blobNonce: string, quantity: number }>} items - Validated purchase items
+ * @param {string|null} state - Purchase destination state
+ * @returns {string|null} Why the purchase does not match the quote, or null
+ */
+function findQuoteMismatch(claims, items, state) {
+  if (claims.items.length !== items.length) {
+    return `quote covers ${claims.items.length} item(s), purchase has ${items.length}`
+  }
+  for (const [index, item] of items.entries()) {
+    const quoted = claims.items[index]
+    if (quoted.nonce !== item.blobNonce) {
+      return `item ${index} is not the product blob that was quoted`
+    }
+    if (quoted.quantity !== item.quantity) {
+      return `item ${index} quantity ${item.quantity} differs from the quoted ${quoted.quantity}`
+    }
+  }
+  if ((claims.state || null) !== (state || null)) {
+    return `shipping state ${state || 'none'} differs from the quoted ${claims.state || 'none'}`
+  }
+  return null
+}
+
+module.exports = {
+  createQuoteSigner,
+  findQuoteMismatch
+}
@@ -0,0 +1,106 @@
+/**
+ * TTL + LRU cache for search results (Amazon Demo Proxy)
+ *
+ * Entries expire after a fixed TTL and the least recently used entry is
+ * evicted once the cache is full. A Map keeps insertion order, so moving an
+ * entry to the end on every read makes the first key the LRU candidate.
+ */
+
+class TtlLruCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Cache name (for stats)
+   * @param {number} options.maxEntries - Maximum number of entries
+   * @param {number} options.ttlMs - Entry lifetime in milliseconds
+   */
+  constructor({ name, maxEntries, ttlMs }) {
+    this.name = name
+    this.maxEntries = maxEntries
+    this.ttlMs = ttlMs
+    this.entries = new Map()
+    this.counters = { hits: 0, misses: 0, evictions: 0, expirations: 0 }
+  }
+
+  /**
+   * Look up a live entry, counting the hit or miss
+   * @returns {*} Cached value, or undefined
+   */
+  get(key) {
+    const entry = this.peekEntry(key)
+    if (!entry) {
+      this.counters.misses++
+      return undefined
+    }
+
+    this.counters.hits++
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    return entry.value
+  }
+
+  /**
+   * Look up a live entry with its metadata, without touching counters or recency
+   * @returns {{ value: *, storedAt: number, expiresAt: number } | undefined}
+   */
+  peekEntry(key) {
+    const entry = this.entries.get(key)
+    if (!entry) {
+      return undefined
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key)
+      this.counters.expirations++
+      return undefined
+    }
+    return entry
+  }
+
+  set(key, value) {
+    const now = Date.now()
+    this.entries.delete(key)
+    this.entries.set(key, { value, storedAt: now, expiresAt: now + this.ttlMs })
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value
+      this.entries.delete(oldestKey)
+      this.counters.evictions++
+    }
+    return this
+  }
+
+  delete(key) {
+    return this.entries.delete(key)
+  }
+
+  clear() {
+    this.entries.clear()
+  }
+
+  get size() {
+    return this.entries.size
+  }
+
+  stats() {
+    const lookups = this.counters.hits + this.counters.misses
+    return {
+      name: this.name,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlSeconds: Math.round(this.ttlMs / 1000),
+      ...this.counters,
+      hitRate: lookups > 0 ? Number((this.counters.hits / lookups).toFixed(4)) : null
+    }
+  }
+}
+
+/**
+ * Cache key for a search: normalized query terms plus the requested limit
+ */
+function searchCacheKey(query, limit) {
+  return `${String(query).trim().toLowerCase().replace(/\s+/g, ' ')}|${limit}`
+}
+
+module.exports = {
+  TtlLruCache,
+  searchCacheKey
+}
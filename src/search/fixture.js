@@ -0,0 +1,109 @@
+/**
+ * Fixture search provider (Amazon Demo Proxy)
+ *
+ * Serves recorded SerpAPI responses from a JSON file so the whole
+ * search → purchase → webhook flow can run offline. The file format is:
+ *
+ *   {
+ *     "recordings": [
+ *       { "query": "airpods", "response": { "organic_results": [ ... ] } }
+ *     ]
+ *   }
+ *
+ * A query with a recording returns it verbatim; any other query is matched
+ * against the titles of every recorded result. Single-ASIN lookups search
+ * every recording.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { normalizeSerpResult } = require('./serpapi')
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '..', '..', 'fixtures', 'search-results.json')
+
+function normalizeQuery(query) {
+  return String(query).trim().toLowerCase().replace(/\s+/g, ' ')
+}
+
+/**
+ * Create the fixture provider
+ *
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Recording file (defaults to SEARCH_FIXTURE_PATH)
+ * @returns {Object} Search provider
+ */
+function createFixtureProvider({ filePath } = {}) {
+  const fixturePath = filePath || (process.env.SEARCH_FIXTURE_PATH
+    ? path.resolve(process.env.SEARCH_FIXTURE_PATH)
+    : DEFAULT_FIXTURE_PATH)
+
+  // Read on every search so recordings can be edited without a restart
+  function loadRecordings() {
+    let data
+    try {
+      data = JSON.parse(fs.readFileSync(fixturePath, 'utf8'))
+    } catch (error) {
+      throw new Error(`Failed to read search fixtures from ${fixturePath}: ${error.message}`)
+    }
+    return Array.isArray(data.recordings) ? data.recordings : []
+  }
+
+  return {
+    name: 'fixture',
+    requiredEnv: [],
+    filePath: fixturePath,
+
+    isConfigured() {
+      return fs.existsSync(fixturePath)
+    },
+
+    async probe() {
+      return { recordings: loadRecordings().length }
+    },
+
+    async search(query, limit) {
+      const recordings = loadRecordings()
+      const normalized = normalizeQuery(query)
+
+      const exact = recordings.find(recording => normalizeQuery(recording.query) === normalized)
+      let results
+      if (exact) {
+        results = exact.response?.organic_results || []
+      } else {
+        const terms = normalized.split(' ')
+        const seen = new Set()
+        results = recordings
+          .flatMap(recording => recording.response?.organic_results || [])
+          .filter(item => {
+            const title = String(item.title || '').toLowerCase()
+            if (seen.has(item.asin) || !terms.every(term => title.includes(term))) {
+              return false
+            }
+            seen.add(item.asin)
+            return true
+          })
+      }
+
+      return results
+        .map(item => normalizeSerpResult(item, 'fixture'))
+        .slice(0, limit)
+    },
+
+    async lookup(asin) {
+      const item = loadRecordings()
+        .flatMap(recording => recording.response?.organic_results || [])
+        .find(result => result.asin === asin)
+
+      if (!item) {
+        return null
+      }
+
+      // Recordings are assumed in stock unless they say otherwise
+      return normalizeSerpResult({ in_stock: true, ...item }, 'fixture')
+    }
+  }
+}
+
+module.exports = {
+  createFixtureProvider
+}
@@ -0,0 +1,42 @@
+/**
+ * Product search providers (Amazon Demo Proxy)
+ *
+ * A search provider is an object with:
+ *   name            string reported as each product's meta.source
+ *   requiredEnv     environment variables the provider needs at startup
+ *   isConfigured()  whether it can serve searches right now
+ *   search(q, n)    Promise of up to n normalized products
+ *   lookup(asin)    Promise of one freshly fetched product, or null
+ *   probe(options)  Promise that resolves when the provider is usable and
+ *                   rejects when it is not (readiness; options.signal aborts)
+ *
+ * SEARCH_PROVIDER selects the provider: "serpapi" (default) or "fixture".
+ * Register additional providers in PROVIDERS.
+ */
+
+const { createSerpApiProvider } = require('./serpapi')
+const { createFixtureProvider } = require('./fixture')
+
+const PROVIDERS = {
+  serpapi: createSerpApiProvider,
+  fixture: createFixtureProvider
+}
+
+/**
+ * Create the configured (or named) search provider
+ *
+ * @param {string} [name] - Provider name (defaults to SEARCH_PROVIDER)
+ * @returns {Object} Search provider
+ */
+function createSearchProvider(name = process.env.SEARCH_PROVIDER || 'serpapi') {
+  const factory = PROVIDERS[name.toLowerCase()]
+  if (!factory) {
+    throw new Error(`Unknown SEARCH_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`)
+  }
+  return factory()
+}
+
+module.exports = {
+  createSearchProvider,
+  PROVIDERS
+}
@@ -0,0 +1,188 @@
+/**
+ * SerpAPI search provider (Amazon Demo Proxy)
+ *
+ * Live Amazon search through SerpAPI's amazon engine. Requires SERP_API_KEY.
+ */
+
+const { createUpstream, getUpstreamPolicy } = require('../upstream')
+const log = require('../logging').logger.child({ component: 'search', provider: 'serpapi' })
+
+const SERPAPI_SEARCH_URL = 'https://serpapi.com/search'
+// Account details; does not use up searches
+const SERPAPI_ACCOUNT_URL = 'https://serpapi.com/account.json'
+
+/**
+ * Normalize stock information from a SerpAPI result
+ *
+ * @param {Object} item - SerpAPI organic or product result
+ * @returns {{ inStock: boolean|null, status: string|null }}
+ */
+function normalizeAvailability(item) {
+  const status = item.stock || item.availability || null
+  if (typeof item.in_stock === 'boolean') {
+    return { inStock: item.in_stock, status }
+  }
+  if (typeof status === 'string') {
+    return { inStock: !/unavailable|out of stock|currently not available/i.test(status), status }
+  }
+  return { inStock: null, status: null }
+}
+
+/**
+ * Category names from a SerpAPI result (product pages list a breadcrumb of
+ * { name, link } entries; organic results usually have none)
+ *
+ * @param {Object} item - SerpAPI organic or product result
+ * @returns {Array<string>}
+ */
+function normalizeCategories(item) {
+  const categories = Array.isArray(item.categories) ? item.categories : (item.category ? [item.category] : [])
+  return categories
+    .map(category => (typeof category === 'string' ? category : category?.name))
+    .filter(Boolean)
+}
+
+/**
+ * Normalize a SerpAPI organic result to the proxy's Product shape
+ *
+ * @param {Object} item - SerpAPI organic_results entry
+ * @param {string} source - Provider name reported in meta.source
+ * @returns {Object} Product
+ */
+function normalizeSerpResult(item, source) {
+  return {
+    asin: item.asin,
+    title: item.title,
+    url: item.link_clean || `https://amazon.com/dp/${item.asin}`,
+    image: item.thumbnail || '',
+    price: {
+      amount: item.extracted_price || 0,
+      currency: 'USD'
+    },
+    offerId: item.offer_id || null,
+    availability: normalizeAvailability(item),
+    categories: normalizeCategories(item),
+    meta: {
+      source,
+      fetchedAt: new Date().toISOString()
+    }
+  }
+}
+
+/**
+ * Create the SerpAPI provider
+ *
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - SerpAPI key (defaults to SERP_API_KEY)
+ * @param {Object} [options.upstream] - Upstream client (defaults to SERPAPI_* timeout/retry/breaker policy)
+ * @returns {Object} Search provider
+ */
+function createSerpApiProvider({
+  apiKey = process.env.SERP_API_KEY,
+  upstream = createUpstream({ name: 'serpapi', policy: getUpstreamPolicy('SERPAPI', { timeoutMs: 10000, retries: 2 }) })
+} = {}) {
+  // Searches and lookups are plain GETs, so every call is safe to retry
+  async function getJson(url) {
+    const response = await upstream.fetch(url, {}, { retry: true })
+    if (!response.ok) {
+      const body = await response.text()
+      throw new Error(`SerpAPI error: ${response.status} ${response.statusText} - ${body.slice(0, 200)}`)
+    }
+    return response.json()
+  }
+
+  return {
+    name: 'serpapi',
+    requiredEnv: ['SERP_API_KEY'],
+    upstream,
+
+    isConfigured() {
+      return !!apiKey
+    },
+
+    /**
+     * Readiness probe: the key must be accepted by SerpAPI's account endpoint.
+     * Bypasses the upstream retries and breaker so a probe never trips them.
+     *
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<{ searchesLeft: number|null }>}
+     */
+    async probe({ signal } = {}) {
+      if (!apiKey) {
+        throw new Error('SERP_API_KEY is not set')
+      }
+
+      let response
+      try {
+        response = await fetch(`${SERPAPI_ACCOUNT_URL}?api_key=${apiKey}`, { signal })
+      } catch (error) {
+        if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+          throw error
+        }
+        throw new Error(`SerpAPI account check failed: ${error.cause?.message || error.message}`)
+      }
+      if (!response.ok) {
+        await response.body?.cancel()
+        throw new Error(`SerpAPI account check returned HTTP ${response.status}`)
+      }
+      const account = await response.json()
+      return { searchesLeft: account.total_searches_left ?? null }
+    },
+
+    /**
+     * @param {string} query - Search terms
+     * @param {number} limit - Maximum number of products
+     * @returns {Promise<Array<Object>>} Normalized products
+     */
+    async search(query, limit) {
+      if (!apiKey) {
+        throw new Error('SERP_API_KEY is required for SerpAPI Amazon search')
+      }
+
+      const url = `${SERPAPI_SEARCH_URL}?engine=amazon&k=${encodeURIComponent(query)}&amazon_domain=amazon.com&api_key=${apiKey}`
+      const data = await getJson(url)
+
+      if (!data.organic_results) {
+        log.info('No organic results', { query })
+        return []
+      }
+
+      return data.organic_results
+        .map(item => normalizeSerpResult(item, 'serpapi'))
+        .slice(0, limit)
+    },
+
+    /**
+     * Fetch current details for a single ASIN
+     * @param {string} asin - Amazon ASIN
+     * @returns {Promise<Object|null>} Normalized product, or null if not found
+     */
+    async lookup(asin) {
+      if (!apiKey) {
+        throw new Error('SERP_API_KEY is required for SerpAPI Amazon lookup')
+      }
+
+      const url = `${SERPAPI_SEARCH_URL}?engine=amazon_product&asin=${encodeURIComponent(asin)}&amazon_domain=amazon.com&api_key=${apiKey}`
+      const data = await getJson(url)
+
+      const result = data.product_results
+      if (!result) {
+        log.info('No product results for ASIN', { asin })
+        return null
+      }
+
+      return normalizeSerpResult({
+        ...result,
+        asin: result.asin || asin,
+        thumbnail: result.thumbnail || (Array.isArray(result.thumbnails) ? result.thumbnails[0] : '')
+      }, 'serpapi')
+    }
+  }
+}
+
+module.exports = {
+  createSerpApiProvider,
+  normalizeSerpResult,
+  normalizeAvailability
+}
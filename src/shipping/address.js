@@ -0,0 +1,193 @@
+/**
+ * Shipping address validation (Amazon Demo Proxy)
+ *
+ * /purchase and /quote check the shipping block before anything is priced or
+ * paid, so a bad address is reported field by field instead of failing (or
+ * shipping somewhere else) after the buyer has paid:
+ *
+ *   "shipping": {
+ *     "name": "Ada Lovelace",
+ *     "email": "ada@example.com",
+ *     "address": {
+ *       "line1": "1 Main St", "line2": "Apt 2",
+ *       "city": "Springfield", "state": "IL", "postalCode": "62701", "country": "US"
+ *     }
+ *   }
+ *
+ * Orders can only be placed to SHIPPING_COUNTRIES (comma separated ISO codes,
+ * default "US"). state is required for the US and Canada and optional
+ * elsewhere. The demo address is only used for purchases without shipping
+ * when SHIPPING_SANDBOX_MODE=true.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const US_ZIP_PATTERN = /^\d{5}(-\d{4})?$/
+const MAX_FIELD_LENGTH = 200
+// Countries whose addresses are not deliverable without a state or province
+const STATE_REQUIRED_COUNTRIES = ['US', 'CA']
+
+// States, DC, territories and military (APO/FPO) codes
+const US_STATE_CODES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY',
+  'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND',
+  'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+  'DC', 'PR', 'GU', 'VI', 'AS', 'MP', 'AA', 'AE', 'AP'
+])
+
+const DEMO_SHIPPING = Object.freeze({
+  name: 'Demo Customer',
+  email: 'customer@example.com',
+  address: Object.freeze({
+    line1: '123 Test Street',
+    city: 'San Francisco',
+    state: 'CA',
+    postalCode: '94105',
+    country: 'US'
+  })
+})
+
+/**
+ * Shipping settings from the environment
+ *
+ * @returns {{ countries: Array<string>, sandbox: boolean }}
+ */
+function getShippingConfig() {
+  const countries = (process.env.SHIPPING_COUNTRIES || 'US')
+    .split(',')
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean)
+
+  return {
+    countries,
+    sandbox: process.env.SHIPPING_SANDBOX_MODE === 'true'
+  }
+}
+
+/**
+ * Validate and normalize a shipping block
+ *
+ * @param {Object} shipping - Request body shipping
+ * @param {Object} [config] - From getShippingConfig()
+ * @returns {{ ok: true, shipping: Object } | { ok: false, errors: Array<{ field: string, message: string }> }}
+ *   shipping has trimmed fields and upper-case state and country codes
+ */
+function validateShipping(shipping, config = getShippingConfig()) {
+  const errors = []
+  const fail = (field, message) => errors.push({ field, message })
+
+  if (!shipping || typeof shipping !== 'object' || Array.isArray(shipping)) {
+    return { ok: false, errors: [{ field: 'shipping', message: 'must be an object with name, email and address' }] }
+  }
+
+  const text = (value, field, { required = true } = {}) => {
+    if (value === undefined || value === null || value === '') {
+      if (required) {
+        fail(field, 'is required')
+      }
+      return undefined
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      fail(field, 'must be a non-empty string')
+      return undefined
+    }
+    if (value.length > MAX_FIELD_LENGTH) {
+      fail(field, `must be at most ${MAX_FIELD_LENGTH} characters`)
+      return undefined
+    }
+    return value.trim()
+  }
+
+  const name = text(shipping.name, 'shipping.name')
+  const email = text(shipping.email, 'shipping.email')
+  if (email && !EMAIL_PATTERN.test(email)) {
+    fail('shipping.email', 'must be a valid email address')
+  }
+
+  const address = shipping.address
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    fail('shipping.address', 'is required')
+    return { ok: false, errors }
+  }
+
+  const line1 = text(address.line1, 'shipping.address.line1')
+  const line2 = text(address.line2, 'shipping.address.line2', { required: false })
+  const city = text(address.city, 'shipping.address.city')
+  const country = text(address.country, 'shipping.address.country')?.toUpperCase()
+  const state = text(address.state, 'shipping.address.state', {
+    required: !country || STATE_REQUIRED_COUNTRIES.includes(country)
+  })?.toUpperCase()
+  const postalCode = text(address.postalCode, 'shipping.address.postalCode')
+
+  if (country && !config.countries.includes(country)) {
+    fail('shipping.address.country', `${country} is not supported (supported: ${config.countries.join(', ')})`)
+  }
+  if (country === 'US') {
+    if (state && !US_STATE_CODES.has(state)) {
+      fail('shipping.address.state', 'must be a two-letter US state code')
+    }
+    if (postalCode && !US_ZIP_PATTERN.test(postalCode)) {
+      fail('shipping.address.postalCode', 'must be a 5 digit ZIP or ZIP+4 (12345 or 12345-6789)')
+    }
+  }
+
+  if (errors.length > 0) {
+    return { ok: false, errors }
+  }
+
+  return {
+    ok: true,
+    shipping: {
+      name,
+      email,
+      address: {
+        line1,
+        ...(line2 ? { line2 } : {}),
+        city,
+        ...(state ? { state } : {}),
+        postalCode,
+        country
+      }
+    }
+  }
+}
+
+/**
+ * Resolve the shipping a purchase will use: the validated request shipping,
+ * or the demo address in sandbox mode when none was given
+ *
+ * @param {Object} [shipping] - Request body shipping
+ * @param {Object} [config] - From getShippingConfig()
+ * @returns {{ ok: true, shipping: Object, sandbox: boolean } | { ok: false, code: string, message: string, errors: Array<Object> }}
+ */
+function resolveShipping(shipping, config = getShippingConfig()) {
+  if (shipping === undefined || shipping === null) {
+    if (config.sandbox) {
+      return { ok: true, shipping: DEMO_SHIPPING, sandbox: true }
+    }
+    return {
+      ok: false,
+      code: 'SHIPPING_REQUIRED',
+      message: 'shipping with name, email and address is required',
+      errors: [{ field: 'shipping', message: 'is required' }]
+    }
+  }
+
+  const result = validateShipping(shipping, config)
+  if (!result.ok) {
+    return {
+      ok: false,
+      code: 'INVALID_SHIPPING_ADDRESS',
+      message: `Shipping address is invalid: ${result.errors.map(error => `${error.field} ${error.message}`).join('; ')}`,
+      errors: result.errors
+    }
+  }
+  return { ok: true, shipping: result.shipping, sandbox: false }
+}
+
+module.exports = {
+  US_STATE_CODES,
+  DEMO_SHIPPING,
+  getShippingConfig,
+  validateShipping,
+  resolveShipping
+}
@@ -0,0 +1,244 @@
+/**
+ * Product signing key ring (Amazon Demo Proxy)
+ *
+ * Holds the HMAC keys used to sign product blobs. Exactly one key is active
+ * and used for new signatures; every key that has not been retired is still
+ * accepted for verification, so rotating the active key does not invalidate
+ * blobs agents are already holding.
+ *
+ * Keys live in a JSON file (PRODUCT_SIGNING_KEYS_PATH) that admin changes are
+ * written back to atomically. PRODUCT_SIGNING_SECRET, when set, seeds the ring
+ * as key "default" so existing deployments keep working unchanged.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+const DEFAULT_KEY_ID = 'default'
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/
+const MIN_SECRET_LENGTH = 16
+
+class KeyRingError extends Error {
+  /**
+   * @param {string} code - Machine readable error code
+   * @param {string} message - Human readable message
+   */
+  constructor(code, message) {
+    super(message)
+    this.name = 'KeyRingError'
+    this.code = code
+  }
+}
+
+class KeyRing {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Key ring JSON file
+   * @param {string} [options.fallbackSecret] - Secret seeded as key "default"
+   */
+  constructor({ filePath, fallbackSecret }) {
+    this.filePath = filePath
+    this.fallbackSecret = fallbackSecret || null
+    this.activeKeyId = null
+    this.keys = new Map()
+    this.load()
+  }
+
+  /**
+   * (Re)load keys from disk, seeding the fallback secret if it is missing
+   */
+  load() {
+    const keys = new Map()
+    let activeKeyId = null
+
+    if (fs.existsSync(this.filePath)) {
+      let data
+      try {
+        data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      } catch (error) {
+        throw new KeyRingError('KEYRING_INVALID', `Signing key file ${this.filePath} is not valid JSON: ${error.message}`)
+      }
+
+      for (const key of data.keys || []) {
+        if (!KEY_ID_PATTERN.test(key.kid || '') || typeof key.secret !== 'string') {
+          throw new KeyRingError('KEYRING_INVALID', `Signing key file ${this.filePath} contains an invalid key entry`)
+        }
+        keys.set(key.kid, {
+          kid: key.kid,
+          secret: key.secret,
+          status: key.status === 'retired' ? 'retired' : 'active',
+          createdAt: key.createdAt || null,
+          retiredAt: key.retiredAt || null
+        })
+      }
+      activeKeyId = data.activeKeyId || null
+    }
+
+    if (this.fallbackSecret && !keys.has(DEFAULT_KEY_ID)) {
+      keys.set(DEFAULT_KEY_ID, {
+        kid: DEFAULT_KEY_ID,
+        secret: this.fallbackSecret,
+        status: 'active',
+        createdAt: null,
+        retiredAt: null
+      })
+    }
+
+    if (!activeKeyId || !keys.has(activeKeyId) || keys.get(activeKeyId).status === 'retired') {
+      const firstUsable = Array.from(keys.values()).find(key => key.status !== 'retired')
+      activeKeyId = firstUsable ? firstUsable.kid : null
+    }
+
+    this.keys = keys
+    this.activeKeyId = activeKeyId
+    return this
+  }
+
+  reload() {
+    return this.load()
+  }
+
+  /**
+   * Key used to sign new blobs
+   * @returns {{ kid: string, secret: string } | null}
+   */
+  getActiveKey() {
+    return this.activeKeyId ? this.keys.get(this.activeKeyId) : null
+  }
+
+  /**
+   * Key usable for verification (unknown and retired keys return null)
+   * @param {string} kid - Key ID
+   */
+  getVerificationKey(kid) {
+    const key = this.keys.get(kid)
+    return key && key.status !== 'retired' ? key : null
+  }
+
+  /**
+   * Add a key, generating a random secret when none is given
+   *
+   * @param {Object} options
+   * @param {string} options.kid - New key ID
+   * @param {string} [options.secret] - Key secret
+   * @param {boolean} [options.activate] - Make it the active signing key
+   * @returns {Object} Public view of the new key
+   */
+  addKey({ kid, secret, activate = false }) {
+    if (!KEY_ID_PATTERN.test(kid || '')) {
+      throw new KeyRingError('INVALID_KEY_ID', 'kid must be 1-64 characters of letters, digits, "_", "." or "-"')
+    }
+    if (this.keys.has(kid)) {
+      throw new KeyRingError('KEY_EXISTS', `Signing key "${kid}" already exists`)
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH)) {
+      throw new KeyRingError('INVALID_KEY_SECRET', `secret must be a string of at least ${MIN_SECRET_LENGTH} characters`)
+    }
+
+    this.keys.set(kid, {
+      kid,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      status: 'active',
+      createdAt: new Date().toISOString(),
+      retiredAt: null
+    })
+    if (activate || !this.activeKeyId) {
+      this.activeKeyId = kid
+    }
+
+    this.save()
+    return this.describeKey(this.keys.get(kid))
+  }
+
+  /**
+   * Make an existing, non-retired key the signing key
+   * @param {string} kid - Key ID
+   */
+  activateKey(kid) {
+    const key = this.requireKey(kid)
+    if (key.status === 'retired') {
+      throw new KeyRingError('KEY_RETIRED', `Signing key "${kid}" is retired and cannot be activated`)
+    }
+
+    this.activeKeyId = kid
+    this.save()
+    return this.describeKey(key)
+  }
+
+  /**
+   * Retire a key so blobs signed with it are no longer accepted
+   * @param {string} kid - Key ID
+   */
+  retireKey(kid) {
+    const key = this.requireKey(kid)
+    if (kid === this.activeKeyId) {
+      throw new KeyRingError('KEY_ACTIVE', `Signing key "${kid}" is the active key; activate another key first`)
+    }
+
+    if (key.status !== 'retired') {
+      key.status = 'retired'
+      key.retiredAt = new Date().toISOString()
+      this.save()
+    }
+    return this.describeKey(key)
+  }
+
+  requireKey(kid) {
+    const key = this.keys.get(kid)
+    if (!key) {
+      throw new KeyRingError('KEY_NOT_FOUND', `Signing key "${kid}" not found`)
+    }
+    return key
+  }
+
+  /**
+   * Public view of a key (never includes the secret)
+   */
+  describeKey(key) {
+    return {
+      kid: key.kid,
+      status: key.status,
+      active: key.kid === this.activeKeyId,
+      createdAt: key.createdAt,
+      retiredAt: key.retiredAt
+    }
+  }
+
+  listKeys() {
+    return Array.from(this.keys.values(), key => this.describeKey(key))
+  }
+
+  /**
+   * Write the key ring to disk atomically (owner read/write only)
+   */
+  save() {
+    const payload = JSON.stringify({
+      activeKeyId: this.activeKeyId,
+      keys: Array.from(this.keys.values())
+    }, null, 2)
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+    fs.writeFileSync(tmpPath, payload, { mode: 0o600 })
+    fs.renameSync(tmpPath, this.filePath)
+  }
+}
+
+/**
+ * Create the key ring from environment configuration
+ */
+function createKeyRing() {
+  const filePath = process.env.PRODUCT_SIGNING_KEYS_PATH
+    ? path.resolve(process.env.PRODUCT_SIGNING_KEYS_PATH)
+    : path.join(__dirname, '..', '..', 'data', 'signing-keys.json')
+
+  return new KeyRing({ filePath, fallbackSecret: process.env.PRODUCT_SIGNING_SECRET })
+}
+
+module.exports = {
+  KeyRing,
+  KeyRingError,
+  createKeyRing,
+  DEFAULT_KEY_ID
+}
@@ -0,0 +1,156 @@
+/**
+ * File-backed storage adapter (Amazon Demo Proxy)
+ *
+ * Persists every collection so pending 402 challenges, payment state and
+ * idempotency records survive a restart. Two files are kept:
+ *
+ *   store.json          snapshot of every collection
+ *   store.json.journal  one JSON line per write or delete since the snapshot
+ *
+ * A write appends a single line to the journal, so its cost does not grow
+ * with the size of the store. Once the journal holds compactAfter entries it
+ * is folded into a new snapshot and emptied; close() does the same. The
+ * snapshot goes to a temp file first and is renamed into place, so a crash
+ * mid-write never leaves a truncated store behind. On load the journal is
+ * replayed over the snapshot; a torn last line from a crash mid-append is
+ * dropped.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { MemoryStore } = require('./memory')
+
+const STORE_FORMAT_VERSION = 1
+const DEFAULT_COMPACT_AFTER = 1000
+
+class FileStore extends MemoryStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Path of the JSON store file
+   * @param {number} [options.compactAfter] - Journal entries that trigger a new snapshot
+   */
+  constructor({ filePath, compactAfter = DEFAULT_COMPACT_AFTER }) {
+    super()
+    this.driver = 'file'
+    this.filePath = filePath
+    this.journalPath = `${filePath}.journal`
+    this.compactAfter = compactAfter
+    this.journalEntries = 0
+    this.snapshot = this.readSnapshot()
+
+    const { torn } = this.replayJournal()
+    if (torn) {
+      // Appending after a torn line would corrupt the next entry
+      this.compact()
+    }
+  }
+
+  readSnapshot() {
+    if (!fs.existsSync(this.filePath)) {
+      return {}
+    }
+
+    const raw = fs.readFileSync(this.filePath, 'utf8')
+    if (!raw.trim()) {
+      return {}
+    }
+
+    let parsed
+    try {
+      parsed = JSON.parse(raw)
+    } catch (error) {
+      throw new Error(`Storage file ${this.filePath} is not valid JSON: ${error.message}`)
+    }
+
+    if (parsed.version !== STORE_FORMAT_VERSION) {
+      throw new Error(`Unsupported storage file version ${parsed.version} in ${this.filePath}`)
+    }
+
+    return parsed.collections || {}
+  }
+
+  // Apply the journal to the snapshot; returns whether the last line was torn
+  replayJournal() {
+    if (!fs.existsSync(this.journalPath)) {
+      return { torn: false }
+    }
+
+    const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n')
+    const last = lines.pop()
+    let torn = last !== ''
+    if (torn) {
+      lines.push(last)
+    }
+
+    for (const [index, line] of lines.entries()) {
+      let entry
+      try {
+        entry = JSON.parse(line)
+      } catch (error) {
+        if (index === lines.length - 1) {
+          torn = true
+          break
+        }
+        throw new Error(`Storage journal ${this.journalPath} is corrupt at line ${index + 1}: ${error.message}`)
+      }
+
+      const records = this.snapshot[entry.collection] || (this.snapshot[entry.collection] = {})
+      if (entry.deleted) {
+        delete records[entry.key]
+      } else {
+        records[entry.key] = entry.value
+      }
+      this.journalEntries++
+    }
+    return { torn }
+  }
+
+  collection(name) {
+    const isNew = !this.collections.has(name)
+    const collection = super.collection(name)
+    if (isNew && this.snapshot[name]) {
+      collection.load(this.snapshot[name])
+    }
+    return collection
+  }
+
+  handleChange(collection, key, value) {
+    const entry = value === undefined ? { collection, key, deleted: true } : { collection, key, value }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+    fs.appendFileSync(this.journalPath, `${JSON.stringify(entry)}\n`)
+
+    this.journalEntries++
+    if (this.journalEntries >= this.compactAfter) {
+      this.compact()
+    }
+  }
+
+  /**
+   * Write all collections to a new snapshot atomically and empty the journal
+   */
+  compact() {
+    const collections = { ...this.snapshot }
+    for (const [name, collection] of this.collections) {
+      collections[name] = collection.toJSON()
+    }
+    this.snapshot = collections
+
+    const payload = JSON.stringify({ version: STORE_FORMAT_VERSION, collections }, null, 2)
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+    fs.writeFileSync(tmpPath, payload)
+    fs.renameSync(tmpPath, this.filePath)
+    // Entries already in the snapshot are harmless if a crash keeps them: replaying them is a no-op
+    fs.writeFileSync(this.journalPath, '')
+    this.journalEntries = 0
+  }
+
+  close() {
+    this.compact()
+  }
+}
+
+module.exports = {
+  FileStore
+}
@@ -0,0 +1,54 @@
+/**
+ * Storage factory (Amazon Demo Proxy)
+ *
+ * Selects the persistence adapter from the environment:
+ *   STORAGE_DRIVER=file   (default) JSON file at STORAGE_PATH, with a write
+ *                         journal folded into it every STORAGE_COMPACT_AFTER
+ *                         writes (default 1000)
+ *   STORAGE_DRIVER=memory in-process only, for tests
+ */
+
+const path = require('path')
+const { MemoryStore } = require('./memory')
+const { FileStore } = require('./file')
+
+const DEFAULT_STORAGE_PATH = path.join(__dirname, '..', '..', 'data', 'store.json')
+
+/**
+ * Storage configuration loaded from environment
+ */
+function getStorageConfig() {
+  return {
+    driver: (process.env.STORAGE_DRIVER || 'file').toLowerCase(),
+    filePath: process.env.STORAGE_PATH
+      ? path.resolve(process.env.STORAGE_PATH)
+      : DEFAULT_STORAGE_PATH,
+    compactAfter: parseInt(process.env.STORAGE_COMPACT_AFTER, 10) > 0
+      ? parseInt(process.env.STORAGE_COMPACT_AFTER, 10)
+      : undefined
+  }
+}
+
+/**
+ * Create a store for the configured (or given) driver
+ *
+ * @param {Object} [config] - Overrides for getStorageConfig()
+ * @returns {MemoryStore|FileStore}
+ */
+function createStore(config = {}) {
+  const storageConfig = { ...getStorageConfig(), ...config }
+
+  switch (storageConfig.driver) {
+    case 'memory':
+      return new MemoryStore()
+    case 'file':
+      return new FileStore({ filePath: storageConfig.filePath, compactAfter: storageConfig.compactAfter })
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${storageConfig.driver}" (expected "file" or "memory")`)
+  }
+}
+
+module.exports = {
+  createStore,
+  getStorageConfig
+}
@@ -0,0 +1,148 @@
+/**
+ * In-memory storage adapter (Amazon Demo Proxy)
+ *
+ * Keeps every collection in a plain Map. Nothing survives a restart, which
+ * makes this adapter the right choice for tests and throwaway demo runs.
+ */
+
+/**
+ * Deep-copy a record so callers never share references with the store.
+ * Records must be JSON-serializable to behave the same across adapters.
+ */
+function cloneRecord(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * Map-like collection of JSON records
+ *
+ * Values are copied on the way in and out, so a mutated record must be
+ * written back with set() before the change is visible (and persisted).
+ */
+class MemoryCollection {
+  /**
+   * @param {string} name - Collection name
+   * @param {Function} [onChange] - Called with (name, key, value) after every
+   *   write; value is undefined for a delete
+   */
+  constructor(name, onChange = () => {}) {
+    this.name = name
+    this.records = new Map()
+    this.onChange = onChange
+  }
+
+  get(key) {
+    return cloneRecord(this.records.get(key))
+  }
+
+  has(key) {
+    return this.records.has(key)
+  }
+
+  set(key, value) {
+    const record = cloneRecord(value)
+    this.records.set(key, record)
+    this.onChange(this.name, key, record)
+    return this
+  }
+
+  delete(key) {
+    const existed = this.records.delete(key)
+    if (existed) {
+      this.onChange(this.name, key, undefined)
+    }
+    return existed
+  }
+
+  get size() {
+    return this.records.size
+  }
+
+  keys() {
+    return Array.from(this.records.keys())
+  }
+
+  values() {
+    return Array.from(this.records.values(), cloneRecord)
+  }
+
+  entries() {
+    return Array.from(this.records.entries(), ([key, value]) => [key, cloneRecord(value)])
+  }
+
+  /**
+   * Return every record matching a predicate. Only the matches are copied;
+   * the predicate sees the stored record and must not modify it.
+   *
+   * @param {Function} predicate - (record, key) => boolean
+   * @returns {Array} Matching records
+   */
+  find(predicate) {
+    const matches = []
+    for (const [key, value] of this.records) {
+      if (predicate(value, key)) {
+        matches.push(cloneRecord(value))
+      }
+    }
+    return matches
+  }
+
+  /**
+   * Visit every record without copying it, for read-only scans such as
+   * counting. The callback must not modify the record.
+   *
+   * @param {Function} callback - (record, key) => void
+   */
+  forEach(callback) {
+    for (const [key, value] of this.records) {
+      callback(value, key)
+    }
+  }
+
+  /**
+   * Replace all records (used by persistent adapters when loading from disk)
+   *
+   * @param {Object} snapshot - Plain object of key -> record
+   */
+  load(snapshot = {}) {
+    this.records = new Map(Object.entries(snapshot))
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.records)
+  }
+}
+
+/**
+ * In-memory store holding named collections
+ */
+class MemoryStore {
+  constructor() {
+    this.driver = 'memory'
+    this.collections = new Map()
+  }
+
+  /**
+   * Get (or lazily create) a named collection
+   *
+   * @param {string} name - Collection name, e.g. "payments"
+   * @returns {MemoryCollection}
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(name, (...change) => this.handleChange(...change)))
+    }
+    return this.collections.get(name)
+  }
+
+  // Hook for persistent subclasses: (collection, key, value), value undefined for a delete
+  handleChange() {}
+
+  close() {}
+}
+
+module.exports = {
+  MemoryStore,
+  MemoryCollection,
+  cloneRecord
+}
@@ -0,0 +1,119 @@
+/**
+ * Record retention (Amazon Demo Proxy)
+ *
+ * Keeps the payment and order collections from growing without bound:
+ *
+ *   PAYMENT_CHALLENGE_TTL_SECONDS  an unpaid 402 challenge expires this long
+ *                                  after it was issued (default 900); paying
+ *                                  it afterwards is refused
+ *   RECORD_RETENTION_DAYS          finished records are deleted this long
+ *                                  after their last update (default 30)
+ *
+ * A payment is finished once it expired, was refunded, or completed with an
+ * order that reached a terminal status (or no longer exists). An order is
+ * finished once its status is terminal. Payments still in flight, held in
+ * settlement_unknown or order_unknown, or waiting for a refund are never
+ * deleted.
+ */
+
+const { TERMINAL_ORDER_STATUSES } = require('../orders/tracking')
+
+const DEFAULT_CHALLENGE_TTL_SECONDS = 900
+const DEFAULT_RETENTION_DAYS = 30
+const FINISHED_PAYMENT_STATUSES = ['expired', 'refunded']
+
+function readPositiveInt(name, fallback) {
+  const value = parseInt(process.env[name], 10)
+  return Number.isFinite(value) && value > 0 ? value : fallback
+}
+
+/**
+ * Retention settings from the environment
+ *
+ * @returns {{ challengeTtlMs: number, retentionMs: number }}
+ */
+function getRetentionConfig() {
+  return {
+    challengeTtlMs: readPositiveInt('PAYMENT_CHALLENGE_TTL_SECONDS', DEFAULT_CHALLENGE_TTL_SECONDS) * 1000,
+    retentionMs: readPositiveInt('RECORD_RETENTION_DAYS', DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 * 1000
+  }
+}
+
+/**
+ * When a payment's challenge expires (records from before expiresAt was
+ * stored fall back to createdAt + TTL)
+ *
+ * @param {Object} payment
+ * @param {Object} config - From getRetentionConfig()
+ * @returns {number} Epoch milliseconds
+ */
+function getChallengeExpiry(payment, config) {
+  return payment.expiresAt
+    ? Date.parse(payment.expiresAt)
+    : Date.parse(payment.createdAt) + config.challengeTtlMs
+}
+
+/**
+ * Whether an unpaid challenge has passed its expiry
+ *
+ * @param {Object} payment
+ * @param {Object} config - From getRetentionConfig()
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function isChallengeExpired(payment, config, now = Date.now()) {
+  return payment.status === 'pending' && now >= getChallengeExpiry(payment, config)
+}
+
+/**
+ * Delete finished payments and orders older than the retention period
+ *
+ * @param {Object} options
+ * @param {MemoryCollection} options.payments
+ * @param {MemoryCollection} options.orders
+ * @param {Object} options.config - From getRetentionConfig()
+ * @param {number} [options.now]
+ * @returns {{ payments: number, orders: number }} Records deleted
+ */
+function pruneFinishedRecords({ payments, orders, config, now = Date.now() }) {
+  const cutoff = now - config.retentionMs
+  const isOld = record => Date.parse(record.updatedAt || record.createdAt) < cutoff
+  const isFinishedOrder = order => TERMINAL_ORDER_STATUSES.includes(order.status)
+
+  const paymentIds = []
+  payments.forEach((payment, paymentId) => {
+    if (!isOld(payment)) {
+      return
+    }
+    if (FINISHED_PAYMENT_STATUSES.includes(payment.status)) {
+      paymentIds.push(paymentId)
+    } else if (payment.status === 'completed') {
+      const order = payment.orderId ? orders.get(payment.orderId) : null
+      if (!order || isFinishedOrder(order)) {
+        paymentIds.push(paymentId)
+      }
+    }
+  })
+
+  const orderIds = []
+  orders.forEach((order, orderId) => {
+    if (isOld(order) && isFinishedOrder(order)) {
+      orderIds.push(orderId)
+    }
+  })
+
+  for (const paymentId of paymentIds) {
+    payments.delete(paymentId)
+  }
+  for (const orderId of orderIds) {
+    orders.delete(orderId)
+  }
+  return { payments: paymentIds.length, orders: orderIds.length }
+}
+
+module.exports = {
+  getRetentionConfig,
+  getChallengeExpiry,
+  isChallengeExpired,
+  pruneFinishedRecords
+}
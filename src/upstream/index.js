@@ -0,0 +1,275 @@
+/**
+ * Upstream call policies (Amazon Demo Proxy)
+ *
+ * Wraps fetch for one upstream service (Crossmint, SerpAPI) with:
+ *
+ *   timeout          every attempt is aborted after timeoutMs
+ *   retries          network errors, timeouts, 429 and 5xx are retried with
+ *                    full-jitter exponential backoff, but only for calls
+ *                    marked retryable (idempotent or idempotency-keyed)
+ *   circuit breaker  after breakerThreshold consecutive failures the upstream
+ *                    is considered down and calls fail fast for
+ *                    breakerResetMs; one trial call then decides whether it
+ *                    closes again (closed → open → half_open → closed)
+ *
+ * Policies come from the environment with a per-upstream prefix, e.g.
+ * CROSSMINT_TIMEOUT_MS, CROSSMINT_RETRIES, CROSSMINT_RETRY_BASE_MS,
+ * CROSSMINT_RETRY_MAX_MS, CROSSMINT_BREAKER_THRESHOLD and
+ * CROSSMINT_BREAKER_RESET_SECONDS.
+ *
+ * Every attempt is recorded in amazon_proxy_upstream_request_duration_seconds
+ * (by outcome) and every failed attempt or rejected call in
+ * amazon_proxy_upstream_errors_total (by code).
+ */
+
+class UpstreamError extends Error {
+  /**
+   * @param {string} code - UPSTREAM_TIMEOUT, UPSTREAM_UNREACHABLE or CIRCUIT_OPEN
+   * @param {string} upstream - Upstream name
+   * @param {string} message - Human readable message
+   */
+  constructor(code, upstream, message) {
+    super(message)
+    this.name = 'UpstreamError'
+    this.code = code
+    this.upstream = upstream
+  }
+}
+
+const { logger } = require('../logging')
+const { registry } = require('../metrics')
+
+const attemptDuration = registry.histogram({
+  name: 'amazon_proxy_upstream_request_duration_seconds',
+  help: 'Duration of each upstream attempt, by outcome (2xx, 4xx, 5xx, timeout, unreachable)',
+  labelNames: ['upstream', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 30]
+})
+const upstreamErrors = registry.counter({
+  name: 'amazon_proxy_upstream_errors_total',
+  help: 'Failed upstream attempts (HTTP_<status>, UPSTREAM_TIMEOUT, UPSTREAM_UNREACHABLE) and calls refused by an open circuit (CIRCUIT_OPEN)',
+  labelNames: ['upstream', 'code']
+})
+
+const DEFAULT_POLICY = {
+  timeoutMs: 10000,
+  retries: 2,
+  retryBaseMs: 250,
+  retryMaxMs: 5000,
+  breakerThreshold: 5,
+  breakerResetMs: 30000
+}
+
+function readInt(name, fallback) {
+  const value = parseInt(process.env[name], 10)
+  return Number.isFinite(value) && value >= 0 ? value : fallback
+}
+
+/**
+ * Read an upstream policy from the environment
+ *
+ * @param {string} prefix - Environment prefix, e.g. "CROSSMINT"
+ * @param {Object} [defaults] - Overrides of the default policy
+ * @returns {Object} Policy
+ */
+function getUpstreamPolicy(prefix, defaults = {}) {
+  const base = { ...DEFAULT_POLICY, ...defaults }
+  return {
+    timeoutMs: readInt(`${prefix}_TIMEOUT_MS`, base.timeoutMs),
+    retries: readInt(`${prefix}_RETRIES`, base.retries),
+    retryBaseMs: readInt(`${prefix}_RETRY_BASE_MS`, base.retryBaseMs),
+    retryMaxMs: readInt(`${prefix}_RETRY_MAX_MS`, base.retryMaxMs),
+    breakerThreshold: readInt(`${prefix}_BREAKER_THRESHOLD`, base.breakerThreshold),
+    breakerResetMs: readInt(`${prefix}_BREAKER_RESET_SECONDS`, base.breakerResetMs / 1000) * 1000
+  }
+}
+
+function isTransientStatus(status) {
+  return status === 429 || status >= 500
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Create a client for one upstream
+ *
+ * @param {Object} options
+ * @param {string} options.name - Upstream name (logs, errors, diagnostics)
+ * @param {Object} [options.policy] - From getUpstreamPolicy()
+ * @param {Function} [options.fetchImpl] - fetch implementation (defaults to global fetch)
+ * @returns {{ name: string, fetch: Function, state: Function }}
+ */
+function createUpstream({ name, policy = DEFAULT_POLICY, fetchImpl = fetch }) {
+  const breaker = {
+    state: 'closed',
+    consecutiveFailures: 0,
+    openedAt: null,
+    trialInFlight: false,
+    lastFailure: null
+  }
+  const log = logger.child({ component: 'upstream', upstream: name })
+  const totals = { requests: 0, attempts: 0, retries: 0, failures: 0, rejected: 0 }
+
+  function retryAt() {
+    return breaker.openedAt === null ? null : breaker.openedAt + policy.breakerResetMs
+  }
+
+  // Decide whether a call may go out; moves open → half_open once the reset time passed
+  function admit() {
+    if (breaker.state === 'open' && Date.now() >= retryAt()) {
+      breaker.state = 'half_open'
+      log.info('Circuit half-open, sending a trial request')
+    }
+    if (breaker.state === 'open' || (breaker.state === 'half_open' && breaker.trialInFlight)) {
+      totals.rejected++
+      upstreamErrors.inc({ upstream: name, code: 'CIRCUIT_OPEN' })
+      const seconds = Math.max(0, Math.ceil((retryAt() - Date.now()) / 1000))
+      throw new UpstreamError('CIRCUIT_OPEN', name, `${name} circuit is open after ${breaker.consecutiveFailures} consecutive failures; retry in ${seconds}s`)
+    }
+    if (breaker.state === 'half_open') {
+      breaker.trialInFlight = true
+    }
+  }
+
+  function recordSuccess() {
+    if (breaker.state !== 'closed') {
+      log.info('Circuit closed')
+    }
+    breaker.state = 'closed'
+    breaker.consecutiveFailures = 0
+    breaker.openedAt = null
+    breaker.trialInFlight = false
+  }
+
+  function recordFailure(message) {
+    totals.failures++
+    breaker.consecutiveFailures++
+    breaker.lastFailure = { at: new Date().toISOString(), message }
+    breaker.trialInFlight = false
+
+    const trip = breaker.state === 'half_open' || breaker.consecutiveFailures >= policy.breakerThreshold
+    if (trip && policy.breakerThreshold > 0) {
+      if (breaker.state !== 'open') {
+        log.warn('Circuit open', {
+          resetSeconds: policy.breakerResetMs / 1000,
+          consecutiveFailures: breaker.consecutiveFailures,
+          reason: message
+        })
+      }
+      breaker.state = 'open'
+      breaker.openedAt = Date.now()
+    }
+  }
+
+  function backoff(attempt) {
+    const ceiling = Math.min(policy.retryMaxMs, policy.retryBaseMs * 2 ** attempt)
+    return Math.floor(Math.random() * ceiling)
+  }
+
+  /**
+   * fetch with the upstream's timeout, retry and circuit breaker policy.
+   * 4xx responses are returned as-is (the upstream is healthy); a 429/5xx
+   * response is returned once retries are exhausted so callers keep their
+   * own error handling.
+   *
+   * @param {string} url
+   * @param {Object} [init] - fetch options
+   * @param {Object} [options]
+   * @param {boolean} [options.retry] - Whether the call is safe to repeat
+   * @returns {Promise<Response>}
+   * @throws {UpstreamError} On timeout, network failure or an open circuit
+   */
+  async function upstreamFetch(url, init = {}, { retry = false } = {}) {
+    totals.requests++
+    const maxAttempts = retry ? policy.retries + 1 : 1
+
+    for (let attempt = 0; ; attempt++) {
+      admit()
+      totals.attempts++
+
+      let response = null
+      let failure
+      const startedAt = Date.now()
+      try {
+        response = await fetchImpl(url, { ...init, signal: AbortSignal.timeout(policy.timeoutMs) })
+      } catch (error) {
+        failure = error.name === 'TimeoutError' || error.name === 'AbortError'
+          ? new UpstreamError('UPSTREAM_TIMEOUT', name, `${name} request timed out after ${policy.timeoutMs}ms`)
+          : new UpstreamError('UPSTREAM_UNREACHABLE', name, `${name} request failed: ${error.cause?.message || error.message}`)
+      }
+
+      const outcome = failure
+        ? (failure.code === 'UPSTREAM_TIMEOUT' ? 'timeout' : 'unreachable')
+        : `${Math.floor(response.status / 100)}xx`
+      attemptDuration.observe({ upstream: name, outcome }, (Date.now() - startedAt) / 1000)
+      if (failure || response.status >= 400) {
+        upstreamErrors.inc({ upstream: name, code: failure ? failure.code : `HTTP_${response.status}` })
+      }
+
+      if (response && !isTransientStatus(response.status)) {
+        recordSuccess()
+        return response
+      }
+
+      recordFailure(failure ? failure.message : `HTTP ${response.status}`)
+      const canRetry = attempt + 1 < maxAttempts && breaker.state !== 'open'
+      if (!canRetry) {
+        if (failure) {
+          throw failure
+        }
+        return response
+      }
+
+      if (response) {
+        await response.body?.cancel()
+      }
+      const delay = backoff(attempt)
+      totals.retries++
+      log.info('Retrying', {
+        reason: failure ? failure.message : `HTTP ${response.status}`,
+        retry: attempt + 1,
+        retries: policy.retries,
+        delayMs: delay
+      })
+      await sleep(delay)
+    }
+  }
+
+  /**
+   * Breaker state and counters for diagnostics
+   */
+  function state() {
+    if (breaker.state === 'open' && Date.now() >= retryAt()) {
+      // Reported as half_open; the next call performs the transition
+      return describe('half_open')
+    }
+    return describe(breaker.state)
+  }
+
+  function describe(circuit) {
+    const nextAttemptAt = circuit === 'open' ? new Date(retryAt()).toISOString() : null
+    return {
+      circuit,
+      consecutiveFailures: breaker.consecutiveFailures,
+      openedAt: breaker.openedAt === null ? null : new Date(breaker.openedAt).toISOString(),
+      nextAttemptAt,
+      lastFailure: breaker.lastFailure,
+      totals: { ...totals },
+      policy: { ...policy }
+    }
+  }
+
+  return {
+    name,
+    fetch: upstreamFetch,
+    state
+  }
+}
+
+module.exports = {
+  UpstreamError,
+  getUpstreamPolicy,
+  createUpstream
+}
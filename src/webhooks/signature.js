@@ -0,0 +1,174 @@
+/**
+ * Webhook request authentication (Amazon Demo Proxy)
+ *
+ * Payment webhooks must be signed with the shared WEBHOOK_SECRET:
+ *
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Nonce:     <unique random string>
+ *   X-Webhook-Signature: hex(HMAC-SHA256(secret, `${timestamp}.${nonce}.${rawBody}`))
+ *
+ * Requests outside the tolerance window or reusing a nonce are rejected, each
+ * with its own error code so rejections can be told apart in the logs.
+ */
+
+const crypto = require('crypto')
+
+const DEFAULT_TOLERANCE_SECONDS = 300
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,128}$/
+
+const WEBHOOK_AUTH_ERRORS = {
+  NOT_CONFIGURED: 'WEBHOOK_AUTH_NOT_CONFIGURED',
+  MISSING_HEADERS: 'WEBHOOK_MISSING_AUTH_HEADERS',
+  INVALID_TIMESTAMP: 'WEBHOOK_INVALID_TIMESTAMP',
+  TIMESTAMP_OUT_OF_RANGE: 'WEBHOOK_TIMESTAMP_OUT_OF_RANGE',
+  INVALID_NONCE: 'WEBHOOK_INVALID_NONCE',
+  INVALID_SIGNATURE: 'WEBHOOK_INVALID_SIGNATURE',
+  NONCE_REUSED: 'WEBHOOK_NONCE_REUSED'
+}
+
+/**
+ * Webhook authentication configuration loaded from environment
+ */
+function getWebhookAuthConfig() {
+  return {
+    secret: process.env.WEBHOOK_SECRET || null,
+    toleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || DEFAULT_TOLERANCE_SECONDS
+  }
+}
+
+/**
+ * Compute the webhook signature for a raw request body
+ *
+ * @param {string} secret - Shared webhook secret
+ * @param {string|number} timestamp - Unix timestamp in seconds
+ * @param {string} nonce - Unique request nonce
+ * @param {string|Buffer} rawBody - Exact request body bytes
+ * @returns {string} Hex encoded HMAC-SHA256 signature
+ */
+function signWebhookPayload(secret, timestamp, nonce, rawBody) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(rawBody || '')
+    .digest('hex')
+}
+
+/**
+ * Constant-time comparison of two hex strings that tolerates length mismatch
+ */
+function safeCompareHex(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || !/^[0-9a-f]+$/i.test(a)) {
+    return false
+  }
+
+  const bufA = Buffer.from(a, 'hex')
+  const bufB = Buffer.from(b, 'hex')
+  if (bufA.length !== bufB.length) {
+    return false
+  }
+  return crypto.timingSafeEqual(bufA, bufB)
+}
+
+/**
+ * Verify a signed webhook request
+ *
+ * @param {Object} params
+ * @param {string} params.secret - Shared webhook secret
+ * @param {string} params.timestamp - X-Webhook-Timestamp header
+ * @param {string} params.nonce - X-Webhook-Nonce header
+ * @param {string} params.signature - X-Webhook-Signature header
+ * @param {Buffer|string} params.rawBody - Exact request body bytes
+ * @param {Object} params.nonces - Map-like store of seen nonces (get/has/set)
+ * @param {number} [params.toleranceSeconds] - Allowed clock skew
+ * @param {number} [params.now] - Current time in ms (for tests)
+ * @returns {{ ok: true } | { ok: false, code: string, message: string }}
+ */
+function verifyWebhookRequest({ secret, timestamp, nonce, signature, rawBody, nonces, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }) {
+  if (!secret) {
+    return { ok: false, code: WEBHOOK_AUTH_ERRORS.NOT_CONFIGURED, message: 'WEBHOOK_SECRET is not configured' }
+  }
+
+  if (!timestamp || !nonce || !signature) {
+    return { ok: false, code: WEBHOOK_AUTH_ERRORS.MISSING_HEADERS, message: 'X-Webhook-Timestamp, X-Webhook-Nonce and X-Webhook-Signature are required' }
+  }
+
+  if (!/^\d+$/.test(timestamp)) {
+    return { ok: false, code: WEBHOOK_AUTH_ERRORS.INVALID_TIMESTAMP, message: 'X-Webhook-Timestamp must be a unix timestamp in seconds' }
+  }
+
+  const skewSeconds = Math.abs(now / 1000 - Number(timestamp))
+  if (skewSeconds > toleranceSeconds) {
+    return { ok: false, code: WEBHOOK_AUTH_ERRORS.TIMESTAMP_OUT_OF_RANGE, message: `Webhook timestamp is outside the ${toleranceSeconds}s tolerance window` }
+  }
+
+  if (!NONCE_PATTERN.test(nonce)) {
+    return { ok: false, code: WEBHOOK_AUTH_ERRORS.INVALID_NONCE, message: 'X-Webhook-Nonce must be 8-128 URL-safe characters' }
+  }
+
+  const expected = signWebhookPayload(secret, timestamp, nonce, rawBody)
+  if (!safeCompareHex(signature, expected)) {
+    return { ok: false, code: WEBHOOK_AUTH_ERRORS.INVALID_SIGNATURE, message: 'Webhook signature verification failed' }
+  }
+
+  // Only remember nonces of authentic requests so forged calls cannot burn them
+  if (nonces.has(nonce)) {
+    return { ok: false, code: WEBHOOK_AUTH_ERRORS.NONCE_REUSED, message: 'Webhook nonce has already been used' }
+  }
+  nonces.set(nonce, { expiresAt: now + toleranceSeconds * 2 * 1000 })
+
+  return { ok: true }
+}
+
+/**
+ * Express middleware enforcing signed webhooks
+ * Requires express.json() to keep the raw body on req.rawBody.
+ *
+ * @param {Object} options
+ * @param {Object} options.nonces - Map-like nonce store
+ * @param {Function} [options.onReject] - Called with (req, result) for every rejection
+ * @returns {Function} Express middleware
+ */
+function createWebhookAuthMiddleware({ nonces, onReject = () => {} }) {
+  return (req, res, next) => {
+    const { secret, toleranceSeconds } = getWebhookAuthConfig()
+    const result = verifyWebhookRequest({
+      secret,
+      toleranceSeconds,
+      timestamp: req.get('X-Webhook-Timestamp'),
+      nonce: req.get('X-Webhook-Nonce'),
+      signature: req.get('X-Webhook-Signature'),
+      rawBody: req.rawBody,
+      nonces
+    })
+
+    if (!result.ok) {
+      onReject(req, result)
+      const status = result.code === WEBHOOK_AUTH_ERRORS.NOT_CONFIGURED ? 503 : 401
+      return res.status(status).json({ error: 'Webhook authentication failed', code: result.code, message: result.message })
+    }
+
+    next()
+  }
+}
+
+/**
+ * Drop nonces whose replay window has passed
+ *
+ * @param {Object} nonces - Map-like nonce store
+ * @param {number} [now] - Current time in ms
+ */
+function pruneWebhookNonces(nonces, now = Date.now()) {
+  for (const [nonce, record] of nonces.entries()) {
+    if (record.expiresAt <= now) {
+      nonces.delete(nonce)
+    }
+  }
+}
+
+module.exports = {
+  WEBHOOK_AUTH_ERRORS,
+  getWebhookAuthConfig,
+  signWebhookPayload,
+  verifyWebhookRequest,
+  createWebhookAuthMiddleware,
+  pruneWebhookNonces
+}
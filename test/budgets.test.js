@@ -0,0 +1,215 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createBuyerBudgets } = require('../src/buyers/budgets')
+const { createStore } = require('../src/storage')
+const { startStack, signProduct, payChallenge } = require('./helpers/stack')
+
+const ALICE_KEY = 'alice_api_key_0123456789'
+const BOB_WALLET = 'BobWallet11111111111111111111111111111111'
+
+const BUYERS = {
+  defaultLimits: { perOrder: 200 },
+  buyers: [
+    { id: 'alice', apiKey: ALICE_KEY, limits: { daily: 300 } },
+    { id: 'bob', wallets: [BOB_WALLET], limits: { perOrder: 50 } }
+  ]
+}
+
+describe('createBuyerBudgets', () => {
+  let dir
+  let filePath
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amazon-proxy-buyers-'))
+    filePath = path.join(dir, 'buyers.json')
+    fs.writeFileSync(filePath, JSON.stringify(BUYERS))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  function budgetsWith(payments = []) {
+    const store = createStore({ driver: 'memory' })
+    const paymentCollection = store.collection('payments')
+    payments.forEach(payment => paymentCollection.set(payment.paymentId, payment))
+    const budgets = createBuyerBudgets({
+      spend: store.collection('buyerSpend'),
+      payments: paymentCollection,
+      filePath,
+      reservationTtlMs: 60000
+    })
+    return { budgets, alice: budgets.getBuyer('alice') }
+  }
+
+  it('applies default limits under the buyer limits', () => {
+    const { budgets, alice } = budgetsWith()
+    assert.deepEqual(budgets.check(alice, 25000).violation.limit, 'perOrder')
+    assert.deepEqual(budgets.describe(alice).limits, { perOrder: 200, daily: 300 })
+  })
+
+  it('counts open reservations and committed spend against the daily limit', () => {
+    const now = Date.now()
+    const { budgets, alice } = budgetsWith([
+      { paymentId: 'p1', buyer: { id: 'alice' }, status: 'pending', totalMinor: 10000, createdAt: new Date(now).toISOString() },
+      { paymentId: 'p2', buyer: { id: 'alice' }, status: 'pending', totalMinor: 10000, createdAt: new Date(now - 120000).toISOString() },
+      { paymentId: 'p3', buyer: { id: 'alice' }, status: 'failed', totalMinor: 10000, createdAt: new Date(now).toISOString() }
+    ])
+    budgets.commit('alice', 'p0', 15000)
+
+    const violation = budgets.check(alice, 6000).violation
+    assert.equal(violation.limit, 'daily')
+    assert.equal(violation.spent, 150)
+    assert.equal(violation.reserved, 100, 'expired and failed payments hold no budget')
+    assert.equal(violation.remaining, 50)
+
+    assert.equal(budgets.check(alice, 6000, { excludePaymentId: 'p1' }).ok, true)
+  })
+
+  it('only lets unpaid reservations expire', () => {
+    const createdAt = new Date(Date.now() - 120000).toISOString()
+    const { budgets, alice } = budgetsWith([
+      { paymentId: 'p1', buyer: { id: 'alice' }, status: 'verifying', totalMinor: 10000, createdAt },
+      { paymentId: 'p2', buyer: { id: 'alice' }, status: 'settlement_unknown', totalMinor: 5000, createdAt },
+      { paymentId: 'p3', buyer: { id: 'alice' }, status: 'pending', totalMinor: 10000, createdAt }
+    ])
+    assert.equal(budgets.describe(alice).reserved, 150)
+  })
+
+  it('commits spend once per payment and releases it on refund', () => {
+    const { budgets, alice } = budgetsWith()
+    budgets.commit('alice', 'p1', 12000)
+    budgets.commit('alice', 'p1', 12000)
+    assert.equal(budgets.describe(alice).spent.total, 120)
+
+    budgets.release('alice', 'p1', 12000)
+    assert.deepEqual(budgets.describe(alice).spent, { daily: 0, weekly: 0, total: 0 })
+  })
+
+  it('releases a refund settled before the weekly window', () => {
+    const { budgets, alice } = budgetsWith()
+    const eightDaysAgo = Date.now() - 8 * 24 * 60 * 60 * 1000
+    budgets.commit('alice', 'p_old', 4000, eightDaysAgo)
+    budgets.commit('alice', 'p_new', 3000)
+    assert.deepEqual(budgets.describe(alice).spent, { daily: 30, weekly: 30, total: 70 }, 'the old entry was pruned')
+
+    budgets.release('alice', 'p_old', 4000)
+    assert.deepEqual(budgets.describe(alice).spent, { daily: 30, weekly: 30, total: 30 })
+  })
+
+  it('identifies buyers by API key or wallet', () => {
+    const { budgets } = budgetsWith()
+    assert.equal(budgets.identify({ apiKey: ALICE_KEY }).buyer.id, 'alice')
+    assert.equal(budgets.identify({ wallet: BOB_WALLET }).via, 'wallet')
+    assert.equal(budgets.identify({ apiKey: 'not_a_known_key_000000' }).code, 'UNKNOWN_BUYER')
+    assert.deepEqual(budgets.identify({}), { ok: true, buyer: null, via: null })
+  })
+
+  it('rejects an invalid buyers file with every problem found', () => {
+    fs.writeFileSync(filePath, JSON.stringify({
+      defaultLimits: { monthly: 10 },
+      buyers: [{ id: 'alice', apiKey: 'short' }, { id: 'alice', limits: { daily: -1 } }]
+    }))
+    assert.throws(() => budgetsWith(), error =>
+      /defaultLimits\.monthly is not a limit/.test(error.message) &&
+      /buyers\[0\]\.apiKey must be a string of at least 16 characters/.test(error.message) &&
+      /buyers\[1\]\.id duplicates "alice"/.test(error.message) &&
+      /buyers\[1\]\.limits\.daily must be a non-negative number/.test(error.message))
+  })
+})
+
+describe('buyer budgets in /purchase', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+    fs.writeFileSync(path.join(stack.dir, 'buyers.json'), JSON.stringify(BUYERS))
+    const reload = await stack.admin('POST', '/admin/buyers/reload')
+    assert.deepEqual(reload.body.buyers, ['alice', 'bob'])
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  function purchase(product, headers = {}) {
+    return stack.request('POST', '/purchase', { body: { ...signProduct(product), quantity: 1 }, headers })
+  }
+
+  it('answers 401 for an unknown buyer', async () => {
+    const response = await purchase('pencils', { 'X-API-Key': 'not_a_known_key_000000' })
+    assert.equal(response.status, 401)
+    assert.equal(response.body.code, 'UNKNOWN_BUYER')
+
+    assert.equal((await stack.request('GET', '/budget')).status, 401)
+  })
+
+  it('enforces the per-order limit', async () => {
+    const response = await purchase('airpods', { 'X-Buyer-Wallet': BOB_WALLET })
+    assert.equal(response.status, 403)
+    assert.equal(response.body.code, 'BUDGET_EXCEEDED')
+    assert.equal(response.body.details.limit, 'perOrder')
+    assert.equal(response.body.details.buyerId, 'bob')
+  })
+
+  it('reserves budget for unpaid challenges', async () => {
+    const headers = { 'X-API-Key': ALICE_KEY }
+    assert.equal((await purchase('airpods', headers)).status, 402)
+
+    const budget = await stack.request('GET', '/budget', { headers })
+    assert.equal(budget.status, 200)
+    assert.equal(budget.body.reserved, 169.99)
+    assert.equal(budget.body.remaining.daily, 130.01)
+    assert.equal(budget.body.apiKey, undefined)
+
+    const second = await purchase('airpods', headers)
+    assert.equal(second.status, 403)
+    assert.equal(second.body.details.limit, 'daily')
+    assert.equal(second.body.details.reserved, 169.99)
+
+    const admin = await stack.admin('GET', '/admin/buyers/alice')
+    assert.equal(admin.body.reserved, 169.99)
+  })
+
+  it('keeps the reservation of a payment whose settlement is unknown', async () => {
+    const headers = { 'X-API-Key': ALICE_KEY }
+    const reservedBefore = (await stack.request('GET', '/budget', { headers })).body.reserved
+
+    const body = { ...signProduct('pencils'), quantity: 1 }
+    const challenge = (await stack.request('POST', '/purchase', { body, headers })).body
+    await stack.facilitatorOutcomes(['settle-error'])
+    const paid = await stack.request('POST', '/purchase', {
+      body,
+      headers: { 'X-PAYMENT': payChallenge(challenge), 'X-Payment-Id': challenge.paymentId }
+    })
+    assert.equal(paid.status, 502)
+
+    const reservedAfter = (await stack.request('GET', '/budget', { headers })).body.reserved
+    assert.equal(reservedAfter, reservedBefore + 4.59)
+  })
+
+  it('refuses payment from a wallet other than the declared one', async () => {
+    const body = { ...signProduct('pencils'), quantity: 1 }
+    const challenge = (await stack.request('POST', '/purchase', { body, headers: { 'X-Buyer-Wallet': BOB_WALLET } })).body
+
+    const paid = await stack.request('POST', '/purchase', {
+      body,
+      headers: { 'X-PAYMENT': payChallenge(challenge), 'X-Payment-Id': challenge.paymentId }
+    })
+    assert.equal(paid.status, 403)
+    assert.equal(paid.body.code, 'BUYER_WALLET_MISMATCH')
+  })
+
+  it('keeps the previous buyers when the reloaded file is invalid', async () => {
+    fs.writeFileSync(path.join(stack.dir, 'buyers.json'), JSON.stringify({ buyers: [{ id: 'no spaces allowed' }] }))
+    const reload = await stack.admin('POST', '/admin/buyers/reload')
+    assert.equal(reload.status, 422)
+    assert.equal(reload.body.code, 'BUYERS_INVALID')
+
+    const buyers = await stack.admin('GET', '/admin/buyers')
+    assert.deepEqual(buyers.body.buyers.map(buyer => buyer.buyerId), ['alice', 'bob'])
+  })
+})
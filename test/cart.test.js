@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startStack, signProduct } = require('./helpers/stack')
+
+describe('cart checkout', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  const purchase = body => stack.request('POST', '/purchase', { body })
+
+  it('issues one challenge for the combined total of every line item', async () => {
+    const response = await purchase({
+      items: [
+        { ...signProduct('airpods'), quantity: 1 },
+        { ...signProduct('pencils'), quantity: 3 }
+      ]
+    })
+
+    assert.equal(response.status, 402)
+    assert.equal(response.body.accepts[0].amount, '183.76')
+    assert.deepEqual(response.body.items.map(item => [item.asin, item.quantity]), [['B08C7KG5LP', 1], ['B071JM699B', 3]])
+
+    const payment = (await stack.request('GET', `/payment/${response.body.paymentId}`)).body
+    assert.equal(payment.items.length, 2)
+    assert.equal(payment.quantity, 4)
+  })
+
+  it('still accepts the single product form', async () => {
+    const response = await purchase({ ...signProduct('speaker'), quantity: 2 })
+    assert.equal(response.status, 402)
+    assert.equal(response.body.accepts[0].amount, '79.98')
+    assert.equal(response.body.product.asin, 'B01MFZF4VG')
+  })
+
+  it('rejects empty and oversized carts', async () => {
+    const empty = await purchase({ items: [] })
+    assert.equal(empty.status, 400)
+    assert.equal(empty.body.code, 'INVALID_CART')
+
+    const item = { ...signProduct('pencils'), quantity: 1 }
+    const oversized = await purchase({ items: Array.from({ length: 21 }, () => item) })
+    assert.equal(oversized.status, 400)
+    assert.equal(oversized.body.code, 'INVALID_CART')
+  })
+
+  it('reports which cart entry is invalid', async () => {
+    const badQuantity = await purchase({
+      items: [{ ...signProduct('airpods'), quantity: 1 }, { ...signProduct('pencils'), quantity: 0 }]
+    })
+    assert.equal(badQuantity.status, 400)
+    assert.equal(badQuantity.body.code, 'INVALID_QUANTITY')
+    assert.equal(badQuantity.body.details.itemIndex, 1)
+
+    const { productBlob } = signProduct('pencils')
+    const badSignature = await purchase({
+      items: [{ ...signProduct('airpods'), quantity: 1 }, { productBlob, signature: '00'.repeat(32), quantity: 1 }]
+    })
+    assert.equal(badSignature.status, 400)
+    assert.equal(badSignature.body.code, 'INVALID_SIGNATURE')
+    assert.equal(badSignature.body.details.itemIndex, 1)
+
+    const missing = await purchase({ items: [{ ...signProduct('airpods'), quantity: 1 }, { productBlob }] })
+    assert.equal(missing.status, 400)
+    assert.equal(missing.body.code, 'MISSING_REQUIRED_FIELDS')
+    assert.equal(missing.body.details.itemIndex, 1)
+  })
+})
@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const path = require('path')
+const { validateCatalog } = require('../src/catalog')
+const { startStack, signProduct } = require('./helpers/stack')
+
+const LAMP = { asin: 'B0LAMP0001', title: 'Desk Lamp', price: { amount: 25, currency: 'USD' } }
+
+describe('validateCatalog', () => {
+  it('reports every problem with its path', () => {
+    const errors = validateCatalog({
+      defaultASIN: 'B000000000',
+      allowSerpProducts: 'yes',
+      products: [
+        { asin: 'B08C7KG5LP', name: 'AirPods', price: 169.99 },
+        { asin: 'B08C7KG5LP', name: '', price: -1 }
+      ]
+    })
+
+    assert.deepEqual(errors.map(error => error.path), [
+      'allowSerpProducts',
+      'products[1].asin',
+      'products[1].name',
+      'products[1].price',
+      'defaultASIN'
+    ])
+  })
+
+  it('accepts a valid catalog', () => {
+    assert.deepEqual(validateCatalog({
+      defaultASIN: 'B08C7KG5LP',
+      products: [{ asin: 'B08C7KG5LP', name: 'AirPods', price: 169.99 }]
+    }), [])
+  })
+})
+
+describe('catalog admin API', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+    // Only catalog products can be bought from here on
+    const settings = await stack.admin('PATCH', '/admin/catalog/settings', { body: { allowSerpProducts: false } })
+    assert.equal(settings.status, 200)
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  function purchase(product) {
+    return stack.request('POST', '/purchase', { body: { ...signProduct(product), quantity: 1 } })
+  }
+
+  it('requires the admin token', async () => {
+    const response = await stack.request('GET', '/admin/catalog')
+    assert.equal(response.status, 401)
+  })
+
+  it('adds, updates and removes products, which /purchase honours immediately', async () => {
+    const rejected = await purchase(LAMP)
+    assert.equal(rejected.status, 400)
+    assert.equal(rejected.body.code, 'ASIN_NOT_IN_CATALOG')
+
+    const added = await stack.admin('POST', '/admin/catalog/products', { body: { asin: LAMP.asin, name: 'Desk Lamp', price: 25 } })
+    assert.equal(added.status, 201)
+    assert.equal(added.body.status.source, 'admin')
+    assert.equal((await purchase(LAMP)).status, 402)
+
+    const duplicate = await stack.admin('POST', '/admin/catalog/products', { body: { asin: LAMP.asin, name: 'Lamp', price: 25 } })
+    assert.equal(duplicate.status, 409)
+    assert.equal(duplicate.body.code, 'PRODUCT_EXISTS')
+
+    const updated = await stack.admin('PUT', `/admin/catalog/products/${LAMP.asin}`, { body: { name: 'Brass Desk Lamp' } })
+    assert.equal(updated.status, 200)
+    assert.equal(updated.body.catalog.products.find(product => product.asin === LAMP.asin).name, 'Brass Desk Lamp')
+
+    const onDisk = JSON.parse(fs.readFileSync(path.join(stack.dir, 'product-catalog.json'), 'utf8'))
+    assert.ok(onDisk.products.some(product => product.asin === LAMP.asin), 'changes are written back to the file')
+
+    assert.equal((await stack.admin('DELETE', `/admin/catalog/products/${LAMP.asin}`)).status, 200)
+    assert.equal((await purchase(LAMP)).status, 400)
+    assert.equal((await stack.admin('DELETE', `/admin/catalog/products/${LAMP.asin}`)).status, 404)
+  })
+
+  it('answers 422 with the validation report for an invalid change', async () => {
+    const response = await stack.admin('POST', '/admin/catalog/products', { body: { asin: 'lamp', name: 'Lamp', price: 'cheap' } })
+    assert.equal(response.status, 422)
+    assert.equal(response.body.code, 'CATALOG_INVALID')
+    assert.deepEqual(response.body.details.errors.map(error => error.path.replace(/\[\d+\]/, '[]')), ['products[].asin', 'products[].price'])
+
+    const removeDefault = await stack.admin('DELETE', '/admin/catalog/products/B08C7KG5LP')
+    assert.equal(removeDefault.status, 422)
+    assert.equal(removeDefault.body.details.errors[0].path, 'defaultASIN')
+  })
+
+  it('hot-reloads edits made to the file and keeps the catalog when the file is invalid', async () => {
+    const filePath = path.join(stack.dir, 'product-catalog.json')
+    const catalog = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    catalog.products.push({ asin: LAMP.asin, name: 'Desk Lamp', sku: LAMP.asin, price: 25 })
+    fs.writeFileSync(filePath, JSON.stringify(catalog, null, 2))
+
+    const status = await waitForCatalog(body => body.status.source === 'watcher')
+    assert.ok(status.catalog.products.some(product => product.asin === LAMP.asin))
+
+    fs.writeFileSync(filePath, '{ "products": ')
+    const rejected = await waitForCatalog(body => body.status.lastError !== null)
+    assert.ok(rejected.catalog.products.some(product => product.asin === LAMP.asin), 'the last valid catalog stays in use')
+
+    const reload = await stack.admin('POST', '/admin/catalog/reload')
+    assert.equal(reload.status, 422)
+  })
+
+  async function waitForCatalog(predicate) {
+    const deadline = Date.now() + 5000
+    while (Date.now() < deadline) {
+      const { body } = await stack.admin('GET', '/admin/catalog')
+      if (predicate(body)) {
+        return body
+      }
+      await new Promise(resolve => setTimeout(resolve, 100))
+    }
+    throw new Error('catalog did not change within 5s')
+  }
+})
@@ -0,0 +1,73 @@
+const { describe, it, afterEach, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { getCrossmintConfig, API_VERSION_PATH } = require('../src/crossmint/environment')
+const { startStack } = require('./helpers/stack')
+
+describe('getCrossmintConfig', () => {
+  const saved = { CROSSMINT_ENV: process.env.CROSSMINT_ENV, CROSSMINT_BASE_URL: process.env.CROSSMINT_BASE_URL }
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key]
+      } else {
+        process.env[key] = value
+      }
+    }
+  })
+
+  it('defaults to production, which needs an API key', () => {
+    delete process.env.CROSSMINT_ENV
+    delete process.env.CROSSMINT_BASE_URL
+    const config = getCrossmintConfig()
+    assert.equal(config.environment, 'production')
+    assert.equal(config.baseUrl, `https://www.crossmint.com${API_VERSION_PATH}`)
+    assert.equal(config.realOrders, true)
+    assert.equal(config.requiresApiKey, true)
+  })
+
+  it('places no real orders in staging or mock, and mock needs no key', () => {
+    process.env.CROSSMINT_ENV = 'Staging'
+    assert.equal(getCrossmintConfig().realOrders, false)
+
+    process.env.CROSSMINT_ENV = 'mock'
+    process.env.CROSSMINT_BASE_URL = 'http://mock.internal:9000/api/2022-06-09/'
+    const config = getCrossmintConfig()
+    assert.equal(config.requiresApiKey, false)
+    assert.equal(config.baseUrl, 'http://mock.internal:9000/api/2022-06-09')
+  })
+
+  it('rejects an unknown environment or an invalid base URL', () => {
+    process.env.CROSSMINT_ENV = 'sandbox'
+    assert.throws(() => getCrossmintConfig(), /CROSSMINT_ENV must be one of: production, staging, mock/)
+
+    process.env.CROSSMINT_ENV = 'mock'
+    process.env.CROSSMINT_BASE_URL = 'not a url'
+    assert.throws(() => getCrossmintConfig(), /CROSSMINT_BASE_URL is not a valid URL/)
+  })
+})
+
+describe('CROSSMINT_ENV=mock', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  it('reports that no real orders are placed', async () => {
+    const { body } = await stack.request('GET', '/')
+    assert.match(body.mode, /No real orders are placed/)
+
+    const diagnostics = await stack.request('GET', '/diagnostics')
+    assert.equal(diagnostics.body.crossmint.environment, 'mock')
+    assert.equal(diagnostics.body.crossmint.realOrders, false)
+  })
+
+  it('refuses to start with an unknown environment', async () => {
+    await assert.rejects(startStack({ env: { CROSSMINT_ENV: 'sandbox' } }), /exited with code 1/)
+  })
+})
@@ -0,0 +1,148 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { createReadinessChecker } = require('../src/health/readiness')
+const { startStack } = require('./helpers/stack')
+
+const CONFIG = { timeoutMs: 100, cacheMs: 60000, optional: [] }
+
+// A dependency whose probe answers from `outcome` ('up', 'down' or 'hang') and counts its calls
+function dependency(name, outcome, extra = {}) {
+  const dep = {
+    name,
+    calls: 0,
+    probe: async () => {
+      dep.calls++
+      if (dep.outcome === 'down') {
+        throw new Error(`${name} refused the connection`)
+      }
+      if (dep.outcome === 'hang') {
+        // Ignores the abort signal, like a client library without timeout support
+        await new Promise(resolve => setTimeout(resolve, 1000))
+      }
+      return { name }
+    },
+    outcome,
+    ...extra
+  }
+  return dep
+}
+
+describe('createReadinessChecker', () => {
+  it('is unknown before the first probe and ready once every dependency is up', async () => {
+    const checker = createReadinessChecker({ dependencies: [dependency('crossmint', 'up'), dependency('search', 'up')], config: CONFIG })
+    assert.equal(checker.snapshot().status, 'unknown')
+
+    const report = await checker.check()
+    assert.equal(report.status, 'ready')
+    assert.equal(report.ready, true)
+    assert.equal(report.cacheSeconds, 60)
+    assert.deepEqual(report.dependencies.crossmint.details, { name: 'crossmint' })
+    assert.equal(report.dependencies.crossmint.required, true)
+    assert.ok(report.dependencies.crossmint.lastSuccessAt)
+  })
+
+  it('is not ready while a required dependency is down, and degraded for an optional one', async () => {
+    const down = createReadinessChecker({ dependencies: [dependency('crossmint', 'down'), dependency('search', 'up')], config: CONFIG })
+    const report = await down.check()
+    assert.equal(report.status, 'not_ready')
+    assert.equal(report.ready, false)
+    assert.equal(report.dependencies.crossmint.lastError.message, 'crossmint refused the connection')
+
+    const optional = createReadinessChecker({
+      dependencies: [dependency('crossmint', 'up'), dependency('search', 'down')],
+      config: { ...CONFIG, optional: ['search'] }
+    })
+    const degraded = await optional.check()
+    assert.equal(degraded.status, 'degraded')
+    assert.equal(degraded.ready, true)
+  })
+
+  it('fails a probe that outlives the timeout', async () => {
+    const checker = createReadinessChecker({ dependencies: [dependency('facilitator', 'hang')], config: CONFIG })
+    const report = await checker.check()
+    assert.equal(report.dependencies.facilitator.status, 'down')
+    assert.equal(report.dependencies.facilitator.lastError.message, 'probe timed out after 100ms')
+  })
+
+  it('shares one probe run between callers and caches the result', async () => {
+    const crossmint = dependency('crossmint', 'up')
+    const checker = createReadinessChecker({ dependencies: [crossmint], config: CONFIG })
+
+    await Promise.all([checker.check(), checker.check()])
+    crossmint.outcome = 'down'
+    assert.equal((await checker.check()).status, 'ready')
+    assert.equal(crossmint.calls, 1)
+
+    const uncached = createReadinessChecker({ dependencies: [crossmint], config: { ...CONFIG, cacheMs: 0 } })
+    assert.equal((await uncached.check()).status, 'not_ready')
+    crossmint.outcome = 'up'
+    assert.equal((await uncached.check()).status, 'ready')
+  })
+})
+
+describe('GET /health/live and /health/ready', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  it('reports liveness without probing anything', async () => {
+    const { status, body } = await stack.request('GET', '/health/live')
+    assert.equal(status, 200)
+    assert.equal(body.status, 'ok')
+  })
+
+  it('is ready when the mock Crossmint, fixture search and mock facilitator answer', async () => {
+    const { status, body } = await stack.request('GET', '/health/ready')
+    assert.equal(status, 200)
+    assert.equal(body.status, 'ready')
+    assert.deepEqual(Object.keys(body.dependencies), ['crossmint', 'search', 'facilitator'])
+    assert.equal(body.dependencies.crossmint.details.environment, 'mock')
+    assert.ok(body.dependencies.facilitator.details.kinds.length > 0)
+
+    const diagnostics = await stack.request('GET', '/diagnostics')
+    assert.equal(diagnostics.body.crossmintReachable, true)
+    assert.equal(diagnostics.body.readiness.status, 'ready')
+  })
+})
+
+describe('GET /health/ready with the facilitator down', () => {
+  // Nothing listens on port 1
+  const FACILITATOR_URL = 'http://127.0.0.1:1'
+
+  it('answers 503 while it is required', async () => {
+    const stack = await startStack({ env: { FACILITATOR_URL } })
+    try {
+      const { status, body } = await stack.request('GET', '/health/ready')
+      assert.equal(status, 503)
+      assert.equal(body.status, 'not_ready')
+      assert.match(body.dependencies.facilitator.lastError.message, /Facilitator \/supported request failed/)
+
+      const live = await stack.request('GET', '/health/live')
+      assert.equal(live.status, 200)
+
+      const metrics = await (await fetch(`${stack.baseUrl}/metrics`)).text()
+      assert.match(metrics, /^amazon_proxy_dependency_up\{dependency="facilitator"\} 0$/m)
+      assert.match(metrics, /^amazon_proxy_dependency_up\{dependency="crossmint"\} 1$/m)
+    } finally {
+      await stack.stop()
+    }
+  })
+
+  it('stays ready, degraded, when READINESS_OPTIONAL lists it', async () => {
+    const stack = await startStack({ env: { FACILITATOR_URL, READINESS_OPTIONAL: 'facilitator' } })
+    try {
+      const { status, body } = await stack.request('GET', '/health/ready')
+      assert.equal(status, 200)
+      assert.equal(body.status, 'degraded')
+      assert.equal(body.dependencies.facilitator.required, false)
+    } finally {
+      await stack.stop()
+    }
+  })
+})
@@ -0,0 +1,273 @@
+/**
+ * End-to-end test stack (Amazon Demo Proxy)
+ *
+ * Starts server.js against the bundled mock facilitator and mock Crossmint,
+ * each on a free port, with in-memory storage, fixture search, test secrets and a throwaway
+ * catalog, buyers file and signing key path. Shipping runs in sandbox mode,
+ * so purchases may omit the address. signProduct() signs product blobs the
+ * way /products does for tests that need to control the blob's contents.
+ * Outcomes are scripted per payment or order through the mocks'
+ * /__mock/outcomes endpoints.
+ */
+
+const { spawn } = require('child_process')
+const crypto = require('crypto')
+const fs = require('fs')
+const net = require('net')
+const os = require('os')
+const path = require('path')
+const { signWebhookPayload } = require('../../src/webhooks/signature')
+
+const ROOT = path.join(__dirname, '..', '..')
+const START_TIMEOUT_MS = 15000
+
+const PRODUCT_SIGNING_SECRET = 'test_product_signing_secret'
+const WEBHOOK_SECRET = 'test_webhook_secret'
+const ADMIN_API_TOKEN = 'test_admin_token'
+const PAYER = 'TestPayer111111111111111111111111111111111'
+
+// Catalog products (config/product-catalog.json) with the prices /products reports
+const PRODUCTS = {
+  airpods: { asin: 'B08C7KG5LP', title: 'Apple AirPods (3rd Generation)', price: { amount: 169.99, currency: 'USD' } },
+  pencils: { asin: 'B071JM699B', title: 'Amazon Basics Woodcased Pencils', price: { amount: 4.59, currency: 'USD' } },
+  speaker: { asin: 'B01MFZF4VG', title: 'Anker Soundcore 2 Bluetooth Speaker', price: { amount: 39.99, currency: 'USD' } }
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer()
+    server.unref()
+    server.on('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+// Poll until the URL answers, failing early if the child exits
+async function waitForUrl(url, child) {
+  const deadline = Date.now() + START_TIMEOUT_MS
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`${url} exited with code ${child.exitCode} before it was ready:\n${child.output}`)
+    }
+    try {
+      const response = await fetch(url)
+      await response.body?.cancel()
+      return
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    }
+  }
+  throw new Error(`${url} was not ready within ${START_TIMEOUT_MS}ms:\n${child.output}`)
+}
+
+function startProcess(script, env) {
+  const child = spawn(process.execPath, [path.join(ROOT, script)], {
+    cwd: ROOT,
+    env,
+    stdio: ['ignore', 'pipe', 'pipe']
+  })
+  // Kept for failure messages and serverOutput()
+  child.output = ''
+  const collect = chunk => {
+    child.output = (child.output + chunk).slice(-8000)
+  }
+  child.stdout.on('data', collect)
+  child.stderr.on('data', collect)
+  return child
+}
+
+function stopProcess(child) {
+  if (child.exitCode !== null || child.signalCode !== null) {
+    return Promise.resolve()
+  }
+  return new Promise(resolve => {
+    child.once('exit', resolve)
+    child.kill('SIGTERM')
+  })
+}
+
+/**
+ * Sign a product the way /products does, with fresh iat/exp/nonce claims
+ *
+ * @param {Object|string} product - Product, or a key of PRODUCTS
+ * @param {Object} [claims] - kid, iat, exp or nonce overriding the defaults
+ * @param {string} [secret] - Signing key secret (defaults to key "default")
+ * @returns {{ productBlob: string, signature: string }}
+ */
+function signProduct(product, claims = {}, secret = PRODUCT_SIGNING_SECRET) {
+  const iat = Math.floor(Date.now() / 1000)
+  const payload = {
+    ...(typeof product === 'string' ? PRODUCTS[product] : product),
+    iat,
+    exp: iat + 900,
+    nonce: crypto.randomBytes(12).toString('hex'),
+    ...claims
+  }
+  const productBlob = Buffer.from(JSON.stringify(payload)).toString('base64url')
+  const signature = crypto.createHmac('sha256', secret).update(productBlob).digest('hex')
+  return { productBlob, signature }
+}
+
+/**
+ * Start the proxy and the mock facilitator
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Extra environment for server.js
+ * @returns {Promise<Object>} Stack with request helpers and stop()
+ */
+async function startStack({ env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amazon-proxy-test-'))
+  fs.copyFileSync(path.join(ROOT, 'config', 'product-catalog.json'), path.join(dir, 'product-catalog.json'))
+  const [serverPort, facilitatorPort, crossmintPort] = [await freePort(), await freePort(), await freePort()]
+  const baseEnv = { PATH: process.env.PATH, HOME: process.env.HOME }
+
+  const children = []
+  let server
+  const stop = async () => {
+    await Promise.all(children.map(stopProcess))
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+
+  try {
+    const facilitator = startProcess('scripts/mock-facilitator.js', {
+      ...baseEnv,
+      MOCK_FACILITATOR_PORT: String(facilitatorPort)
+    })
+    children.push(facilitator)
+
+    const crossmint = startProcess('scripts/mock-crossmint.js', {
+      ...baseEnv,
+      MOCK_CROSSMINT_PORT: String(crossmintPort)
+    })
+    children.push(crossmint)
+
+    server = startProcess('server.js', {
+      ...baseEnv,
+      PORT: String(serverPort),
+      STORAGE_DRIVER: 'memory',
+      SEARCH_PROVIDER: 'fixture',
+      SERP_API_KEY: 'test_serp_key',
+      CROSSMINT_ENV: 'mock',
+      MOCK_CROSSMINT_PORT: String(crossmintPort),
+      CROSSMINT_RETRIES: '0',
+      FACILITATOR_URL: `http://127.0.0.1:${facilitatorPort}`,
+      EXACT_RECIPIENT: 'HWfT4ivxtYVPeEUkdx5q7VTKy6E8p1nvCiba3Ez21obk',
+      PRODUCT_SIGNING_SECRET,
+      PRODUCT_SIGNING_KEYS_PATH: path.join(dir, 'signing-keys.json'),
+      PRODUCT_CATALOG_PATH: path.join(dir, 'product-catalog.json'),
+      BUYERS_PATH: path.join(dir, 'buyers.json'),
+      REFUND_EXECUTOR: 'mock',
+      ORDER_TRACKING_ENABLED: 'false',
+      LOG_LEVEL: 'error',
+      SHIPPING_SANDBOX_MODE: 'true',
+      WEBHOOK_SECRET,
+      ADMIN_API_TOKEN,
+      ...env
+    })
+    children.push(server)
+
+    await waitForUrl(`http://127.0.0.1:${facilitatorPort}/supported`, facilitator)
+    await waitForUrl(`http://127.0.0.1:${crossmintPort}/__mock/orders`, crossmint)
+    await waitForUrl(`http://127.0.0.1:${serverPort}/health/live`, server)
+  } catch (error) {
+    await stop()
+    throw error
+  }
+
+  const baseUrl = `http://127.0.0.1:${serverPort}`
+
+  async function request(method, url, { body, headers = {} } = {}) {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    })
+    const text = await response.text()
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null }
+  }
+
+  return {
+    baseUrl,
+    dir,
+    stop,
+
+    /** Recent server log output (LOG_LEVEL defaults to error) */
+    serverOutput: () => server.output,
+
+    /** Call the proxy */
+    request: (method, route, options) => request(method, `${baseUrl}${route}`, options),
+
+    /** Call an admin route with the admin token */
+    admin: (method, route, options = {}) => request(method, `${baseUrl}${route}`, {
+      ...options,
+      headers: { Authorization: `Bearer ${ADMIN_API_TOKEN}`, ...options.headers }
+    }),
+
+    /** Queue facilitator outcomes, one per payment (valid, invalid, settle-fail, settle-error, error) */
+    facilitatorOutcomes: outcomes => request('POST', `http://127.0.0.1:${facilitatorPort}/__mock/outcomes`, {
+      body: { outcomes }
+    }),
+
+    /** Queue Crossmint order outcomes (success, out-of-stock, error, delivery-failed, lost-response) */
+    crossmintOutcomes: outcomes => request('POST', `http://127.0.0.1:${crossmintPort}/__mock/outcomes`, {
+      body: { outcomes }
+    }),
+
+    /** Crossmint orders created so far */
+    crossmintOrders: async () => (await request('GET', `http://127.0.0.1:${crossmintPort}/__mock/orders`)).body,
+
+    /** Signed products from the fixture search */
+    async searchProducts(search) {
+      const { body } = await request('GET', `${baseUrl}/products?search=${encodeURIComponent(search)}`)
+      return body.products
+    },
+
+    /** Send a signed payment webhook */
+    webhook(payload) {
+      const body = JSON.stringify(payload)
+      const timestamp = String(Math.floor(Date.now() / 1000))
+      const nonce = `test${Date.now()}${Math.random().toString(36).slice(2)}`
+      return request('POST', `${baseUrl}/payment-webhook`, {
+        body,
+        headers: {
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Nonce': nonce,
+          'X-Webhook-Signature': signWebhookPayload(WEBHOOK_SECRET, timestamp, nonce, body)
+        }
+      })
+    }
+  }
+}
+
+/**
+ * Base64 X-PAYMENT payload paying a 402 challenge's first rail in full
+ *
+ * @param {Object} challenge - Body of the 402 response
+ * @returns {string}
+ */
+function payChallenge(challenge) {
+  const rail = challenge.accepts[0]
+  return Buffer.from(JSON.stringify({
+    x402Version: 1,
+    scheme: rail.scheme,
+    network: rail.chain || rail.network,
+    payload: {
+      amount: rail.amount,
+      asset: rail.asset,
+      recipient: rail.recipient,
+      from: PAYER,
+      reference: challenge.paymentId
+    }
+  })).toString('base64')
+}
+
+module.exports = {
+  PRODUCTS,
+  WEBHOOK_SECRET,
+  startStack,
+  signProduct,
+  payChallenge
+}
@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { redact, createLogger } = require('../src/logging')
+const { startStack, signProduct } = require('./helpers/stack')
+
+// A logger that collects parsed lines instead of writing them
+function captureLogger(options = {}) {
+  const lines = []
+  const log = createLogger({ level: 'debug', format: 'json', redact: true, ...options, write: (level, line) => lines.push(JSON.parse(line)) })
+  return { log, lines }
+}
+
+describe('redact', () => {
+  it('hides credentials and the personal details of a shipping address', () => {
+    const redacted = redact({
+      apiKey: 'sk_live_123',
+      'X-PAYMENT': 'eyJ4NDAy',
+      headers: { Authorization: 'Bearer abc' },
+      shipping: {
+        name: 'Ada Lovelace',
+        email: 'ada@example.com',
+        address: { line1: '1 Main St', city: 'Springfield', state: 'IL', postalCode: '62701', country: 'US' }
+      },
+      product: { name: 'Pencils' }
+    })
+
+    assert.deepEqual(redacted, {
+      apiKey: '[REDACTED]',
+      'X-PAYMENT': '[REDACTED]',
+      headers: { Authorization: '[REDACTED]' },
+      shipping: {
+        name: '[REDACTED]',
+        email: '[REDACTED]',
+        address: { line1: '[REDACTED]', city: 'Springfield', state: 'IL', postalCode: '[REDACTED]', country: 'US' }
+      },
+      product: { name: 'Pencils' }
+    })
+  })
+
+  it('scrubs emails and api_key parameters inside strings', () => {
+    assert.equal(
+      redact('GET https://serpapi.com/search?q=pencils&api_key=secret123 for ada@example.com'),
+      'GET https://serpapi.com/search?q=pencils&api_key=[REDACTED] for [REDACTED_EMAIL]'
+    )
+  })
+})
+
+describe('createLogger', () => {
+  it('writes JSON lines with the bindings of child loggers', () => {
+    const { log, lines } = captureLogger()
+    log.child({ component: 'payment', requestId: 'req_1' }).child({ paymentId: 'pay_1' }).info('Payment settled', { transaction: 'tx_1' })
+
+    assert.equal(lines.length, 1)
+    const { time, ...line } = lines[0]
+    assert.ok(!Number.isNaN(Date.parse(time)))
+    assert.deepEqual(line, {
+      level: 'info',
+      msg: 'Payment settled',
+      component: 'payment',
+      requestId: 'req_1',
+      paymentId: 'pay_1',
+      transaction: 'tx_1'
+    })
+  })
+
+  it('drops lines below the level and serializes errors', () => {
+    const { log, lines } = captureLogger({ level: 'warn' })
+    log.info('not written')
+    log.error('Crossmint failed', { err: new Error('refused for ada@example.com') })
+
+    assert.equal(lines.length, 1)
+    assert.equal(lines[0].err.type, 'Error')
+    assert.equal(lines[0].err.message, 'refused for [REDACTED_EMAIL]')
+    assert.ok(Array.isArray(lines[0].err.stack))
+  })
+
+  it('leaves fields alone when redaction is off', () => {
+    const { log, lines } = captureLogger({ redact: false })
+    log.debug('Recipient', { email: 'ada@example.com' })
+    assert.equal(lines[0].email, 'ada@example.com')
+  })
+})
+
+describe('request logging', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack({ env: { LOG_LEVEL: 'info' } })
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  function logLines() {
+    return stack.serverOutput().split('\n').flatMap(line => {
+      try {
+        return [JSON.parse(line)]
+      } catch {
+        return []
+      }
+    })
+  }
+
+  it('keeps a well-formed X-Request-Id and replaces a malformed one', async () => {
+    const kept = await stack.request('GET', '/health', { headers: { 'X-Request-Id': 'client-trace.42' } })
+    assert.equal(kept.headers.get('X-Request-Id'), 'client-trace.42')
+
+    const replaced = await stack.request('GET', '/health', { headers: { 'X-Request-Id': 'has spaces' } })
+    assert.match(replaced.headers.get('X-Request-Id'), /^req_/)
+  })
+
+  it('logs a purchase under its request id without the buyer\'s address', async () => {
+    const response = await stack.request('POST', '/purchase', {
+      body: {
+        ...signProduct('pencils'),
+        quantity: 1,
+        shipping: {
+          name: 'Ada Lovelace',
+          email: 'ada@example.com',
+          address: { line1: '1 Main St', city: 'Springfield', state: 'IL', postalCode: '62701', country: 'US' }
+        }
+      },
+      headers: { 'X-Request-Id': 'purchase-trace-1' }
+    })
+    assert.equal(response.status, 402)
+
+    // The access log line is written once the response has finished, so it may trail the response
+    let lines = []
+    for (let attempt = 0; attempt < 20 && !lines.some(line => line.component === 'http'); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 50))
+      lines = logLines().filter(line => line.requestId === 'purchase-trace-1')
+    }
+    assert.ok(lines.some(line => line.component === 'http' && line.path === '/purchase' && line.status === 402))
+
+    const output = stack.serverOutput()
+    assert.doesNotMatch(output, /ada@example\.com|Ada Lovelace|1 Main St/)
+  })
+})
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { createRegistry } = require('../src/metrics')
+const { startStack, signProduct, payChallenge } = require('./helpers/stack')
+
+describe('createRegistry', () => {
+  it('renders counters, computed gauges and histograms in the text format', () => {
+    const registry = createRegistry()
+    const requests = registry.counter({ name: 'test_requests_total', help: 'Requests\nserved', labelNames: ['route'] })
+    requests.inc({ route: '/purchase' })
+    requests.inc({ route: '/purchase' }, 0.1)
+    requests.inc({ route: '/purchase' }, 0.2)
+    registry.gauge({ name: 'test_queue', help: 'Queue length', labelNames: ['name'], collect: gauge => gauge.set({ name: 'say "hi"' }, 3) })
+    registry.histogram({ name: 'test_duration_seconds', help: 'Durations', buckets: [1, 0.1] }).observe({}, 0.5)
+
+    assert.equal(registry.render(), [
+      '# HELP test_requests_total Requests\\nserved',
+      '# TYPE test_requests_total counter',
+      'test_requests_total{route="/purchase"} 1.3',
+      '# HELP test_queue Queue length',
+      '# TYPE test_queue gauge',
+      'test_queue{name="say \\"hi\\""} 3',
+      '# HELP test_duration_seconds Durations',
+      '# TYPE test_duration_seconds histogram',
+      'test_duration_seconds_bucket{le="0.1"} 0',
+      'test_duration_seconds_bucket{le="1"} 1',
+      'test_duration_seconds_bucket{le="+Inf"} 1',
+      'test_duration_seconds_sum 0.5',
+      'test_duration_seconds_count 1',
+      ''
+    ].join('\n'))
+  })
+
+  it('reports an unlabelled counter before its first increment', () => {
+    const registry = createRegistry()
+    registry.counter({ name: 'test_events_total', help: 'Events' })
+    assert.match(registry.render(), /^test_events_total 0$/m)
+  })
+
+  it('rejects invalid names, duplicates, unknown labels and decrements', () => {
+    const registry = createRegistry()
+    assert.throws(() => registry.counter({ name: 'test-total', help: '' }), /Invalid metric name/)
+    assert.throws(() => registry.histogram({ name: 'test_le', help: '', labelNames: ['le'] }), /Invalid label name "le"/)
+
+    const counter = registry.counter({ name: 'test_total', help: '', labelNames: ['route'] })
+    assert.throws(() => registry.gauge({ name: 'test_total', help: '' }), /already registered/)
+    assert.throws(() => counter.inc({ path: '/' }), /Unknown label "path"/)
+    assert.throws(() => counter.inc({ route: '/' }, -1), /can only increase/)
+  })
+})
+
+describe('GET /metrics', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  async function scrape() {
+    const response = await fetch(`${stack.baseUrl}/metrics`)
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/)
+    return response.text()
+  }
+
+  async function pay(product, crossmintOutcome) {
+    const body = { ...signProduct(product), quantity: 1 }
+    const challenge = (await stack.request('POST', '/purchase', { body })).body
+    await stack.crossmintOutcomes([crossmintOutcome])
+    return stack.request('POST', '/purchase', {
+      body,
+      headers: { 'X-PAYMENT': payChallenge(challenge), 'X-Payment-Id': challenge.paymentId }
+    })
+  }
+
+  it('counts challenges, settled volume, orders and refunds', async () => {
+    assert.equal((await pay('pencils', 'success')).status, 200)
+    assert.equal((await pay('speaker', 'out-of-stock')).status, 502)
+
+    const text = await scrape()
+    assert.match(text, /^amazon_proxy_payment_challenges_total\{format="compat"\} 2$/m)
+    assert.match(text, /^amazon_proxy_asin_validations_total\{reason="[a-z_]+"\} [1-9]/m)
+    assert.match(text, /^amazon_proxy_settled_volume_total\{asset="USDC",chain="solana"\} 44\.58$/m)
+    assert.match(text, /^amazon_proxy_order_creations_total\{result="success"\} 1$/m)
+    assert.match(text, /^amazon_proxy_order_creations_total\{result="failure"\} 1$/m)
+    assert.match(text, /^amazon_proxy_refunded_volume_total\{asset="USDC",chain="solana"\} 39\.99$/m)
+    assert.match(text, /^amazon_proxy_payments\{status="completed"\} 1$/m)
+    assert.match(text, /^amazon_proxy_payments\{status="refunded"\} 1$/m)
+  })
+
+  it('labels requests by route template and upstream calls by outcome', async () => {
+    await stack.request('GET', '/orders/does-not-exist')
+
+    const text = await scrape()
+    assert.match(text, /^amazon_proxy_http_requests_total\{method="POST",route="\/purchase",status="402"\} [1-9]/m)
+    assert.match(text, /^amazon_proxy_http_requests_total\{method="GET",route="\/orders\/:orderId",status="404"\} 1$/m)
+    assert.match(text, /^amazon_proxy_http_request_duration_seconds_count\{method="POST",route="\/purchase"\} [1-9]/m)
+    assert.match(text, /^amazon_proxy_upstream_request_duration_seconds_count\{upstream="crossmint",outcome="2xx"\} [1-9]/m)
+    assert.match(text, /^amazon_proxy_upstream_errors_total\{upstream="crossmint",code="HTTP_400"\} 1$/m)
+  })
+})
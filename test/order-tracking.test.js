@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { mapCrossmintOrderStatus, createOrderTracker } = require('../src/orders/tracking')
+const { createStore } = require('../src/storage')
+const { startStack, signProduct, payChallenge } = require('./helpers/stack')
+
+describe('mapCrossmintOrderStatus', () => {
+  it('maps Crossmint phases and delivery states', () => {
+    assert.equal(mapCrossmintOrderStatus({ phase: 'payment' }).status, 'awaiting_payment')
+    assert.equal(mapCrossmintOrderStatus({ phase: 'delivery' }).status, 'in_progress')
+    assert.equal(mapCrossmintOrderStatus({ phase: 'cancelled' }).status, 'cancelled')
+    assert.equal(mapCrossmintOrderStatus({ lineItems: [{ delivery: { status: 'failed' } }] }).status, 'failed')
+    assert.equal(mapCrossmintOrderStatus({
+      lineItems: [{ delivery: { status: 'delivered' } }, { delivery: { status: 'completed' } }]
+    }).status, 'delivered')
+  })
+
+  it('treats an order with carrier tracking as shipped', () => {
+    const mapped = mapCrossmintOrderStatus({
+      phase: 'delivery',
+      lineItems: [{ delivery: { status: 'in-progress', tracking: { carrier: 'UPS', trackingNumber: '1Z999' } } }]
+    })
+    assert.equal(mapped.status, 'shipped')
+    assert.deepEqual(mapped.tracking, { carrier: 'UPS', trackingNumber: '1Z999', trackingUrl: null })
+  })
+})
+
+describe('createOrderTracker', () => {
+  function trackerWith(orderData) {
+    const orders = createStore({ driver: 'memory' }).collection('orders')
+    const transitions = []
+    const fetched = []
+    const tracker = createOrderTracker({
+      orders,
+      intervalMs: 60000,
+      fetchOrder: async orderId => {
+        fetched.push(orderId)
+        const data = orderData[orderId]
+        if (data instanceof Error) {
+          throw data
+        }
+        return data
+      },
+      onTransition: order => transitions.push(order)
+    })
+    return { orders, tracker, transitions, fetched }
+  }
+
+  it('records status changes with their tracking data and skips terminal orders', async () => {
+    const { orders, tracker, transitions, fetched } = trackerWith({
+      order_1: { phase: 'delivery', lineItems: [{ delivery: { status: 'shipped', trackingNumber: 'TN1' } }] }
+    })
+    orders.set('order_1', { orderId: 'order_1', status: 'in_progress', history: [{ status: 'in_progress' }] })
+    orders.set('order_2', { orderId: 'order_2', status: 'delivered', history: [] })
+
+    await tracker.pollOnce()
+
+    assert.deepEqual(fetched, ['order_1'])
+    const order = orders.get('order_1')
+    assert.equal(order.status, 'shipped')
+    assert.equal(order.tracking.trackingNumber, 'TN1')
+    assert.deepEqual(order.history.map(entry => entry.status), ['in_progress', 'shipped'])
+    assert.deepEqual(transitions.map(entry => entry.orderId), ['order_1'])
+
+    await tracker.pollOnce()
+    assert.equal(orders.get('order_1').history.length, 2, 'an unchanged status adds no history')
+    assert.equal(transitions.length, 1)
+  })
+
+  it('keeps the order and records the error when Crossmint cannot be reached', async () => {
+    const { orders, tracker, transitions } = trackerWith({ order_1: new Error('socket hang up') })
+    orders.set('order_1', { orderId: 'order_1', status: 'in_progress', history: [] })
+
+    assert.equal(await tracker.refreshOrder('order_1'), null)
+    const order = orders.get('order_1')
+    assert.equal(order.status, 'in_progress')
+    assert.equal(order.lastError, 'socket hang up')
+    assert.ok(order.lastCheckedAt)
+    assert.equal(transitions.length, 0)
+  })
+})
+
+describe('GET /orders/:orderId', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  it('answers 404 for an unknown order', async () => {
+    const response = await stack.request('GET', '/orders/order_unknown')
+    assert.equal(response.status, 404)
+  })
+
+  it('returns the order created for a payment and refreshes it from Crossmint on request', async () => {
+    const body = { ...signProduct('pencils'), quantity: 1 }
+    const { body: challenge } = await stack.request('POST', '/purchase', { body })
+    const paid = await stack.request('POST', '/purchase', {
+      body,
+      headers: { 'X-PAYMENT': payChallenge(challenge), 'X-Payment-Id': challenge.paymentId }
+    })
+    assert.equal(paid.status, 200)
+    const { orderId } = paid.body.order
+
+    const order = await stack.request('GET', `/orders/${orderId}?refresh=true`)
+    assert.equal(order.status, 200)
+    assert.equal(order.body.paymentId, challenge.paymentId)
+    assert.equal(order.body.status, 'awaiting_payment')
+    assert.ok(order.body.lastCheckedAt)
+  })
+})
@@ -0,0 +1,125 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { validateExactAccepts } = require('../src/payments/exact')
+const { selectPaymentRequirements } = require('../src/payments/facilitator')
+const { startStack, signProduct } = require('./helpers/stack')
+
+const SOLANA_RECIPIENT = 'HWfT4ivxtYVPeEUkdx5q7VTKy6E8p1nvCiba3Ez21obk'
+const BASE_RECIPIENT = '0x1111111111111111111111111111111111111111'
+
+const RAILS = [
+  { id: 'solana-usdc', asset: 'USDC', chain: 'solana', recipient: SOLANA_RECIPIENT },
+  { id: 'base-usdc', asset: 'USDC', chain: 'base', recipient: BASE_RECIPIENT }
+]
+
+describe('validateExactAccepts', () => {
+  const rail = (overrides = {}) => ({ scheme: 'exact', asset: 'USDC', chain: 'solana', recipient: SOLANA_RECIPIENT, ...overrides })
+
+  it('accepts distinct rails without amounts when validating configuration', () => {
+    assert.doesNotThrow(() => validateExactAccepts(RAILS.map(entry => ({ scheme: 'exact', ...entry })), { requireAmount: false }))
+  })
+
+  it('rejects duplicate rails and chain/asset pairs', () => {
+    assert.throws(() => validateExactAccepts([rail({ id: 'a' }), rail({ id: 'a', chain: 'base', recipient: BASE_RECIPIENT })], { requireAmount: false }),
+      /Duplicate payment rail "a"/)
+    assert.throws(() => validateExactAccepts([rail({ id: 'a' }), rail({ id: 'b' })], { requireAmount: false }),
+      /More than one payment rail for USDC on solana/)
+  })
+
+  it('checks the recipient format of the chain', () => {
+    assert.throws(() => validateExactAccepts([rail({ chain: 'base' })], { requireAmount: false }),
+      /must be a 0x-prefixed EVM address/)
+    assert.throws(() => validateExactAccepts([rail({ recipient: BASE_RECIPIENT })], { requireAmount: false }),
+      /must be a base58 Solana address/)
+  })
+})
+
+describe('selectPaymentRequirements', () => {
+  const accepts = [
+    { rail: 'solana-usdc', chain: 'solana', asset: 'USDC' },
+    { rail: 'base-usdc', chain: 'base', asset: 'USDC' },
+    { rail: 'base-eurc', chain: 'base', asset: 'EURC' }
+  ]
+
+  it('matches chain and asset, then chain, then falls back to the primary rail', () => {
+    assert.equal(selectPaymentRequirements(accepts, { network: 'base', payload: { asset: 'EURC' } }).rail, 'base-eurc')
+    assert.equal(selectPaymentRequirements(accepts, { network: 'base', payload: { asset: 'DAI' } }).rail, 'base-usdc')
+    assert.equal(selectPaymentRequirements(accepts, { network: 'polygon' }).rail, 'solana-usdc')
+    assert.equal(selectPaymentRequirements(accepts, null).rail, 'solana-usdc')
+  })
+})
+
+describe('payment rails in /purchase', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack({ env: { EXACT_RAILS: JSON.stringify(RAILS) } })
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  // Payment header for one accepts entry of a challenge
+  function payOn(challenge, rail, overrides = {}) {
+    return Buffer.from(JSON.stringify({
+      x402Version: 1,
+      scheme: 'exact',
+      network: rail.chain,
+      payload: {
+        amount: rail.amount,
+        asset: rail.asset,
+        recipient: rail.recipient,
+        from: 'TestPayer111111111111111111111111111111111',
+        reference: challenge.paymentId,
+        ...overrides
+      }
+    })).toString('base64')
+  }
+
+  async function challenge() {
+    const body = { ...signProduct('pencils'), quantity: 1 }
+    const response = await stack.request('POST', '/purchase', { body })
+    assert.equal(response.status, 402)
+    return { body, challenge: response.body }
+  }
+
+  it('offers one accepts entry per rail', async () => {
+    const { challenge: challengeBody } = await challenge()
+    assert.deepEqual(challengeBody.accepts.map(entry => [entry.rail, entry.chain, entry.recipient, entry.amount]), [
+      ['solana-usdc', 'solana', SOLANA_RECIPIENT, '4.59'],
+      ['base-usdc', 'base', BASE_RECIPIENT, '4.59']
+    ])
+  })
+
+  it('checks a payment against the rail it was made on', async () => {
+    const { body, challenge: challengeBody } = await challenge()
+    const base = challengeBody.accepts[1]
+
+    const response = await stack.request('POST', '/purchase', {
+      body,
+      headers: { 'X-PAYMENT': payOn(challengeBody, base, { recipient: SOLANA_RECIPIENT }), 'X-Payment-Id': challengeBody.paymentId }
+    })
+    assert.equal(response.status, 402)
+    assert.equal(response.body.code, 'PAYMENT_MISMATCH')
+    assert.deepEqual(response.body.details.mismatches, [
+      { field: 'recipient', expected: BASE_RECIPIENT, received: SOLANA_RECIPIENT }
+    ])
+  })
+
+  it('records the rail of a settlement attempt', async () => {
+    const { body, challenge: challengeBody } = await challenge()
+    await stack.facilitatorOutcomes(['settle-error'])
+
+    const response = await stack.request('POST', '/purchase', {
+      body,
+      headers: { 'X-PAYMENT': payOn(challengeBody, challengeBody.accepts[1]), 'X-Payment-Id': challengeBody.paymentId }
+    })
+    assert.equal(response.status, 502)
+    assert.equal(response.body.code, 'SETTLEMENT_UNKNOWN')
+
+    const reopened = await stack.admin('POST', `/admin/payments/${challengeBody.paymentId}/reconcile`, { body: { settled: false } })
+    assert.equal(reopened.body.settlementAttempt.rail, 'base-usdc')
+    assert.equal(reopened.body.settlementAttempt.network, 'base')
+  })
+})
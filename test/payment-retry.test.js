@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startStack, signProduct, payChallenge } = require('./helpers/stack')
+
+describe('X-PAYMENT retry', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  // A 402 challenge for a freshly signed item (blobs are single-use);
+  // returns the purchase body and the challenge
+  async function challenge(product = 'airpods') {
+    const body = { ...signProduct(product), quantity: 1 }
+    const response = await stack.request('POST', '/purchase', { body })
+    assert.equal(response.status, 402, JSON.stringify(response.body))
+    return { body, challenge: response.body }
+  }
+
+  it('returns the order with the catalog product name', async () => {
+    const { body, challenge: challengeBody } = await challenge()
+
+    const paid = await stack.request('POST', '/purchase', {
+      body,
+      headers: { 'X-PAYMENT': payChallenge(challengeBody), 'X-Payment-Id': challengeBody.paymentId }
+    })
+    assert.equal(paid.status, 200)
+    assert.equal(paid.body.status, 'success')
+    assert.match(paid.body.order.product, /AirPods/)
+    assert.ok(paid.body.order.orderId)
+    assert.ok(paid.headers.get('X-PAYMENT-RESPONSE'))
+  })
+
+  it('answers 404 when no challenge matches the retry', async () => {
+    const { challenge: challengeBody } = await challenge()
+
+    const response = await stack.request('POST', '/purchase', {
+      body: { ...signProduct('speaker'), quantity: 1 },
+      headers: { 'X-PAYMENT': payChallenge({ ...challengeBody, paymentId: 'payment_unknown' }) }
+    })
+    assert.equal(response.status, 404)
+    assert.equal(response.body.code, 'PAYMENT_NOT_FOUND')
+  })
+
+  it('answers 400 for an X-PAYMENT header that is not base64 JSON', async () => {
+    const { body } = await challenge()
+
+    const response = await stack.request('POST', '/purchase', {
+      body,
+      headers: { 'X-PAYMENT': 'not-a-payload' }
+    })
+    assert.equal(response.status, 400)
+    assert.equal(response.body.code, 'INVALID_PAYMENT_PAYLOAD')
+  })
+
+  it('refuses a retry that names a payment for a different purchase', async () => {
+    const { body, challenge: challengeBody } = await challenge()
+    const other = await challenge('pencils')
+    const xPayment = payChallenge(challengeBody)
+
+    const byHeader = await stack.request('POST', '/purchase', {
+      body: other.body,
+      headers: { 'X-PAYMENT': xPayment, 'X-Payment-Id': challengeBody.paymentId }
+    })
+    assert.equal(byHeader.status, 409)
+    assert.equal(byHeader.body.code, 'PURCHASE_MISMATCH')
+
+    const byBodyField = await stack.request('POST', '/purchase', {
+      body: { ...body, quantity: 2, paymentId: challengeBody.paymentId },
+      headers: { 'X-PAYMENT': xPayment }
+    })
+    assert.equal(byBodyField.status, 409)
+    assert.equal(byBodyField.body.code, 'PURCHASE_MISMATCH')
+
+    const byReference = await stack.request('POST', '/purchase', {
+      body: { ...body, quantity: 3 },
+      headers: { 'X-PAYMENT': xPayment }
+    })
+    assert.equal(byReference.status, 409)
+    assert.equal(byReference.body.code, 'PURCHASE_MISMATCH')
+
+    const payment = (await stack.request('GET', `/payment/${challengeBody.paymentId}`)).body
+    assert.equal(payment.status, 'pending')
+    assert.equal(payment.history.length, 1, 'nothing was sent to the facilitator')
+
+    const paid = await stack.request('POST', '/purchase', {
+      body,
+      headers: { 'X-PAYMENT': xPayment, 'X-Payment-Id': challengeBody.paymentId }
+    })
+    assert.equal(paid.status, 200)
+  })
+
+  it('re-issues the challenge when the facilitator rejects the payment', async () => {
+    const { body, challenge: challengeBody } = await challenge()
+    await stack.facilitatorOutcomes(['invalid'])
+
+    const rejected = await stack.request('POST', '/purchase', {
+      body,
+      headers: { 'X-PAYMENT': payChallenge(challengeBody) }
+    })
+    assert.equal(rejected.status, 402)
+    assert.equal(rejected.body.code, 'PAYMENT_INVALID')
+    assert.equal(rejected.body.paymentId, challengeBody.paymentId)
+    assert.deepEqual(rejected.body.accepts, challengeBody.accepts)
+  })
+
+  it('holds a payment whose settle call errors without issuing a new challenge', async () => {
+    const { body, challenge: challengeBody } = await challenge()
+    await stack.facilitatorOutcomes(['settle-error'])
+    const retry = () => stack.request('POST', '/purchase', {
+      body,
+      headers: { 'X-PAYMENT': payChallenge(challengeBody), 'X-Payment-Id': challengeBody.paymentId }
+    })
+
+    const paid = await retry()
+    assert.equal(paid.status, 502)
+    assert.equal(paid.body.code, 'SETTLEMENT_UNKNOWN')
+    assert.equal(paid.body.accepts, undefined, 'no new challenge is issued for a payment that may have settled')
+
+    const again = await retry()
+    assert.equal(again.status, 409)
+    assert.equal(again.body.code, 'SETTLEMENT_UNKNOWN')
+  })
+})
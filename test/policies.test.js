@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { validatePolicies, evaluatePurchasePolicies } = require('../src/catalog/policy')
+const { ASIN_PATTERN } = require('../src/catalog')
+const { startStack, signProduct } = require('./helpers/stack')
+
+const ITEM = { asin: 'B08C7KG5LP', title: 'Apple AirPods', name: 'AirPods', categories: ['Electronics'], unitPriceMinor: 16999, quantity: 1 }
+
+describe('evaluatePurchasePolicies', () => {
+  function violation(policies, items, options) {
+    const result = evaluatePurchasePolicies(policies, items, options)
+    return result.allowed ? null : result.violation
+  }
+
+  it('allows priced items without policies', () => {
+    assert.deepEqual(evaluatePurchasePolicies(undefined, [ITEM]), { allowed: true })
+    assert.deepEqual(evaluatePurchasePolicies({}, [ITEM]), { allowed: true })
+  })
+
+  it('requires a known price unless requireKnownPrice is false', () => {
+    const unpriced = { ...ITEM, unitPriceMinor: 0 }
+    assert.equal(violation(undefined, [unpriced]).rule, 'requireKnownPrice')
+    assert.equal(violation({}, [unpriced]).unitPrice, '0.00')
+    assert.equal(violation({ requireKnownPrice: false }, [unpriced]), null)
+  })
+
+  it('checks item rules per item and reports the offending item', () => {
+    assert.equal(violation({ requireKnownPrice: true }, [ITEM, { ...ITEM, asin: 'B000000001', unitPriceMinor: 0 }]).itemIndex, 1)
+    assert.equal(violation({ maxItemPrice: 100 }, [ITEM]).rule, 'maxItemPrice')
+    assert.equal(violation({ denyTitleKeywords: ['AIRPODS'] }, [ITEM]).keyword, 'AIRPODS')
+    assert.equal(violation({ denyCategoryKeywords: ['electro'] }, [ITEM]).rule, 'denyCategoryKeywords')
+  })
+
+  it('sums quantities per ASIN across cart lines', () => {
+    const lines = [{ ...ITEM, quantity: 3 }, { ...ITEM, quantity: 3 }]
+    const result = violation({ maxQuantity: { default: 5 } }, lines)
+    assert.equal(result.rule, 'maxQuantity')
+    assert.equal(result.quantity, 6)
+
+    assert.equal(violation({ maxQuantity: { default: 5, perAsin: { B08C7KG5LP: 10 } } }, lines), null)
+  })
+
+  it('limits the order total', () => {
+    const result = violation({ maxOrderTotal: 300 }, [{ ...ITEM, quantity: 2 }])
+    assert.equal(result.rule, 'maxOrderTotal')
+    assert.equal(result.total, '339.98')
+
+    assert.equal(violation({ maxOrderTotal: 170 }, [ITEM], { orderTotalMinor: 17099 }).total, '170.99', 'fees and tax count')
+  })
+
+  it('reports the first failing rule in POLICY_RULES order', () => {
+    assert.equal(violation({ maxOrderTotal: 1, maxItemPrice: 1 }, [ITEM]).rule, 'maxItemPrice')
+  })
+})
+
+describe('validatePolicies', () => {
+  it('reports unknown rules and malformed limits', () => {
+    const errors = validatePolicies({
+      maxSpend: 10,
+      maxItemPrice: -1,
+      denyTitleKeywords: ['ok', ''],
+      maxQuantity: { default: 1.5, perAsin: { notAnAsin: 2 } }
+    }, ASIN_PATTERN)
+
+    assert.deepEqual(errors.map(error => error.path), [
+      'policies.maxSpend',
+      'policies.maxItemPrice',
+      'policies.denyTitleKeywords[1]',
+      'policies.maxQuantity.default',
+      'policies.maxQuantity.perAsin.notAnAsin'
+    ])
+  })
+})
+
+describe('purchase policies in /purchase', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  function purchase(body) {
+    return stack.request('POST', '/purchase', { body })
+  }
+
+  it('ships with only requireKnownPrice enabled', async () => {
+    const giftCard = await purchase({
+      ...signProduct({ asin: 'B0GIFTCARD', title: 'Amazon.com Gift Card', price: { amount: 50, currency: 'USD' } }),
+      quantity: 1
+    })
+    assert.equal(giftCard.status, 402)
+
+    const many = await purchase({ ...signProduct('pencils'), quantity: 11 })
+    assert.equal(many.status, 402)
+
+    for (const price of [{ amount: 0, currency: 'USD' }, undefined]) {
+      const unpriced = await purchase({ ...signProduct({ asin: 'B071JM699B', title: 'Pencils', price }), quantity: 1 })
+      assert.equal(unpriced.status, 422)
+      assert.equal(unpriced.body.code, 'PRICE_UNAVAILABLE')
+      assert.equal(unpriced.body.details.policy.rule, 'requireKnownPrice')
+    }
+
+    const quote = await stack.request('POST', '/quote', {
+      body: { ...signProduct({ asin: 'B071JM699B', title: 'Pencils', price: { amount: 0, currency: 'USD' } }), quantity: 1 }
+    })
+    assert.equal(quote.body.allowed, false)
+    assert.equal(quote.body.policy.violation.rule, 'requireKnownPrice')
+  })
+
+  it('refuses an order with nothing to charge when requireKnownPrice is off', async () => {
+    await stack.admin('PUT', '/admin/catalog/policies', { body: { requireKnownPrice: false } })
+
+    const response = await purchase({ ...signProduct({ asin: 'B071JM699B', title: 'Pencils', price: { amount: 0, currency: 'USD' } }), quantity: 1 })
+    assert.equal(response.status, 422)
+    assert.equal(response.body.code, 'PRICE_UNAVAILABLE')
+    assert.equal(response.body.details.total, '0.00')
+  })
+
+  it('names the offending cart item', async () => {
+    await stack.admin('PUT', '/admin/catalog/policies', { body: { maxQuantity: { default: 10 } } })
+
+    const response = await purchase({
+      items: [
+        { ...signProduct('pencils'), quantity: 1 },
+        { ...signProduct('speaker'), quantity: 11 }
+      ]
+    })
+    assert.equal(response.status, 403)
+    assert.equal(response.body.code, 'PURCHASE_POLICY_VIOLATION')
+    assert.equal(response.body.details.itemIndex, 1)
+    assert.equal(response.body.details.policy.rule, 'maxQuantity')
+  })
+
+  it('replaces the policies through the admin API', async () => {
+    const invalid = await stack.admin('PUT', '/admin/catalog/policies', { body: { maxOrderTotal: 'lots' } })
+    assert.equal(invalid.status, 422)
+    assert.equal(invalid.body.details.errors[0].path, 'policies.maxOrderTotal')
+
+    const updated = await stack.admin('PUT', '/admin/catalog/policies', { body: { maxOrderTotal: 100 } })
+    assert.equal(updated.status, 200)
+    assert.deepEqual(updated.body.catalog.policies, { maxOrderTotal: 100 })
+
+    const blocked = await purchase({ ...signProduct('airpods'), quantity: 1 })
+    assert.equal(blocked.status, 403)
+    assert.equal(blocked.body.details.policy.rule, 'maxOrderTotal')
+
+    const allowed = await purchase({ ...signProduct('pencils'), quantity: 11 })
+    assert.equal(allowed.status, 402, 'the default quantity limit was replaced')
+  })
+})
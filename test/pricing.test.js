@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { toMinorUnits, formatMinorUnits, fromMinorUnits, percentOf } = require('../src/pricing/money')
+const { validatePricingConfig, priceOrder } = require('../src/pricing')
+const { startStack, signProduct } = require('./helpers/stack')
+
+const PRICING = {
+  markupPercent: 5,
+  serviceFee: 1.5,
+  shipping: { flat: 4.99, perItem: 0.5, freeOver: 250 },
+  tax: { defaultRatePercent: 0, taxShipping: false, ratesByState: { CA: 7.25, NY: 8.875 } }
+}
+
+// What loadPricingConfig() makes of PRICING
+const PRICING_CONFIG = {
+  markupPercent: 5,
+  serviceFeeMinor: 150,
+  shipping: { flatMinor: 499, perItemMinor: 50, freeOverMinor: 25000 },
+  tax: PRICING.tax
+}
+
+describe('money helpers', () => {
+  it('converts to and from minor units without floating point drift', () => {
+    assert.equal(toMinorUnits(0.1 + 0.2), 30)
+    assert.equal(toMinorUnits('169.99'), 16999)
+    assert.equal(toMinorUnits(4.59 * 3), 1377)
+    assert.equal(formatMinorUnits(5), '0.05')
+    assert.equal(formatMinorUnits(-1250), '-12.50')
+    assert.equal(fromMinorUnits(33998), 339.98)
+    assert.throws(() => toMinorUnits('lots'), /Invalid money amount/)
+    assert.throws(() => formatMinorUnits(1.5), /must be an integer/)
+  })
+
+  it('rounds percentages half up to the cent', () => {
+    assert.equal(percentOf(1000, 8.875), 89)
+    assert.equal(percentOf(1010, 5), 51)
+    assert.equal(percentOf(1009, 5), 50)
+    assert.equal(percentOf(16999, 0), 0)
+  })
+})
+
+describe('priceOrder', () => {
+  const items = [
+    { asin: 'B071JM699B', title: 'Pencils', unitPriceMinor: 459, quantity: 3 },
+    { asin: 'B01MFZF4VG', title: 'Speaker', unitPriceMinor: 3999, quantity: 1 }
+  ]
+
+  it('itemizes markup, fee, shipping and tax and adds them up exactly', () => {
+    const pricing = priceOrder(items, { state: 'ny' }, PRICING_CONFIG)
+
+    assert.deepEqual(pricing.lines.map(line => line.amount), ['13.77', '39.99'])
+    assert.deepEqual(pricing.charges.map(charge => [charge.type, charge.amountMinor]), [
+      ['subtotal', 5376],
+      ['markup', 269],
+      ['service_fee', 150],
+      ['shipping', 699],
+      ['tax', 501]
+    ])
+    assert.equal(pricing.charges.at(-1).state, 'NY')
+    assert.equal(pricing.totalMinor, 6995)
+    assert.equal(pricing.total, '69.95')
+  })
+
+  it('ships free over the threshold and falls back to the default tax rate', () => {
+    const pricing = priceOrder([{ ...items[1], quantity: 7 }], { state: 'TX' }, PRICING_CONFIG)
+    const byType = Object.fromEntries(pricing.charges.map(charge => [charge.type, charge.amountMinor]))
+    assert.equal(byType.shipping, 0)
+    assert.equal(byType.tax, 0)
+  })
+})
+
+describe('validatePricingConfig', () => {
+  it('reports every problem', () => {
+    assert.deepEqual(validatePricingConfig({
+      markupPercent: -1,
+      shipping: { freeOver: 'never' },
+      tax: { taxShipping: 'yes', ratesByState: { California: 7, NY: -1 } }
+    }), [
+      'markupPercent must be a non-negative number',
+      'shipping.freeOver must be a non-negative number or null',
+      'tax.taxShipping must be true or false',
+      'tax.ratesByState.California must be keyed by a two-letter state code',
+      'tax.ratesByState.NY must be a non-negative number'
+    ])
+    assert.deepEqual(validatePricingConfig(PRICING), [])
+  })
+})
+
+describe('pricing in /purchase', () => {
+  let stack
+  let dir
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amazon-proxy-pricing-'))
+    fs.writeFileSync(path.join(dir, 'pricing.json'), JSON.stringify(PRICING))
+    stack = await startStack({ env: { PRICING_CONFIG_PATH: path.join(dir, 'pricing.json') } })
+  })
+
+  after(async () => {
+    await stack?.stop()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('challenges for the priced total and returns the breakdown', async () => {
+    const response = await stack.request('POST', '/purchase', {
+      body: {
+        ...signProduct('pencils'),
+        quantity: 3,
+        shipping: { name: 'Test Buyer', email: 'buyer@example.com', address: { line1: '1 Main St', city: 'Albany', state: 'NY', postalCode: '12207', country: 'US' } }
+      }
+    })
+    assert.equal(response.status, 402)
+    assert.equal(response.body.pricing.total, '23.73')
+    assert.equal(response.body.accepts[0].amount, '23.73')
+    assert.deepEqual(response.body.pricing.charges.map(charge => charge.amount), ['13.77', '0.69', '1.50', '6.49', '1.28'])
+  })
+})
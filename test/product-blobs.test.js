@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const { startStack, signProduct, PRODUCTS } = require('./helpers/stack')
+
+describe('signed product blobs', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  function purchase(body) {
+    return stack.request('POST', '/purchase', { body })
+  }
+
+  it('rejects an expired blob', async () => {
+    const now = Math.floor(Date.now() / 1000)
+    const response = await purchase({ ...signProduct('airpods', { iat: now - 1000, exp: now - 100 }), quantity: 1 })
+    assert.equal(response.status, 400)
+    assert.equal(response.body.code, 'PRODUCT_BLOB_EXPIRED')
+    assert.equal(response.body.details.action, 'search_again')
+    assert.equal(response.body.details.expiredAt, new Date((now - 100) * 1000).toISOString())
+  })
+
+  it('treats a blob signed without claims as expired', async () => {
+    const productBlob = Buffer.from(JSON.stringify(PRODUCTS.airpods)).toString('base64url')
+    const signature = crypto.createHmac('sha256', 'test_product_signing_secret').update(productBlob).digest('hex')
+
+    const response = await purchase({ productBlob, signature, quantity: 1 })
+    assert.equal(response.status, 400)
+    assert.equal(response.body.code, 'PRODUCT_BLOB_EXPIRED')
+    assert.equal(response.body.details.expiredAt, null)
+  })
+
+  it('lets each blob start only one purchase', async () => {
+    const blob = signProduct('airpods')
+
+    const first = await purchase({ ...blob, quantity: 1 })
+    assert.equal(first.status, 402)
+
+    const reused = await purchase({ ...blob, quantity: 1 })
+    assert.equal(reused.status, 409)
+    assert.equal(reused.body.code, 'PRODUCT_BLOB_ALREADY_USED')
+  })
+
+  it('does not consume blobs of a purchase that is rejected', async () => {
+    const blob = signProduct('airpods')
+
+    const rejected = await purchase({ items: [{ ...blob, quantity: 1 }, { ...signProduct('pencils'), quantity: 0 }] })
+    assert.equal(rejected.status, 400)
+
+    const retried = await purchase({ ...blob, quantity: 1 })
+    assert.equal(retried.status, 402)
+  })
+
+  it('rejects the same blob twice in one cart', async () => {
+    const blob = signProduct('speaker')
+
+    const response = await purchase({ items: [{ ...blob, quantity: 1 }, { ...blob, quantity: 2 }] })
+    assert.equal(response.status, 400)
+    assert.equal(response.body.code, 'DUPLICATE_CART_ITEM')
+    assert.equal(response.body.details.itemIndex, 1)
+  })
+})
@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { normalizeAvailability } = require('../src/search/serpapi')
+const { startStack, signProduct, PRODUCTS } = require('./helpers/stack')
+
+describe('normalizeAvailability', () => {
+  it('prefers an explicit in_stock flag', () => {
+    assert.deepEqual(normalizeAvailability({ in_stock: false, stock: 'In Stock' }), { inStock: false, status: 'In Stock' })
+  })
+
+  it('reads the stock text', () => {
+    assert.equal(normalizeAvailability({ stock: 'Only 3 left in stock' }).inStock, true)
+    assert.equal(normalizeAvailability({ availability: 'Currently not available.' }).inStock, false)
+  })
+
+  it('reports unknown availability as null', () => {
+    assert.deepEqual(normalizeAvailability({}), { inStock: null, status: null })
+  })
+})
+
+describe('GET /products/:asin', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  it('returns the product freshly signed', async () => {
+    const response = await stack.request('GET', '/products/B08C7KG5LP')
+    assert.equal(response.status, 200)
+    assert.equal(response.body.product.asin, 'B08C7KG5LP')
+    assert.equal(response.body.product.availability.inStock, true)
+    assert.equal(response.body.searchMethod, 'fixture')
+
+    const { productBlob, signature } = response.body
+    const purchase = await stack.request('POST', '/purchase', { body: { productBlob, signature, quantity: 1 } })
+    assert.equal(purchase.status, 402)
+  })
+
+  it('answers 404 for an unknown ASIN and 400 for a malformed one', async () => {
+    const missing = await stack.request('GET', '/products/B000000000')
+    assert.equal(missing.status, 404)
+    assert.equal(missing.body.code, 'PRODUCT_NOT_FOUND')
+
+    const malformed = await stack.request('GET', '/products/not-an-asin')
+    assert.equal(malformed.status, 400)
+    assert.equal(malformed.body.code, 'INVALID_ASIN')
+  })
+})
+
+describe('POST /purchase with PRICE_RECHECK_ENABLED', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack({ env: { PRICE_RECHECK_ENABLED: 'true', PRICE_DRIFT_TOLERANCE_PERCENT: '2' } })
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  function purchase(product) {
+    return stack.request('POST', '/purchase', { body: { ...signProduct(product), quantity: 1 } })
+  }
+
+  it('accepts a signed price within the tolerance', async () => {
+    const response = await purchase({ ...PRODUCTS.airpods, price: { amount: 167, currency: 'USD' } })
+    assert.equal(response.status, 402)
+  })
+
+  it('rejects a signed price that drifted beyond the tolerance', async () => {
+    const response = await purchase({ ...PRODUCTS.airpods, price: { amount: 150, currency: 'USD' } })
+    assert.equal(response.status, 409)
+    assert.equal(response.body.code, 'PRICE_DRIFTED')
+    assert.equal(response.body.details.signedPrice, 150)
+    assert.equal(response.body.details.currentPrice, 169.99)
+    assert.equal(response.body.details.action, 'search_again')
+  })
+})
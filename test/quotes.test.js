@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { createQuoteSigner, findQuoteMismatch } = require('../src/pricing/quotes')
+const { startStack, signProduct } = require('./helpers/stack')
+
+const KEY = { kid: 'k1', secret: 'quote_test_secret' }
+const keyRing = {
+  getActiveKey: () => KEY,
+  getVerificationKey: kid => (kid === KEY.kid ? KEY : null)
+}
+
+const PRICING = { totalMinor: 459, total: '4.59' }
+
+describe('createQuoteSigner', () => {
+  const signer = createQuoteSigner({ keyRing, ttlSeconds: 300 })
+  const inFiveMinutes = () => Math.floor(Date.now() / 1000) + 300
+
+  it('round-trips a quote', () => {
+    const quote = signer.issue({ items: [{ nonce: 'n1', quantity: 2, expiresAt: inFiveMinutes() }], state: 'NY', pricing: PRICING })
+    const verified = signer.verify(quote.quoteToken)
+    assert.equal(verified.ok, true)
+    assert.equal(verified.claims.quoteId, quote.quoteId)
+    assert.deepEqual(verified.claims.items, [{ nonce: 'n1', quantity: 2 }])
+    assert.deepEqual(verified.claims.pricing, PRICING)
+  })
+
+  it('never outlives the product blobs it covers', () => {
+    const blobExpiry = Math.floor(Date.now() / 1000) + 60
+    const quote = signer.issue({ items: [{ nonce: 'n1', quantity: 1, expiresAt: blobExpiry }], state: null, pricing: PRICING })
+    assert.equal(quote.expiresAt, new Date(blobExpiry * 1000).toISOString())
+  })
+
+  it('reports an expired quote', () => {
+    const expired = Math.floor(Date.now() / 1000) - 1
+    const quote = signer.issue({ items: [{ nonce: 'n1', quantity: 1, expiresAt: expired }], state: null, pricing: PRICING })
+    const verified = signer.verify(quote.quoteToken)
+    assert.equal(verified.code, 'QUOTE_EXPIRED')
+    assert.equal(verified.details.action, 'quote_again')
+  })
+
+  it('rejects tampered, malformed and unknown-key tokens', () => {
+    const { quoteToken } = signer.issue({ items: [{ nonce: 'n1', quantity: 1, expiresAt: inFiveMinutes() }], state: null, pricing: PRICING })
+    const [payload, signature] = quoteToken.split('.')
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+    const cheaper = Buffer.from(JSON.stringify({ ...claims, pricing: { totalMinor: 1, total: '0.01' } })).toString('base64url')
+
+    assert.equal(signer.verify(`${cheaper}.${signature}`).code, 'INVALID_QUOTE')
+    assert.equal(signer.verify('not-a-token').code, 'INVALID_QUOTE')
+    assert.equal(signer.verify(undefined).code, 'INVALID_QUOTE')
+
+    const rotated = createQuoteSigner({ keyRing: { ...keyRing, getVerificationKey: () => null } })
+    assert.equal(rotated.verify(quoteToken).code, 'INVALID_QUOTE')
+  })
+})
+
+describe('findQuoteMismatch', () => {
+  const claims = { items: [{ nonce: 'n1', quantity: 2 }], state: 'NY' }
+
+  it('requires the same blobs, quantities and shipping state', () => {
+    assert.equal(findQuoteMismatch(claims, [{ blobNonce: 'n1', quantity: 2 }], 'NY'), null)
+    assert.match(findQuoteMismatch(claims, [{ blobNonce: 'n2', quantity: 2 }], 'NY'), /not the product blob that was quoted/)
+    assert.match(findQuoteMismatch(claims, [{ blobNonce: 'n1', quantity: 3 }], 'NY'), /quantity 3 differs from the quoted 2/)
+    assert.match(findQuoteMismatch(claims, [{ blobNonce: 'n1', quantity: 2 }], 'CA'), /shipping state CA differs/)
+    assert.match(findQuoteMismatch(claims, [], 'NY'), /quote covers 1 item/)
+  })
+})
+
+describe('POST /quote', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  it('prices the order without consuming the blobs, and /purchase honours the quote', async () => {
+    const signed = signProduct('pencils')
+    const quote = await stack.request('POST', '/quote', { body: { ...signed, quantity: 2 } })
+    assert.equal(quote.status, 200)
+    assert.equal(quote.body.allowed, true)
+    assert.equal(quote.body.pricing.total, '9.18')
+    assert.ok(quote.body.quoteToken)
+
+    const mismatch = await stack.request('POST', '/purchase', { body: { ...signed, quantity: 3, quoteToken: quote.body.quoteToken } })
+    assert.equal(mismatch.status, 409)
+    assert.equal(mismatch.body.code, 'QUOTE_MISMATCH')
+
+    const purchase = await stack.request('POST', '/purchase', { body: { ...signed, quantity: 2, quoteToken: quote.body.quoteToken } })
+    assert.equal(purchase.status, 402)
+    assert.equal(purchase.body.accepts[0].amount, '9.18')
+  })
+
+  it('answers 400 for a quote token that does not verify', async () => {
+    const response = await stack.request('POST', '/purchase', { body: { ...signProduct('pencils'), quantity: 1, quoteToken: 'forged.token' } })
+    assert.equal(response.status, 400)
+    assert.equal(response.body.code, 'INVALID_QUOTE')
+    assert.equal(response.body.stage, 'quote.verify')
+  })
+
+  it('reports a policy violation without issuing a token', async () => {
+    await stack.admin('PUT', '/admin/catalog/policies', { body: { maxQuantity: { default: 10 } } })
+
+    const quote = await stack.request('POST', '/quote', { body: { ...signProduct('speaker'), quantity: 11 } })
+    assert.equal(quote.status, 200)
+    assert.equal(quote.body.allowed, false)
+    assert.equal(quote.body.policy.violation.rule, 'maxQuantity')
+    assert.equal(quote.body.quoteToken, null)
+  })
+})
@@ -0,0 +1,206 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const http = require('http')
+const { createRefundExecutor, REFUND_EXECUTORS } = require('../src/payments/refunds')
+const { startStack, signProduct, payChallenge } = require('./helpers/stack')
+
+const REFUND = { paymentId: 'payment_1', to: 'Payer1111', amount: '10.00', asset: 'USDC', chain: 'solana', reason: 'order_cancelled' }
+
+describe('refund executors', () => {
+  let server
+  let url
+  let requests
+  let reply
+
+  before(async () => {
+    requests = []
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', chunk => { body += chunk })
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body: JSON.parse(body) })
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify(reply.body))
+      })
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    url = `http://127.0.0.1:${server.address().port}/refunds`
+  })
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  it('posts the refund to the http executor and completes it with the transaction', async () => {
+    reply = { status: 200, body: { transaction: 'refund_tx_1' } }
+    const executor = REFUND_EXECUTORS.http({ url, token: 'refund_token' })
+
+    assert.deepEqual(await executor.execute(REFUND), { status: 'completed', transaction: 'refund_tx_1' })
+    const sent = requests.at(-1)
+    assert.deepEqual(sent.body, REFUND)
+    assert.equal(sent.headers.authorization, 'Bearer refund_token')
+    assert.equal(sent.headers['x-idempotency-key'], 'refund-payment_1')
+  })
+
+  it('leaves an accepted refund without a transaction pending', async () => {
+    reply = { status: 202, body: { id: 'job_7' } }
+    const executor = REFUND_EXECUTORS.http({ url })
+    assert.deepEqual(await executor.execute(REFUND), { status: 'pending', reference: 'job_7' })
+  })
+
+  it('throws when the refund service answers with an error', async () => {
+    reply = { status: 500, body: { error: 'wallet locked' } }
+    const executor = REFUND_EXECUTORS.http({ url })
+    await assert.rejects(executor.execute(REFUND), /Refund service error: 500/)
+  })
+
+  it('records manual refunds as pending and fakes mock refunds', async () => {
+    assert.deepEqual(await createRefundExecutor('manual').execute(REFUND), { status: 'pending', reference: null })
+
+    const mock = await createRefundExecutor('mock').execute(REFUND)
+    assert.equal(mock.status, 'completed')
+    assert.match(mock.transaction, /^mock_refund_/)
+  })
+
+  it('refuses an unknown executor or an http executor without a URL', () => {
+    assert.throws(() => createRefundExecutor('paypal'), /Unknown REFUND_EXECUTOR "paypal"/)
+    assert.throws(() => REFUND_EXECUTORS.http({ url: '' }), /REFUND_EXECUTOR_URL is required/)
+  })
+
+  it('stops the server from starting with an unusable executor', async () => {
+    await assert.rejects(startStack({ env: { REFUND_EXECUTOR: 'paypal' } }), /exited with code 1[\s\S]*Unknown REFUND_EXECUTOR/)
+    await assert.rejects(startStack({ env: { REFUND_EXECUTOR: 'http' } }), /exited with code 1[\s\S]*REFUND_EXECUTOR_URL is required/)
+  })
+})
+
+describe('payment admin routes', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  async function challenge() {
+    const body = { ...signProduct('airpods'), quantity: 1 }
+    const response = await stack.request('POST', '/purchase', { body })
+    return { body, challenge: response.body }
+  }
+
+  function payRetry(body, challengeBody) {
+    return stack.request('POST', '/purchase', {
+      body,
+      headers: { 'X-PAYMENT': payChallenge(challengeBody), 'X-Payment-Id': challengeBody.paymentId }
+    })
+  }
+
+  it('cancels an order and refunds its payment', async () => {
+    const { body, challenge: challengeBody } = await challenge()
+    const paid = await payRetry(body, challengeBody)
+    assert.equal(paid.status, 200)
+    const { orderId } = paid.body.order
+
+    const cancelled = await stack.admin('POST', `/orders/${orderId}/cancel`, { body: { reason: 'changed mind' } })
+    assert.equal(cancelled.status, 200)
+    assert.equal(cancelled.body.order.status, 'cancelled')
+    assert.equal(cancelled.body.order.cancelReason, 'changed mind')
+    assert.equal(cancelled.body.payment.status, 'refunded')
+    assert.match(cancelled.body.payment.refund.transaction, /^mock_refund_/)
+
+    const again = await stack.admin('POST', `/orders/${orderId}/cancel`)
+    assert.equal(again.status, 409)
+    assert.equal(again.body.code, 'ORDER_NOT_CANCELLABLE')
+  })
+
+  it('reopens a settlement_unknown payment reconciled as not settled', async () => {
+    const { body, challenge: challengeBody } = await challenge()
+    await stack.facilitatorOutcomes(['settle-error'])
+    await payRetry(body, challengeBody)
+
+    const invalid = await stack.admin('POST', `/admin/payments/${challengeBody.paymentId}/reconcile`, {
+      body: { settled: true }
+    })
+    assert.equal(invalid.status, 400)
+    assert.equal(invalid.body.code, 'INVALID_RECONCILIATION')
+
+    const reconciled = await stack.admin('POST', `/admin/payments/${challengeBody.paymentId}/reconcile`, {
+      body: { settled: false }
+    })
+    assert.equal(reconciled.status, 200)
+    assert.equal(reconciled.body.status, 'pending')
+    assert.equal(reconciled.body.lastPaymentError.code, 'SETTLEMENT_FAILED')
+
+    const again = await stack.admin('POST', `/admin/payments/${challengeBody.paymentId}/reconcile`, {
+      body: { settled: false }
+    })
+    assert.equal(again.status, 409)
+    assert.equal(again.body.code, 'SETTLEMENT_NOT_UNKNOWN')
+
+    await stack.facilitatorOutcomes(['invalid'])
+    const paidAgain = await payRetry(body, challengeBody)
+    assert.equal(paidAgain.status, 402, 'the reopened payment goes back to the facilitator')
+    assert.equal(paidAgain.body.code, 'PAYMENT_INVALID')
+
+    const paid = await payRetry(body, challengeBody)
+    assert.equal(paid.status, 200)
+  })
+
+  it('resolves an order_unknown payment from the X-PAYMENT retry or the admin reconcile', async () => {
+    const unknown = await challenge()
+    await stack.crossmintOutcomes(['error'])
+    const failed = await payRetry(unknown.body, unknown.challenge)
+    assert.equal(failed.status, 502)
+    assert.equal(failed.body.code, 'ORDER_UNKNOWN')
+    assert.equal(failed.body.details.requestId, failed.headers.get('X-Request-Id'))
+
+    // Crossmint never created it, so the retried create places the order now
+    const retried = await payRetry(unknown.body, unknown.challenge)
+    assert.equal(retried.status, 200)
+    assert.ok(retried.body.order.orderId)
+
+    const refused = await challenge()
+    await stack.crossmintOutcomes(['error'])
+    await payRetry(refused.body, refused.challenge)
+    const invalid = await stack.admin('POST', `/admin/payments/${refused.challenge.paymentId}/reconcile`, {
+      body: { ordered: true }
+    })
+    assert.equal(invalid.status, 400)
+    assert.equal(invalid.body.code, 'INVALID_RECONCILIATION')
+
+    const notOrdered = await stack.admin('POST', `/admin/payments/${refused.challenge.paymentId}/reconcile`, {
+      body: { ordered: false }
+    })
+    assert.equal(notOrdered.status, 200)
+    assert.equal(notOrdered.body.status, 'refunded')
+    assert.equal(notOrdered.body.refund.reason, 'order_creation_failed')
+
+    const placed = await challenge()
+    await stack.crossmintOutcomes(['lost-response'])
+    await payRetry(placed.body, placed.challenge)
+    const { orderId } = (await stack.crossmintOrders()).orders.at(-1)
+    const ordered = await stack.admin('POST', `/admin/payments/${placed.challenge.paymentId}/reconcile`, {
+      body: { ordered: true, orderId }
+    })
+    assert.equal(ordered.status, 200)
+    assert.equal(ordered.body.order.orderId, orderId)
+    assert.equal((await stack.request('GET', `/orders/${orderId}`)).body.paymentId, placed.challenge.paymentId)
+  })
+
+  it('only retries refunds that are pending', async () => {
+    const { challenge: challengeBody } = await challenge()
+
+    const response = await stack.admin('POST', `/admin/payments/${challengeBody.paymentId}/refund`)
+    assert.equal(response.status, 409)
+    assert.equal(response.body.code, 'REFUND_NOT_PENDING')
+  })
+
+  it('answers 404 for unknown payments and orders and requires the admin token', async () => {
+    assert.equal((await stack.admin('POST', '/admin/payments/payment_unknown/reconcile', { body: { settled: false } })).status, 404)
+    assert.equal((await stack.admin('POST', '/admin/payments/payment_unknown/refund')).status, 404)
+    assert.equal((await stack.admin('POST', '/orders/order_unknown/cancel')).status, 404)
+    assert.equal((await stack.request('POST', '/orders/order_unknown/cancel')).status, 401)
+  })
+})
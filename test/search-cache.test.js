@@ -0,0 +1,80 @@
+const { describe, it, before, after, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const { TtlLruCache, searchCacheKey } = require('../src/search/cache')
+const { startStack } = require('./helpers/stack')
+
+describe('TtlLruCache', () => {
+  after(() => {
+    mock.timers.reset()
+  })
+
+  it('evicts the least recently used entry when full', () => {
+    const cache = new TtlLruCache({ name: 'test', maxEntries: 2, ttlMs: 60000 })
+    cache.set('a', 1).set('b', 2)
+    cache.get('a')
+    cache.set('c', 3)
+
+    assert.equal(cache.get('b'), undefined)
+    assert.equal(cache.get('a'), 1)
+    assert.equal(cache.get('c'), 3)
+    assert.equal(cache.stats().evictions, 1)
+  })
+
+  it('expires entries after the TTL', () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 })
+    const cache = new TtlLruCache({ name: 'test', maxEntries: 10, ttlMs: 1000 })
+    cache.set('a', 1)
+
+    mock.timers.tick(999)
+    assert.equal(cache.get('a'), 1)
+    mock.timers.tick(1)
+    assert.equal(cache.get('a'), undefined)
+    assert.equal(cache.stats().expirations, 1)
+    mock.timers.reset()
+  })
+
+  it('counts hits and misses but not peeks', () => {
+    const cache = new TtlLruCache({ name: 'test', maxEntries: 10, ttlMs: 60000 })
+    cache.set('a', 1)
+    cache.get('a')
+    cache.get('missing')
+    cache.peekEntry('a')
+
+    const stats = cache.stats()
+    assert.equal(stats.hits, 1)
+    assert.equal(stats.misses, 1)
+    assert.equal(stats.hitRate, 0.5)
+  })
+
+  it('keys searches by normalized query and limit', () => {
+    assert.equal(searchCacheKey('  AirPods   Pro ', 10), searchCacheKey('airpods pro', 10))
+    assert.notEqual(searchCacheKey('airpods', 5), searchCacheKey('airpods', 10))
+  })
+})
+
+describe('GET /products search cache', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  it('serves a repeated search from the cache with fresh blobs', async () => {
+    const first = await stack.request('GET', '/products?search=speaker')
+    assert.equal(first.body.cached, false)
+    assert.equal(first.body.cachedAt, null)
+
+    const second = await stack.request('GET', '/products?search=%20Speaker')
+    assert.equal(second.body.cached, true)
+    assert.ok(second.body.cachedAt)
+    assert.notEqual(second.body.products[0].productBlob, first.body.products[0].productBlob)
+
+    const { body } = await stack.request('GET', '/diagnostics')
+    assert.equal(body.cache.searches.hits, 1)
+    assert.ok(body.cache.products.size >= first.body.count)
+  })
+})
@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createSearchProvider } = require('../src/search')
+const { createFixtureProvider } = require('../src/search/fixture')
+const { startStack } = require('./helpers/stack')
+
+describe('fixture search provider', () => {
+  const provider = createFixtureProvider()
+
+  it('returns a recorded query verbatim, normalized to products', async () => {
+    const products = await provider.search('  AirPods ', 10)
+    assert.equal(products.length, 3)
+    assert.equal(products[0].asin, 'B08C7KG5LP')
+    assert.deepEqual(products[0].price, { amount: 169.99, currency: 'USD' })
+    assert.equal(products[0].meta.source, 'fixture')
+  })
+
+  it('matches other queries against recorded titles', async () => {
+    const products = await provider.search('3rd generation', 10)
+    assert.deepEqual(products.map(product => product.asin), ['B08C7KG5LP', 'B01MTB55WH'])
+  })
+
+  it('applies the limit', async () => {
+    assert.equal((await provider.search('airpods', 1)).length, 1)
+  })
+
+  it('reports a missing fixture file', async () => {
+    const missing = createFixtureProvider({ filePath: path.join(os.tmpdir(), 'no-such-fixtures.json') })
+    assert.equal(missing.isConfigured(), false)
+    await assert.rejects(missing.search('airpods', 10), /Failed to read search fixtures/)
+  })
+
+  it('reads recordings on every search', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-test-'))
+    const filePath = path.join(dir, 'search.json')
+    try {
+      fs.writeFileSync(filePath, JSON.stringify({ recordings: [] }))
+      const editable = createFixtureProvider({ filePath })
+      assert.equal((await editable.search('lamp', 10)).length, 0)
+
+      fs.writeFileSync(filePath, JSON.stringify({
+        recordings: [{ query: 'lamp', response: { organic_results: [{ asin: 'B000LAMP01', title: 'Desk Lamp', extracted_price: 20 }] } }]
+      }))
+      assert.equal((await editable.search('lamp', 10))[0].asin, 'B000LAMP01')
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('refuses an unknown provider name', () => {
+    assert.throws(() => createSearchProvider('bing'), /Unknown SEARCH_PROVIDER "bing"/)
+  })
+})
+
+describe('GET /products with SEARCH_PROVIDER=fixture', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  it('returns signed fixture products that can be purchased', async () => {
+    const response = await stack.request('GET', '/products?search=pencils')
+    assert.equal(response.status, 200)
+    assert.equal(response.body.searchMethod, 'fixture')
+    assert.ok(response.body.count > 0)
+
+    const [{ productBlob, signature, expiresAt }] = response.body.products
+    assert.ok(Date.parse(expiresAt) > Date.now())
+
+    const purchase = await stack.request('POST', '/purchase', { body: { productBlob, signature, quantity: 1 } })
+    assert.equal(purchase.status, 402)
+  })
+
+  it('reports the provider on /health/search', async () => {
+    const { body } = await stack.request('GET', '/health/search')
+    assert.equal(body.provider, 'fixture')
+    assert.equal(body.providerConfigured, true)
+  })
+})
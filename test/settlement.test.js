@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { startStack, signProduct, payChallenge } = require('./helpers/stack')
+
+describe('payment settlement', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  // A 402 challenge for one freshly signed item (blobs are single-use)
+  async function challenge() {
+    const response = await stack.request('POST', '/purchase', {
+      body: { ...signProduct('airpods'), quantity: 1 }
+    })
+    assert.equal(response.status, 402, JSON.stringify(response.body))
+    return response.body
+  }
+
+  function payWebhook(challengeBody) {
+    return stack.webhook({ payment_id: challengeBody.paymentId, x_payment: payChallenge(challengeBody) })
+  }
+
+  async function paymentStatus(paymentId) {
+    return (await stack.request('GET', `/payment/${paymentId}`)).body.status
+  }
+
+  it('holds the payment in settlement_unknown when the settle call errors', async () => {
+    const challengeBody = await challenge()
+    await stack.facilitatorOutcomes(['settle-error'])
+
+    const paid = await payWebhook(challengeBody)
+    assert.equal(paid.status, 502)
+    assert.equal(paid.body.code, 'SETTLEMENT_UNKNOWN')
+    assert.equal(paid.body.details.paymentStatus, 'settlement_unknown')
+    assert.equal(await paymentStatus(challengeBody.paymentId), 'settlement_unknown')
+
+    const retried = await payWebhook(challengeBody)
+    assert.equal(retried.status, 409)
+    assert.equal(retried.body.code, 'SETTLEMENT_UNKNOWN')
+    assert.equal(await paymentStatus(challengeBody.paymentId), 'settlement_unknown')
+  })
+
+  it('returns the payment to pending when the facilitator reports success: false', async () => {
+    const challengeBody = await challenge()
+    await stack.facilitatorOutcomes(['settle-fail'])
+
+    const failed = await payWebhook(challengeBody)
+    assert.equal(failed.status, 402)
+    assert.equal(failed.body.code, 'SETTLEMENT_FAILED')
+    assert.equal(await paymentStatus(challengeBody.paymentId), 'pending')
+
+    const paid = await payWebhook(challengeBody)
+    assert.equal(paid.status, 200)
+    assert.equal(paid.body.completed_orders, 1)
+    assert.equal(await paymentStatus(challengeBody.paymentId), 'completed')
+  })
+
+  it('creates the order when a settlement_unknown payment is reconciled as settled', async () => {
+    const challengeBody = await challenge()
+    await stack.facilitatorOutcomes(['settle-error'])
+    await payWebhook(challengeBody)
+
+    const reconciled = await stack.admin('POST', `/admin/payments/${challengeBody.paymentId}/reconcile`, {
+      body: { settled: true, transaction: 'reconciled_tx_1' }
+    })
+    assert.equal(reconciled.status, 200)
+    assert.equal(reconciled.body.status, 'success')
+    assert.ok(reconciled.body.order.orderId)
+
+    const payment = (await stack.request('GET', `/payment/${challengeBody.paymentId}`)).body
+    assert.equal(payment.status, 'completed')
+    assert.equal(payment.settlement.transaction, 'reconciled_tx_1')
+    assert.deepEqual(payment.history.map(entry => entry.status).slice(-3), ['settlement_unknown', 'settled', 'completed'])
+  })
+
+  it('refunds a settled payment whose order cannot be created', async () => {
+    const challengeBody = await challenge()
+    await stack.crossmintOutcomes(['out-of-stock'])
+
+    const response = await payWebhook(challengeBody)
+    assert.equal(response.status, 502)
+    assert.equal(response.body.code, 'CROSSMINT_API_ERROR')
+    assert.match(response.body.details.originalError, /stock/i)
+    assert.equal(response.body.details.paymentStatus, 'refunded')
+    assert.match(response.body.details.refund.transaction, /^mock_refund_/)
+  })
+
+  it('holds the payment in order_unknown when the order create may have succeeded', async () => {
+    const challengeBody = await challenge()
+    const ordersBefore = (await stack.crossmintOrders()).orders.length
+    await stack.crossmintOutcomes(['lost-response'])
+
+    const response = await payWebhook(challengeBody)
+    assert.equal(response.status, 502)
+    assert.equal(response.body.code, 'ORDER_UNKNOWN')
+    assert.equal(response.body.details.paymentStatus, 'order_unknown')
+    assert.equal(response.body.details.refund, null)
+
+    const { orders } = await stack.crossmintOrders()
+    assert.equal(orders.length, ordersBefore + 1)
+
+    // The retried create carries the same idempotency key, so it finds the order instead of placing another
+    const retried = await payWebhook(challengeBody)
+    assert.equal(retried.status, 200)
+    assert.equal(retried.body.orders[0].orderId, orders.at(-1).orderId)
+    assert.equal((await stack.crossmintOrders()).orders.length, ordersBefore + 1)
+
+    const payment = (await stack.request('GET', `/payment/${challengeBody.paymentId}`)).body
+    assert.deepEqual(payment.history.map(entry => entry.status).slice(-3), ['settled', 'order_unknown', 'completed'])
+  })
+
+  it('returns the payment to pending when the facilitator rejects it', async () => {
+    const challengeBody = await challenge()
+    await stack.facilitatorOutcomes(['invalid'])
+
+    const rejected = await payWebhook(challengeBody)
+    assert.equal(rejected.status, 402)
+    assert.equal(rejected.body.code, 'PAYMENT_INVALID')
+    assert.equal(await paymentStatus(challengeBody.paymentId), 'pending')
+  })
+
+  it('rejects a payload that does not match the challenge without calling the facilitator', async () => {
+    const challengeBody = await challenge()
+    const underpaid = {
+      ...challengeBody,
+      accepts: [{ ...challengeBody.accepts[0], amount: '1' }]
+    }
+
+    const response = await payWebhook(underpaid)
+    assert.equal(response.status, 402)
+    assert.equal(response.body.code, 'PAYMENT_MISMATCH')
+    assert.equal(await paymentStatus(challengeBody.paymentId), 'pending')
+  })
+})
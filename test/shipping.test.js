@@ -0,0 +1,99 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { validateShipping, resolveShipping, DEMO_SHIPPING } = require('../src/shipping/address')
+const { startStack, signProduct } = require('./helpers/stack')
+
+const CONFIG = { countries: ['US'], sandbox: false }
+
+const SHIPPING = {
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  address: { line1: '1 Main St', city: 'Springfield', state: 'il', postalCode: '62701-1234', country: 'us' }
+}
+
+describe('validateShipping', () => {
+  it('normalizes a valid address', () => {
+    const result = validateShipping(SHIPPING, CONFIG)
+    assert.equal(result.ok, true)
+    assert.equal(result.shipping.address.state, 'IL')
+    assert.equal(result.shipping.address.country, 'US')
+    assert.equal('line2' in result.shipping.address, false)
+  })
+
+  it('reports every problem with its field', () => {
+    const result = validateShipping({
+      name: ' ',
+      email: 'ada',
+      address: { line1: '1 Main St', city: 'Springfield', state: 'XX', postalCode: '627', country: 'US' }
+    }, CONFIG)
+    assert.deepEqual(result.errors.map(error => error.field), [
+      'shipping.name',
+      'shipping.email',
+      'shipping.address.state',
+      'shipping.address.postalCode'
+    ])
+  })
+
+  it('requires a state only for US and Canadian addresses', () => {
+    const withoutState = { ...SHIPPING.address, state: undefined }
+    const config = { ...CONFIG, countries: ['US', 'CA', 'GB'] }
+
+    for (const country of ['US', 'CA']) {
+      const result = validateShipping({ ...SHIPPING, address: { ...withoutState, country } }, config)
+      assert.deepEqual(result.errors, [{ field: 'shipping.address.state', message: 'is required' }])
+    }
+
+    const british = validateShipping({ ...SHIPPING, address: { ...withoutState, postalCode: 'SW1A 1AA', country: 'GB' } }, config)
+    assert.equal(british.ok, true)
+    assert.equal('state' in british.shipping.address, false)
+  })
+
+  it('only ships to the configured countries', () => {
+    const result = validateShipping({ ...SHIPPING, address: { ...SHIPPING.address, country: 'FR' } }, CONFIG)
+    assert.deepEqual(result.errors, [{ field: 'shipping.address.country', message: 'FR is not supported (supported: US)' }])
+  })
+})
+
+describe('resolveShipping', () => {
+  it('falls back to the demo address only in sandbox mode', () => {
+    assert.deepEqual(resolveShipping(undefined, { ...CONFIG, sandbox: true }), { ok: true, shipping: DEMO_SHIPPING, sandbox: true })
+    assert.equal(resolveShipping(undefined, CONFIG).code, 'SHIPPING_REQUIRED')
+    assert.equal(resolveShipping({ name: 'Ada' }, CONFIG).code, 'INVALID_SHIPPING_ADDRESS')
+  })
+})
+
+describe('shipping in /purchase and /quote', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack({ env: { SHIPPING_SANDBOX_MODE: 'false' } })
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  it('requires a shipping address outside sandbox mode', async () => {
+    for (const route of ['/purchase', '/quote']) {
+      const response = await stack.request('POST', route, { body: { ...signProduct('pencils'), quantity: 1 } })
+      assert.equal(response.status, 400)
+      assert.equal(response.body.code, 'SHIPPING_REQUIRED')
+    }
+  })
+
+  it('rejects an invalid address before challenging for payment', async () => {
+    const response = await stack.request('POST', '/purchase', {
+      body: { ...signProduct('pencils'), quantity: 1, shipping: { ...SHIPPING, address: { ...SHIPPING.address, postalCode: 'ABCDE' } } }
+    })
+    assert.equal(response.status, 400)
+    assert.equal(response.body.code, 'INVALID_SHIPPING_ADDRESS')
+    assert.deepEqual(response.body.details.errors, [
+      { field: 'shipping.address.postalCode', message: 'must be a 5 digit ZIP or ZIP+4 (12345 or 12345-6789)' }
+    ])
+  })
+
+  it('challenges a purchase with a valid address', async () => {
+    const response = await stack.request('POST', '/purchase', { body: { ...signProduct('pencils'), quantity: 1, shipping: SHIPPING } })
+    assert.equal(response.status, 402)
+  })
+})
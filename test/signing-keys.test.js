@@ -0,0 +1,127 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { KeyRing, KeyRingError } = require('../src/signing/keyring')
+const { startStack, signProduct } = require('./helpers/stack')
+
+describe('KeyRing', () => {
+  let dir
+  let filePath
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyring-test-'))
+    filePath = path.join(dir, 'signing-keys.json')
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('seeds the fallback secret as the active default key', () => {
+    const ring = new KeyRing({ filePath, fallbackSecret: 'fallback_secret_value' })
+    assert.equal(ring.activeKeyId, 'default')
+    assert.equal(ring.getActiveKey().secret, 'fallback_secret_value')
+  })
+
+  it('keeps verifying with a rotated-out key until it is retired', () => {
+    const ring = new KeyRing({ filePath, fallbackSecret: 'fallback_secret_value' })
+    ring.addKey({ kid: 'k2', activate: true })
+
+    assert.equal(ring.activeKeyId, 'k2')
+    assert.ok(ring.getVerificationKey('default'))
+
+    ring.retireKey('default')
+    assert.equal(ring.getVerificationKey('default'), null)
+    assert.throws(() => ring.activateKey('default'), error => error instanceof KeyRingError && error.code === 'KEY_RETIRED')
+  })
+
+  it('refuses to retire the active key', () => {
+    const ring = new KeyRing({ filePath, fallbackSecret: 'fallback_secret_value' })
+    assert.throws(() => ring.retireKey('default'), { code: 'KEY_ACTIVE' })
+  })
+
+  it('validates new keys', () => {
+    const ring = new KeyRing({ filePath, fallbackSecret: 'fallback_secret_value' })
+    assert.throws(() => ring.addKey({ kid: 'bad kid' }), { code: 'INVALID_KEY_ID' })
+    assert.throws(() => ring.addKey({ kid: 'k2', secret: 'short' }), { code: 'INVALID_KEY_SECRET' })
+    assert.throws(() => ring.addKey({ kid: 'default' }), { code: 'KEY_EXISTS' })
+  })
+
+  it('persists changes and reloads them', () => {
+    const ring = new KeyRing({ filePath, fallbackSecret: 'fallback_secret_value' })
+    ring.addKey({ kid: 'k2', secret: 'k2_secret_value_123', activate: true })
+
+    const reloaded = new KeyRing({ filePath, fallbackSecret: 'fallback_secret_value' })
+    assert.equal(reloaded.activeKeyId, 'k2')
+    assert.equal(reloaded.getVerificationKey('k2').secret, 'k2_secret_value_123')
+    assert.equal(reloaded.listKeys().some(key => 'secret' in key), false)
+  })
+
+  it('refuses a corrupt key file', () => {
+    fs.writeFileSync(filePath, '{ not json')
+    assert.throws(() => new KeyRing({ filePath }), { code: 'KEYRING_INVALID' })
+  })
+})
+
+describe('signing key rotation', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  function purchase(blob) {
+    return stack.request('POST', '/purchase', { body: { ...blob, quantity: 1 } })
+  }
+
+  it('requires the admin token', async () => {
+    const missing = await stack.request('GET', '/admin/signing-keys')
+    assert.equal(missing.status, 401)
+    assert.equal(missing.body.code, 'ADMIN_UNAUTHORIZED')
+
+    const wrong = await stack.request('GET', '/admin/signing-keys', { headers: { Authorization: 'Bearer nope' } })
+    assert.equal(wrong.status, 401)
+  })
+
+  it('accepts blobs signed with the old key after a rotation until it is retired', async () => {
+    const oldBlob = signProduct('airpods')
+    const oldBlobAfterRetire = signProduct('pencils')
+
+    const added = await stack.admin('POST', '/admin/signing-keys', {
+      body: { kid: 'k2', secret: 'k2_secret_value_123', activate: true }
+    })
+    assert.equal(added.status, 201)
+    assert.equal(added.body.active, true)
+    assert.equal(added.body.secret, undefined)
+
+    assert.equal((await purchase(oldBlob)).status, 402)
+    assert.equal((await purchase(signProduct('speaker', { kid: 'k2' }, 'k2_secret_value_123'))).status, 402)
+
+    const retired = await stack.admin('POST', '/admin/signing-keys/default/retire')
+    assert.equal(retired.status, 200)
+    assert.equal(retired.body.status, 'retired')
+
+    const rejected = await purchase(oldBlobAfterRetire)
+    assert.equal(rejected.status, 400)
+    assert.equal(rejected.body.code, 'INVALID_SIGNATURE')
+  })
+
+  it('reports key ring errors with their status', async () => {
+    const active = await stack.admin('POST', '/admin/signing-keys/k2/retire')
+    assert.equal(active.status, 409)
+    assert.equal(active.body.code, 'KEY_ACTIVE')
+
+    const missing = await stack.admin('POST', '/admin/signing-keys/nope/activate')
+    assert.equal(missing.status, 404)
+    assert.equal(missing.body.code, 'KEY_NOT_FOUND')
+
+    const { body } = await stack.admin('GET', '/admin/signing-keys')
+    assert.equal(body.activeKeyId, 'k2')
+  })
+})
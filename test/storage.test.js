@@ -0,0 +1,203 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createStore } = require('../src/storage')
+const { isChallengeExpired, pruneFinishedRecords } = require('../src/storage/retention')
+const { startStack, signProduct, payChallenge } = require('./helpers/stack')
+
+describe('memory store', () => {
+  it('copies records on the way in and out', () => {
+    const payments = createStore({ driver: 'memory' }).collection('payments')
+    const record = { paymentId: 'pay_1', status: 'pending', history: [] }
+    payments.set('pay_1', record)
+
+    record.status = 'changed'
+    const stored = payments.get('pay_1')
+    assert.equal(stored.status, 'pending')
+
+    stored.history.push({ status: 'verifying' })
+    assert.deepEqual(payments.get('pay_1').history, [])
+  })
+
+  it('finds, lists and deletes records', () => {
+    const payments = createStore({ driver: 'memory' }).collection('payments')
+    payments.set('a', { status: 'pending' })
+    payments.set('b', { status: 'completed' })
+
+    assert.equal(payments.size, 2)
+    assert.deepEqual(payments.find(payment => payment.status === 'completed'), [{ status: 'completed' }])
+    assert.equal(payments.delete('a'), true)
+    assert.equal(payments.delete('a'), false)
+    assert.deepEqual(payments.keys(), ['b'])
+  })
+
+  it('copies only the records find() returns and lets forEach() scan without copies', () => {
+    const payments = createStore({ driver: 'memory' }).collection('payments')
+    payments.set('a', { status: 'pending' })
+    payments.set('b', { status: 'completed' })
+
+    const [completed] = payments.find(payment => payment.status === 'completed')
+    completed.status = 'changed'
+    assert.equal(payments.get('b').status, 'completed')
+
+    const statuses = []
+    payments.forEach((payment, key) => statuses.push(`${key}:${payment.status}`))
+    assert.deepEqual(statuses, ['a:pending', 'b:completed'])
+  })
+
+  it('rejects an unknown driver', () => {
+    assert.throws(() => createStore({ driver: 'redis' }), /Unknown STORAGE_DRIVER/)
+  })
+})
+
+describe('file store', () => {
+  let dir
+  let filePath
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amazon-proxy-store-'))
+    filePath = path.join(dir, 'nested', 'store.json')
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('keeps records across a restart', () => {
+    const first = createStore({ driver: 'file', filePath })
+    first.collection('payments').set('pay_1', { status: 'pending' })
+    first.collection('idempotency').set('key_1', { paymentId: 'pay_1' })
+    first.close()
+
+    const second = createStore({ driver: 'file', filePath })
+    assert.deepEqual(second.collection('payments').get('pay_1'), { status: 'pending' })
+    assert.deepEqual(second.collection('idempotency').get('key_1'), { paymentId: 'pay_1' })
+  })
+
+  it('keeps collections that were not opened when writing', () => {
+    const first = createStore({ driver: 'file', filePath })
+    first.collection('orders').set('order_1', { status: 'created' })
+
+    const second = createStore({ driver: 'file', filePath })
+    second.collection('payments').set('pay_1', { status: 'pending' })
+
+    const third = createStore({ driver: 'file', filePath })
+    assert.deepEqual(third.collection('orders').get('order_1'), { status: 'created' })
+  })
+
+  it('appends writes to a journal and folds it into the snapshot', () => {
+    const store = createStore({ driver: 'file', filePath, compactAfter: 3 })
+    const payments = store.collection('payments')
+    payments.set('pay_1', { status: 'pending' })
+    payments.set('pay_1', { status: 'completed' })
+
+    const journal = fs.readFileSync(`${filePath}.journal`, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+    assert.deepEqual(journal, [
+      { collection: 'payments', key: 'pay_1', value: { status: 'pending' } },
+      { collection: 'payments', key: 'pay_1', value: { status: 'completed' } }
+    ])
+    assert.equal(fs.existsSync(filePath), false, 'no snapshot before compaction')
+
+    payments.delete('pay_1')
+    assert.equal(fs.readFileSync(`${filePath}.journal`, 'utf8'), '')
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).collections.payments, {})
+  })
+
+  it('replays the journal over the snapshot and drops a torn last line', () => {
+    const first = createStore({ driver: 'file', filePath })
+    first.collection('payments').set('pay_1', { status: 'pending' })
+    first.close()
+    first.collection('payments').set('pay_2', { status: 'pending' })
+    first.collection('payments').delete('pay_1')
+    fs.appendFileSync(`${filePath}.journal`, '{"collection":"payments","key":"pay_3","va')
+
+    const second = createStore({ driver: 'file', filePath })
+    assert.deepEqual(second.collection('payments').keys(), ['pay_2'])
+    assert.equal(fs.readFileSync(`${filePath}.journal`, 'utf8'), '', 'a torn journal is compacted on load')
+
+    second.collection('payments').set('pay_4', { status: 'pending' })
+    const third = createStore({ driver: 'file', filePath })
+    assert.deepEqual(third.collection('payments').keys(), ['pay_2', 'pay_4'])
+  })
+
+  it('refuses a journal that is corrupt before its last line', () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(`${filePath}.journal`, 'garbage\n{"collection":"payments","key":"pay_1","value":{}}\n')
+    assert.throws(() => createStore({ driver: 'file', filePath }), /journal .* is corrupt at line 1/)
+  })
+
+  it('refuses a corrupt store file', () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, '{ not json')
+    assert.throws(() => createStore({ driver: 'file', filePath }), /not valid JSON/)
+  })
+})
+
+describe('record retention', () => {
+  const DAY = 24 * 60 * 60 * 1000
+  const config = { challengeTtlMs: 900 * 1000, retentionMs: 30 * DAY }
+  const now = Date.parse('2026-06-01T00:00:00.000Z')
+  const ago = ms => new Date(now - ms).toISOString()
+
+  it('expires pending challenges only', () => {
+    assert.equal(isChallengeExpired({ status: 'pending', createdAt: ago(901 * 1000) }, config, now), true)
+    assert.equal(isChallengeExpired({ status: 'pending', createdAt: ago(60 * 1000) }, config, now), false)
+    assert.equal(isChallengeExpired({ status: 'pending', createdAt: ago(DAY), expiresAt: ago(-1000) }, config, now), false)
+    assert.equal(isChallengeExpired({ status: 'settlement_unknown', createdAt: ago(DAY) }, config, now), false)
+  })
+
+  it('deletes finished payments and orders past the retention period', () => {
+    const store = createStore({ driver: 'memory' })
+    const payments = store.collection('payments')
+    const orders = store.collection('orders')
+    const old = ago(31 * DAY)
+
+    payments.set('expired', { status: 'expired', updatedAt: old })
+    payments.set('refunded', { status: 'refunded', updatedAt: old })
+    payments.set('delivered', { status: 'completed', orderId: 'order_delivered', updatedAt: old })
+    payments.set('shipping', { status: 'completed', orderId: 'order_shipping', updatedAt: old })
+    payments.set('unknown', { status: 'settlement_unknown', updatedAt: old })
+    payments.set('refund_pending', { status: 'refund_pending', updatedAt: old })
+    payments.set('recent', { status: 'refunded', updatedAt: ago(DAY) })
+    orders.set('order_delivered', { status: 'delivered', updatedAt: old })
+    orders.set('order_shipping', { status: 'shipped', updatedAt: old })
+
+    assert.deepEqual(pruneFinishedRecords({ payments, orders, config, now }), { payments: 3, orders: 1 })
+    assert.deepEqual(payments.keys(), ['shipping', 'unknown', 'refund_pending', 'recent'])
+    assert.deepEqual(orders.keys(), ['order_shipping'])
+  })
+})
+
+describe('unpaid challenge expiry', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack({ env: { PAYMENT_CHALLENGE_TTL_SECONDS: '1' } })
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  it('refuses to settle a challenge paid after it expired', async () => {
+    const body = { ...signProduct('pencils'), quantity: 1, idempotencyKey: 'expiring-challenge' }
+    const challenge = (await stack.request('POST', '/purchase', { body })).body
+    await new Promise(resolve => setTimeout(resolve, 1100))
+
+    const paid = await stack.request('POST', '/purchase', {
+      body,
+      headers: { 'X-PAYMENT': payChallenge(challenge), 'X-Payment-Id': challenge.paymentId }
+    })
+    assert.equal(paid.status, 410)
+    assert.equal(paid.body.code, 'PAYMENT_EXPIRED')
+
+    const payment = await stack.request('GET', `/payment/${challenge.paymentId}`)
+    assert.equal(payment.body.status, 'expired')
+
+    const again = await stack.request('POST', '/purchase', { body: { ...body, ...signProduct('pencils') } })
+    assert.equal(again.status, 402, 'the idempotency key may start a new challenge')
+    assert.notEqual(again.body.paymentId, challenge.paymentId)
+  })
+})
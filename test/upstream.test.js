@@ -0,0 +1,168 @@
+const { describe, it, afterEach, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { createUpstream, getUpstreamPolicy } = require('../src/upstream')
+const { startStack, signProduct, payChallenge } = require('./helpers/stack')
+
+const POLICY = {
+  timeoutMs: 1000,
+  retries: 2,
+  retryBaseMs: 1,
+  retryMaxMs: 1,
+  breakerThreshold: 3,
+  breakerResetMs: 60000
+}
+
+// A fetch that answers with the scripted statuses in turn ('throw' rejects like a network error)
+function scriptedFetch(steps) {
+  const calls = []
+  async function fetchImpl(url, init) {
+    calls.push({ url, init })
+    const step = steps[Math.min(calls.length - 1, steps.length - 1)]
+    if (step === 'throw') {
+      throw new TypeError('fetch failed', { cause: new Error('connect ECONNREFUSED') })
+    }
+    return new Response(JSON.stringify({ step }), { status: step })
+  }
+  fetchImpl.calls = calls
+  return fetchImpl
+}
+
+describe('createUpstream', () => {
+  it('retries transient failures of a retryable call', async () => {
+    const fetchImpl = scriptedFetch([503, 'throw', 200])
+    const upstream = createUpstream({ name: 'test', policy: POLICY, fetchImpl })
+
+    const response = await upstream.fetch('http://upstream.test/orders', { method: 'POST' }, { retry: true })
+    assert.equal(response.status, 200)
+    assert.equal(fetchImpl.calls.length, 3)
+    assert.equal(fetchImpl.calls[0].init.method, 'POST')
+
+    const state = upstream.state()
+    assert.equal(state.circuit, 'closed')
+    assert.equal(state.consecutiveFailures, 0)
+    assert.deepEqual(state.totals, { requests: 1, attempts: 3, retries: 2, failures: 2, rejected: 0 })
+  })
+
+  it('makes a single attempt when the call is not safe to repeat', async () => {
+    const fetchImpl = scriptedFetch([503, 200])
+    const upstream = createUpstream({ name: 'test', policy: POLICY, fetchImpl })
+
+    const response = await upstream.fetch('http://upstream.test/orders')
+    assert.equal(response.status, 503)
+    assert.equal(fetchImpl.calls.length, 1)
+  })
+
+  it('returns a 4xx as-is without retrying or counting a failure', async () => {
+    const fetchImpl = scriptedFetch([404, 200])
+    const upstream = createUpstream({ name: 'test', policy: POLICY, fetchImpl })
+
+    const response = await upstream.fetch('http://upstream.test/orders/1', {}, { retry: true })
+    assert.equal(response.status, 404)
+    assert.equal(fetchImpl.calls.length, 1)
+    assert.equal(upstream.state().totals.failures, 0)
+  })
+
+  it('throws UPSTREAM_TIMEOUT and UPSTREAM_UNREACHABLE', async () => {
+    // AbortSignal.timeout() does not keep the event loop alive, so the hanging fetch holds a timer
+    const hanging = (url, init) => new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, 5000)
+      init.signal.addEventListener('abort', () => {
+        clearTimeout(timer)
+        reject(init.signal.reason)
+      })
+    })
+    const slow = createUpstream({ name: 'slow', policy: { ...POLICY, timeoutMs: 20 }, fetchImpl: hanging })
+    await assert.rejects(slow.fetch('http://upstream.test/'), { code: 'UPSTREAM_TIMEOUT', upstream: 'slow' })
+
+    const down = createUpstream({ name: 'down', policy: POLICY, fetchImpl: scriptedFetch(['throw']) })
+    await assert.rejects(down.fetch('http://upstream.test/'), { code: 'UPSTREAM_UNREACHABLE', message: /ECONNREFUSED/ })
+  })
+
+  it('opens the circuit after consecutive failures and fails fast', async () => {
+    const fetchImpl = scriptedFetch([503])
+    const upstream = createUpstream({ name: 'test', policy: { ...POLICY, retries: 5 }, fetchImpl })
+
+    const response = await upstream.fetch('http://upstream.test/', {}, { retry: true })
+    assert.equal(response.status, 503)
+    assert.equal(fetchImpl.calls.length, 3, 'retries stop once the circuit opens')
+
+    await assert.rejects(upstream.fetch('http://upstream.test/'), { code: 'CIRCUIT_OPEN', message: /after 3 consecutive failures/ })
+    assert.equal(fetchImpl.calls.length, 3)
+
+    const state = upstream.state()
+    assert.equal(state.circuit, 'open')
+    assert.ok(state.nextAttemptAt)
+    assert.equal(state.lastFailure.message, 'HTTP 503')
+    assert.equal(state.totals.rejected, 1)
+  })
+
+  it('closes again after a successful trial call', async () => {
+    const fetchImpl = scriptedFetch([503, 503, 503, 200])
+    const upstream = createUpstream({ name: 'test', policy: { ...POLICY, retries: 0, breakerResetMs: 0 }, fetchImpl })
+
+    for (let i = 0; i < 3; i++) {
+      await upstream.fetch('http://upstream.test/')
+    }
+    assert.equal(upstream.state().circuit, 'half_open')
+
+    const response = await upstream.fetch('http://upstream.test/')
+    assert.equal(response.status, 200)
+    assert.equal(upstream.state().circuit, 'closed')
+  })
+})
+
+describe('getUpstreamPolicy', () => {
+  const names = ['TEST_TIMEOUT_MS', 'TEST_RETRIES', 'TEST_BREAKER_RESET_SECONDS']
+
+  afterEach(() => {
+    for (const name of names) {
+      delete process.env[name]
+    }
+  })
+
+  it('reads the prefixed settings and falls back to the defaults', () => {
+    process.env.TEST_TIMEOUT_MS = '2500'
+    process.env.TEST_RETRIES = '0'
+    process.env.TEST_BREAKER_RESET_SECONDS = 'soon'
+
+    assert.deepEqual(getUpstreamPolicy('TEST', { retries: 3 }), {
+      timeoutMs: 2500,
+      retries: 0,
+      retryBaseMs: 250,
+      retryMaxMs: 5000,
+      breakerThreshold: 5,
+      breakerResetMs: 30000
+    })
+  })
+})
+
+describe('upstreams in /diagnostics', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  it('reports a failed Crossmint order call', async () => {
+    const body = { ...signProduct('pencils'), quantity: 1 }
+    const challenge = (await stack.request('POST', '/purchase', { body })).body
+    await stack.crossmintOutcomes(['error'])
+
+    const response = await stack.request('POST', '/purchase', {
+      body,
+      headers: { 'X-PAYMENT': payChallenge(challenge), 'X-Payment-Id': challenge.paymentId }
+    })
+    assert.equal(response.status, 502)
+
+    const { upstreams } = (await stack.request('GET', '/diagnostics')).body
+    assert.equal(upstreams.crossmint.circuit, 'closed')
+    assert.equal(upstreams.crossmint.consecutiveFailures, 1)
+    assert.equal(upstreams.crossmint.lastFailure.message, 'HTTP 503')
+    assert.equal(upstreams.crossmint.policy.retries, 0)
+    assert.equal(upstreams.serpapi, undefined, 'the fixture search provider makes no upstream calls')
+  })
+})
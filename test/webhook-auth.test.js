@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { verifyWebhookRequest, pruneWebhookNonces, signWebhookPayload, WEBHOOK_AUTH_ERRORS } = require('../src/webhooks/signature')
+const { startStack, signProduct, payChallenge, WEBHOOK_SECRET } = require('./helpers/stack')
+
+const SECRET = 'unit_test_secret'
+const NOW = Date.UTC(2026, 0, 1)
+
+function signedRequest(overrides = {}) {
+  const timestamp = String(Math.floor(NOW / 1000))
+  const nonce = 'nonce_0001'
+  const rawBody = '{"payment_id":"payment_1"}'
+  return {
+    secret: SECRET,
+    timestamp,
+    nonce,
+    rawBody,
+    signature: signWebhookPayload(SECRET, timestamp, nonce, rawBody),
+    nonces: new Map(),
+    now: NOW,
+    ...overrides
+  }
+}
+
+describe('verifyWebhookRequest', () => {
+  it('accepts a correctly signed request and remembers its nonce', () => {
+    const request = signedRequest()
+    assert.deepEqual(verifyWebhookRequest(request), { ok: true })
+    assert.ok(request.nonces.has('nonce_0001'))
+  })
+
+  it('rejects a replayed nonce', () => {
+    const nonces = new Map()
+    assert.equal(verifyWebhookRequest(signedRequest({ nonces })).ok, true)
+
+    const replay = verifyWebhookRequest(signedRequest({ nonces }))
+    assert.equal(replay.ok, false)
+    assert.equal(replay.code, WEBHOOK_AUTH_ERRORS.NONCE_REUSED)
+  })
+
+  it('rejects timestamps outside the tolerance window', () => {
+    const stale = String(Math.floor(NOW / 1000) - 301)
+    const result = verifyWebhookRequest(signedRequest({
+      timestamp: stale,
+      signature: signWebhookPayload(SECRET, stale, 'nonce_0001', '{"payment_id":"payment_1"}')
+    }))
+    assert.equal(result.code, WEBHOOK_AUTH_ERRORS.TIMESTAMP_OUT_OF_RANGE)
+  })
+
+  it('rejects a malformed timestamp', () => {
+    const result = verifyWebhookRequest(signedRequest({ timestamp: '2026-01-01T00:00:00Z' }))
+    assert.equal(result.code, WEBHOOK_AUTH_ERRORS.INVALID_TIMESTAMP)
+  })
+
+  it('rejects a signature over a different body without burning the nonce', () => {
+    const request = signedRequest({ rawBody: '{"payment_id":"payment_2"}' })
+    const result = verifyWebhookRequest(request)
+    assert.equal(result.code, WEBHOOK_AUTH_ERRORS.INVALID_SIGNATURE)
+    assert.equal(request.nonces.size, 0)
+  })
+
+  it('rejects requests when no secret is configured', () => {
+    const result = verifyWebhookRequest(signedRequest({ secret: null }))
+    assert.equal(result.code, WEBHOOK_AUTH_ERRORS.NOT_CONFIGURED)
+  })
+
+  it('prunes nonces whose replay window has passed', () => {
+    const nonces = new Map([
+      ['old_nonce', { expiresAt: NOW - 1 }],
+      ['new_nonce', { expiresAt: NOW + 1 }]
+    ])
+    pruneWebhookNonces(nonces, NOW)
+    assert.deepEqual([...nonces.keys()], ['new_nonce'])
+  })
+})
+
+describe('POST /payment-webhook authentication', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  async function webhookBody() {
+    const { body: challenge } = await stack.request('POST', '/purchase', {
+      body: { ...signProduct('airpods'), quantity: 1 }
+    })
+    return JSON.stringify({ payment_id: challenge.paymentId, x_payment: payChallenge(challenge) })
+  }
+
+  function post(body, headers) {
+    return stack.request('POST', '/payment-webhook', { body, headers })
+  }
+
+  function sign(body, { timestamp = String(Math.floor(Date.now() / 1000)), nonce = `nonce${Math.random().toString(36).slice(2)}` } = {}) {
+    return {
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Nonce': nonce,
+      'X-Webhook-Signature': signWebhookPayload(WEBHOOK_SECRET, timestamp, nonce, body)
+    }
+  }
+
+  it('rejects an unsigned webhook', async () => {
+    const response = await post(await webhookBody())
+    assert.equal(response.status, 401)
+    assert.equal(response.body.code, WEBHOOK_AUTH_ERRORS.MISSING_HEADERS)
+  })
+
+  it('rejects a webhook signed with another secret', async () => {
+    const body = await webhookBody()
+    const headers = sign(body)
+    headers['X-Webhook-Signature'] = signWebhookPayload('wrong_secret', headers['X-Webhook-Timestamp'], headers['X-Webhook-Nonce'], body)
+
+    const response = await post(body, headers)
+    assert.equal(response.status, 401)
+    assert.equal(response.body.code, WEBHOOK_AUTH_ERRORS.INVALID_SIGNATURE)
+  })
+
+  it('rejects a stale timestamp', async () => {
+    const body = await webhookBody()
+    const response = await post(body, sign(body, { timestamp: String(Math.floor(Date.now() / 1000) - 3600) }))
+    assert.equal(response.status, 401)
+    assert.equal(response.body.code, WEBHOOK_AUTH_ERRORS.TIMESTAMP_OUT_OF_RANGE)
+  })
+
+  it('rejects a replayed webhook', async () => {
+    const body = await webhookBody()
+    const headers = sign(body)
+    await stack.facilitatorOutcomes(['invalid'])
+
+    const first = await post(body, headers)
+    assert.equal(first.status, 402, 'the signed call reaches the facilitator')
+
+    const replay = await post(body, headers)
+    assert.equal(replay.status, 401)
+    assert.equal(replay.body.code, WEBHOOK_AUTH_ERRORS.NONCE_REUSED)
+  })
+})
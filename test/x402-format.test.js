@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const { toAtomicUnits, getX402Format } = require('../src/payments/exact')
+const { findPaymentMismatches } = require('../src/payments/facilitator')
+const { startStack, signProduct } = require('./helpers/stack')
+
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
+
+describe('toAtomicUnits', () => {
+  it('converts decimal amounts without floating point error', () => {
+    assert.equal(toAtomicUnits('169.99', 6), '169990000')
+    assert.equal(toAtomicUnits('0.1', 6), '100000')
+    assert.equal(toAtomicUnits('12', 2), '1200')
+  })
+
+  it('refuses amounts the token cannot express', () => {
+    assert.throws(() => toAtomicUnits('1.001', 2), /Cannot express 1.001 in 2 decimal places/)
+    assert.throws(() => toAtomicUnits('-1', 6), /Cannot express/)
+  })
+})
+
+describe('getX402Format', () => {
+  it('defaults to compat and rejects unknown formats', () => {
+    assert.equal(getX402Format(), 'compat')
+    assert.equal(getX402Format('SPEC'), 'spec')
+    assert.throws(() => getX402Format('v2'), /Unknown x402 format "v2"/)
+  })
+})
+
+describe('findPaymentMismatches with PaymentRequirements', () => {
+  const requirements = {
+    scheme: 'exact',
+    network: 'base',
+    maxAmountRequired: '4590000',
+    payTo: '0xAbC0000000000000000000000000000000000001'
+  }
+
+  it('compares the envelope and an EVM authorization', () => {
+    assert.deepEqual(findPaymentMismatches({
+      scheme: 'exact',
+      network: 'base',
+      payload: { authorization: { to: '0xabc0000000000000000000000000000000000001', value: '4590000' } }
+    }, requirements), [])
+
+    assert.deepEqual(findPaymentMismatches({
+      scheme: 'exact',
+      network: 'solana',
+      payload: { authorization: { to: '0xabc0000000000000000000000000000000000001', value: '4000000' } }
+    }, requirements).map(mismatch => mismatch.field), ['network', 'maxAmountRequired'])
+  })
+})
+
+describe('X-402-Format in /purchase', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack()
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  function purchase(body, headers = {}) {
+    return stack.request('POST', '/purchase', { body, headers })
+  }
+
+  it('keeps the compat challenge by default', async () => {
+    const response = await purchase({ ...signProduct('pencils'), quantity: 1 })
+    assert.equal(response.status, 402)
+    assert.equal(response.body.accepts[0].amount, '4.59')
+    assert.equal(response.body.accepts[0].asset, 'USDC')
+  })
+
+  it('issues x402 PaymentRequirements on request', async () => {
+    const response = await purchase({ ...signProduct('pencils'), quantity: 1 }, { 'X-402-Format': 'spec' })
+    assert.equal(response.status, 402)
+
+    const [requirements] = response.body.accepts
+    assert.equal(requirements.network, 'solana')
+    assert.equal(requirements.maxAmountRequired, '4590000')
+    assert.equal(requirements.asset, USDC_MINT)
+    assert.equal(requirements.payTo, 'HWfT4ivxtYVPeEUkdx5q7VTKy6E8p1nvCiba3Ez21obk')
+    assert.equal(requirements.maxTimeoutSeconds, 300)
+    assert.match(requirements.resource, /\/purchase$/)
+    assert.deepEqual(requirements.extra, { rail: 'solana-usdc', reference: response.body.paymentId })
+    assert.equal(response.body.amount, undefined, 'no compat fields in the spec body')
+  })
+
+  it('re-issues a spec challenge in the spec format', async () => {
+    const body = { ...signProduct('pencils'), quantity: 1 }
+    const challenge = (await purchase(body, { 'X-402-Format': 'spec' })).body
+    await stack.facilitatorOutcomes(['invalid'])
+
+    const payment = Buffer.from(JSON.stringify({
+      x402Version: 1,
+      scheme: 'exact',
+      network: 'solana',
+      payload: { transaction: 'signed_transfer_base64' }
+    })).toString('base64')
+    const response = await purchase(body, { 'X-PAYMENT': payment, 'X-Payment-Id': challenge.paymentId })
+    assert.equal(response.status, 402)
+    assert.equal(response.body.code, 'PAYMENT_INVALID')
+    assert.deepEqual(response.body.accepts, challenge.accepts)
+  })
+
+  it('answers 400 for an unknown format', async () => {
+    const response = await purchase({ ...signProduct('pencils'), quantity: 1 }, { 'X-402-Format': 'v2' })
+    assert.equal(response.status, 400)
+    assert.equal(response.body.code, 'INVALID_X402_FORMAT')
+  })
+})
+
+describe('X-402-Format without a known asset address', () => {
+  let stack
+
+  before(async () => {
+    stack = await startStack({ env: { EXACT_ASSET: 'PYUSD' } })
+  })
+
+  after(async () => {
+    await stack?.stop()
+  })
+
+  it('refuses the spec format but still serves compat challenges', async () => {
+    const spec = await stack.request('POST', '/purchase', {
+      body: { ...signProduct('pencils'), quantity: 1 },
+      headers: { 'X-402-Format': 'spec' }
+    })
+    assert.equal(spec.status, 400)
+    assert.equal(spec.body.code, 'X402_FORMAT_UNAVAILABLE')
+
+    const compat = await stack.request('POST', '/purchase', { body: { ...signProduct('pencils'), quantity: 1 } })
+    assert.equal(compat.status, 402)
+    assert.equal(compat.body.accepts[0].asset, 'PYUSD')
+  })
+})